@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Starts the verification service; see src/server.js
+ *
+ *   vc-verify-server [--port 8787] [--host 127.0.0.1] [--allow-origin <origin>]
+ *                    [--allow-context <url>[=<digestSRI>]]... [--lax-contexts]
+ *                    [--allow-private-network]
+ */
+
+import { parseArgs } from "node:util";
+import { createVerifierServer } from "../src/server.js";
+import {
+  configureContextLoader,
+  parseAllowlistEntry,
+} from "../src/contexts.js";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: process.env.PORT || "8787" },
+    host: { type: "string", default: "127.0.0.1" },
+    "allow-origin": { type: "string" },
+    "allow-context": { type: "string", multiple: true, default: [] },
+    "lax-contexts": { type: "boolean", default: false },
+    "allow-private-network": { type: "boolean", default: false },
+  },
+});
+
+const allowlist = values["allow-context"].map(parseAllowlistEntry);
+configureContextLoader({
+  strict: !values["lax-contexts"],
+  ...(allowlist.length ? { allowlist } : {}),
+});
+
+const server = createVerifierServer({
+  allowOrigin: values["allow-origin"] || null,
+  allowPrivateNetwork: values["allow-private-network"],
+});
+server.listen(Number(values.port), values.host, () => {
+  const { address, port } = server.address();
+  console.log(`Verification service listening on http://${address}:${port}`);
+});
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * vc-verify executable; see src/cli.js
+ */
+
+import { runCli } from "../src/cli.js";
+
+process.exitCode = await runCli(process.argv.slice(2));
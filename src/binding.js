@@ -0,0 +1,175 @@
+/**
+ * Verification Method Binding
+ *
+ * A valid signature only means something if the key that made it speaks
+ * for the credential's issuer (or the presentation's holder). This file
+ * checks that binding in the resolved DID document:
+ * 1. The DID of `proof.verificationMethod` is the issuer DID
+ * 2. The verification method exists in the DID document, embedded or
+ *    listed in `verificationMethod`
+ * 3. It is authorized for the proof's verification relationship
+ *    (`assertionMethod` for credentials, `authentication` for
+ *    presentations), embedded there or referenced by id
+ * 4. Its `controller` is the issuer
+ *
+ * Each failed rule has its own error code (issuerMismatch,
+ * verificationMethodNotFound, notAuthorized, controllerMismatch) so the UI
+ * can say what is wrong. A credential without an issuer (missingIssuer) or
+ * a presentation without a holder (missingHolder) has no one to bind the
+ * key to, so its key is never bound.
+ */
+
+/**
+ * Make a DID document id absolute
+ * @param {string} id - An absolute DID URL or a relative "#fragment"
+ * @param {string} did - The DID the document describes
+ * @returns {string} The absolute id
+ */
+function absoluteId(id, did) {
+  return typeof id === "string" && id.startsWith("#") ? `${did}${id}` : id;
+}
+
+/**
+ * Wrap a DID document property value in an array
+ * @param {*} value - The property value
+ * @returns {Array} The entries, empty if the property is absent
+ */
+function entriesOf(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check how a verification method is bound to the expected controller
+ *
+ * @param {Object|null} didDocument - The resolved DID document, or null to
+ *   check only that the key belongs to the controller's DID
+ * @param {string} verificationMethod - The absolute verification method id
+ * @param {Object} options - Binding rules
+ * @param {string} options.relationship - Required verification relationship,
+ *   e.g. "assertionMethod" or "authentication"
+ * @param {string} [options.controller] - The expected controller DID, i.e.
+ *   the issuer or holder; without one the binding fails
+ * @param {string} [options.role] - What the controller is called in
+ *   messages and the missing controller's error code: "issuer" or "holder"
+ * @returns {Object} { bound, publicKey, via, checks, error, errorCode }:
+ *   `via` is "embedded" or "reference", `checks` lists each rule as
+ *   { name, status: passed|failed|skipped, message }
+ */
+export function checkVerificationMethodBinding(
+  didDocument,
+  verificationMethod,
+  { relationship, controller = null, role = "issuer" }
+) {
+  const did = verificationMethod.split("#")[0];
+  const checks = [];
+  let failure = null;
+
+  const record = (name, passed, message, errorCode) => {
+    checks.push({ name, status: passed ? "passed" : "failed", message });
+    if (!passed && !failure) {
+      failure = { message, errorCode };
+    }
+  };
+  const result = (key, via) => ({
+    bound: !failure,
+    publicKey: key ? { ...key, id: verificationMethod } : null,
+    relationship,
+    controller,
+    via,
+    checks,
+    error: failure ? failure.message : null,
+    errorCode: failure ? failure.errorCode : null,
+  });
+
+  // 1. The key must belong to the issuer's own DID
+  if (controller) {
+    record(
+      "did",
+      did === controller,
+      did === controller
+        ? `Key belongs to ${role} ${controller}`
+        : `Verification method ${verificationMethod} belongs to ${did}, not to ${role} ${controller}`,
+      "issuerMismatch"
+    );
+  } else {
+    record(
+      "did",
+      false,
+      `No ${role} to bind the key to`,
+      role === "holder" ? "missingHolder" : "missingIssuer"
+    );
+  }
+
+  // Without a DID document only the DID can be checked
+  if (!didDocument) {
+    return result(null, null);
+  }
+
+  // 2. Find the key, listed in verificationMethod (or the legacy publicKey)
+  // or embedded in the relationship
+  const relationshipEntries = entriesOf(didDocument[relationship]);
+  const embedded = relationshipEntries.find(
+    (entry) =>
+      entry &&
+      typeof entry === "object" &&
+      absoluteId(entry.id, did) === verificationMethod
+  );
+  const listed = [
+    ...entriesOf(didDocument.verificationMethod),
+    ...entriesOf(didDocument.publicKey),
+  ].find(
+    (entry) =>
+      entry &&
+      typeof entry === "object" &&
+      absoluteId(entry.id, did) === verificationMethod
+  );
+  const key = embedded || listed || null;
+
+  record(
+    "verificationMethod",
+    Boolean(key),
+    key
+      ? `Verification method ${verificationMethod} found in the DID document`
+      : `Verification method ${verificationMethod} not found in DID document`,
+    "verificationMethodNotFound"
+  );
+
+  // 3. The relationship must embed the key or reference it by id
+  const referenced = relationshipEntries.some(
+    (entry) =>
+      typeof entry === "string" && absoluteId(entry, did) === verificationMethod
+  );
+  const via = embedded ? "embedded" : referenced ? "reference" : null;
+  if (key) {
+    record(
+      "relationship",
+      Boolean(via),
+      via
+        ? `Authorized for ${relationship} (${
+            via === "embedded" ? "embedded" : "referenced by id"
+          })`
+        : `Verification method ${verificationMethod} is not authorized for ${relationship}`,
+      "notAuthorized"
+    );
+  }
+
+  // 4. The key's controller must be the issuer
+  if (key && controller) {
+    const keyController = absoluteId(key.controller, did);
+    record(
+      "controller",
+      keyController === controller,
+      keyController === controller
+        ? `Key controller is ${role} ${controller}`
+        : `Verification method controller ${
+            keyController || "(none)"
+          } is not ${role} ${controller}`,
+      "controllerMismatch"
+    );
+  }
+
+  return result(key, via);
+}
@@ -0,0 +1,361 @@
+/**
+ * Document Caches
+ *
+ * Bounded caches for documents loaded over the network or resolved, so a
+ * batch of credentials from the same issuer doesn't refetch them:
+ * - "contexts": remote JSON-LD contexts (bundled contexts never need one)
+ * - "didDocuments": dereferenced DID documents and verification methods
+ * - "schemas": JSON Schemas and schema credentials of `credentialSchema`
+ * - "statusLists": status list credentials of `credentialStatus`
+ * - "trustLists": trust lists of verification policies (policy.js)
+ * - "didConfigurations": DID configurations of linked domains (linkage.js)
+ *
+ * Each cache has its own time to live and drops its least recently used
+ * entries when full. Only successful loads are cached, so a transient
+ * failure (e.g. a CORS error or a timeout) is retried next time.
+ *
+ * In the browser the caches can also be kept in IndexedDB across sessions;
+ * see enableCachePersistence().
+ */
+
+// Default cache sizes and lifetimes
+const DEFAULT_MAX_ENTRIES = 100;
+const MINUTE = 60 * 1000;
+
+// IndexedDB database and object store for persisted entries
+const DB_NAME = "vc-verifier-cache";
+const DB_STORE = "entries";
+
+/**
+ * Caches by name
+ * @type {Map<string, Object>}
+ */
+const caches = new Map();
+
+/**
+ * The open IndexedDB database while persistence is enabled
+ * @type {IDBDatabase|null}
+ */
+let database = null;
+
+/**
+ * Enabling persistence, while it is in progress
+ * @type {Promise<boolean>|null}
+ */
+let enabling = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run an operation on the persisted entries, if persistence is enabled
+ * Persistence is best effort: failures only cost the next session a refetch
+ *
+ * @param {Function} operation - Called with the object store
+ * @returns {Promise<*>} The operation's result, or undefined
+ */
+async function withStore(operation) {
+  if (!database) {
+    return undefined;
+  }
+  try {
+    const store = database
+      .transaction(DB_STORE, "readwrite")
+      .objectStore(DB_STORE);
+    return await promisify(operation(store));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Keep a cache entry in IndexedDB, if persistence is enabled
+ * @param {string} name - The cache name
+ * @param {string} key - The entry key
+ * @param {Object} entry - The entry
+ */
+function persist(name, key, entry) {
+  withStore((store) =>
+    store.put({ id: `${name} ${key}`, cache: name, key, ...entry })
+  );
+}
+
+/**
+ * Create a named cache
+ *
+ * @param {string} name - Cache name, as shown in the cache panel
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Time to live of entries, in milliseconds
+ * @param {number} [options.maxEntries=100] - Entries kept before the least
+ *   recently used ones are dropped
+ * @returns {Object} The cache: get(key), set(key, value, source), delete(key),
+ *   clear() and trim()
+ */
+function createCache(name, { ttl, maxEntries = DEFAULT_MAX_ENTRIES }) {
+  // Map iteration order doubles as recency order: oldest first
+  const entries = new Map();
+
+  const cache = {
+    name,
+    ttl,
+    maxEntries,
+    entries,
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        cache.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, source, { storedAt = Date.now(), restored = false } = {}) {
+      const entry = {
+        value,
+        source,
+        storedAt,
+        expiresAt: storedAt + cache.ttl,
+        restored,
+      };
+      entries.delete(key);
+      entries.set(key, entry);
+      if (!restored) {
+        persist(name, key, entry);
+      }
+      cache.trim();
+    },
+
+    trim() {
+      while (entries.size > cache.maxEntries) {
+        cache.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+      withStore((store) => store.delete(`${name} ${key}`));
+    },
+
+    clear() {
+      for (const key of [...entries.keys()]) {
+        cache.delete(key);
+      }
+    },
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Cache of remote JSON-LD contexts, with their raw bytes for digest checks
+ * Contexts rarely change, and their digests are checked on every load
+ */
+export const contextCache = createCache("contexts", { ttl: 24 * 60 * MINUTE });
+
+/**
+ * Cache of dereferenced DID documents
+ * Kept briefly, so rotated or revoked keys are noticed
+ */
+export const didDocumentCache = createCache("didDocuments", {
+  ttl: 5 * MINUTE,
+});
+
+/**
+ * Cache of credential schemas
+ */
+export const schemaCache = createCache("schemas", { ttl: 60 * MINUTE });
+
+/**
+ * Cache of status list credentials
+ * Kept briefly, so revocations are noticed
+ */
+export const statusListCache = createCache("statusLists", {
+  ttl: 5 * MINUTE,
+});
+
+/**
+ * Cache of trust lists of verification policies
+ * Kept briefly, so issuers removed from a list are noticed
+ */
+export const trustListCache = createCache("trustLists", { ttl: 5 * MINUTE });
+
+/**
+ * Cache of DID configurations (/.well-known/did-configuration.json)
+ * Kept as briefly as DID documents, whose LinkedDomains they confirm
+ */
+export const didConfigurationCache = createCache("didConfigurations", {
+  ttl: 5 * MINUTE,
+});
+
+/**
+ * Change the lifetime or size of a cache
+ * Applies to entries cached from now on; existing entries keep their expiry
+ *
+ * @param {string} name - "contexts", "didDocuments", "schemas",
+ *   "trustLists" or "didConfigurations"
+ * @param {Object} options - Cache options
+ * @param {number} [options.ttl] - Time to live, in milliseconds
+ * @param {number} [options.maxEntries] - Maximum number of entries
+ */
+export function configureCache(name, { ttl, maxEntries } = {}) {
+  const cache = caches.get(name);
+  if (!cache) {
+    throw new Error(`Unknown cache: ${name}`);
+  }
+  if (ttl !== undefined) {
+    cache.ttl = ttl;
+  }
+  if (maxEntries !== undefined) {
+    cache.maxEntries = maxEntries;
+    cache.trim();
+  }
+}
+
+/**
+ * List the entries of all caches, without their values
+ * Expired entries are dropped first
+ *
+ * @returns {Array<Object>} { cache, key, source, storedAt, expiresAt,
+ *   restored } per entry, most recently used last
+ */
+export function listCacheEntries() {
+  const now = Date.now();
+  const list = [];
+  for (const cache of caches.values()) {
+    for (const [key, entry] of [...cache.entries]) {
+      if (entry.expiresAt <= now) {
+        cache.delete(key);
+        continue;
+      }
+      const { source, storedAt, expiresAt, restored } = entry;
+      list.push({
+        cache: cache.name,
+        key,
+        source,
+        storedAt,
+        expiresAt,
+        restored,
+      });
+    }
+  }
+  return list;
+}
+
+/**
+ * Evict one cache entry
+ * @param {string} name - The cache name
+ * @param {string} key - The entry key, e.g. a context URL or DID URL
+ */
+export function evictCacheEntry(name, key) {
+  const cache = caches.get(name);
+  if (cache) {
+    cache.delete(key);
+  }
+}
+
+/**
+ * Evict all entries of all caches
+ */
+export function clearCaches() {
+  for (const cache of caches.values()) {
+    cache.clear();
+  }
+}
+
+/**
+ * Keep cache entries in IndexedDB, and restore those of earlier sessions
+ * Does nothing where IndexedDB isn't available, e.g. in Node
+ *
+ * @param {IDBFactory} [indexedDB] - The IndexedDB factory, defaults to the
+ *   global one
+ * @returns {Promise<boolean>} True if entries are now persisted
+ */
+export function enableCachePersistence(indexedDB = globalThis.indexedDB) {
+  if (database) {
+    return Promise.resolve(true);
+  }
+  if (!enabling) {
+    enabling = openPersistence(indexedDB).finally(() => {
+      enabling = null;
+    });
+  }
+  return enabling;
+}
+
+/**
+ * Open the IndexedDB database and restore its entries
+ * @param {IDBFactory} [indexedDB] - The IndexedDB factory
+ * @returns {Promise<boolean>} True if entries are now persisted
+ */
+async function openPersistence(indexedDB) {
+  if (!indexedDB) {
+    return false;
+  }
+
+  try {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(DB_STORE, { keyPath: "id" });
+    };
+    database = await promisify(request);
+  } catch (error) {
+    return false;
+  }
+
+  // Restore live entries, oldest first so recency is kept; drop the rest
+  const records = (await withStore((store) => store.getAll())) || [];
+  records.sort((a, b) => a.storedAt - b.storedAt);
+  const now = Date.now();
+  for (const record of records) {
+    const cache = caches.get(record.cache);
+    if (!cache || record.expiresAt <= now) {
+      withStore((store) => store.delete(record.id));
+    } else if (!cache.entries.has(record.key)) {
+      cache.set(record.key, record.value, record.source, {
+        storedAt: record.storedAt,
+        restored: true,
+      });
+    }
+  }
+
+  // Entries cached before persistence was enabled are kept too
+  for (const cache of caches.values()) {
+    for (const [key, entry] of cache.entries) {
+      if (!entry.restored) {
+        persist(cache.name, key, entry);
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Stop keeping cache entries in IndexedDB and delete those kept so far
+ * Entries stay cached for this session
+ *
+ * @returns {Promise<void>}
+ */
+export async function disableCachePersistence() {
+  if (!database) {
+    return;
+  }
+  await withStore((store) => store.clear());
+  database.close();
+  database = null;
+}
@@ -0,0 +1,240 @@
+/**
+ * Verification Checks
+ *
+ * Every verification result is a list of named checks, each with a status
+ * of pass, fail or skip, an error code, a message and how long it took:
+ *
+ *   { name: "signature", status: "fail", code: "invalidSignature",
+ *     message: "Invalid signature.", durationMs: 12, details: {...} }
+ *
+ * This file records checks as they run and sums them up into an overall
+ * status. The checks themselves live with the code they check.
+ *
+ * Checks that wait on the network or canonicalize JSON-LD run against a
+ * per-phase timeout, and all checks stop when the verification is aborted.
+ */
+
+// Check names, in the order they run
+export const CHECKS = [
+  "structure",
+  "contexts",
+  "coverage",
+  "didResolution",
+  "keyBinding",
+  "signature",
+  "holderBinding",
+  "validityPeriod",
+  "status",
+  "schema",
+  "evidence",
+  "policy",
+];
+
+// Failure codes that mean "could not be checked" rather than "invalid"
+export const INDETERMINATE_CODES = [
+  "networkError",
+  "timeout",
+  "statusUnavailable",
+  "unsupportedSchema",
+];
+
+// Timeout phase per check; other checks are quick and have no timeout
+export const CHECK_PHASES = {
+  contexts: "network",
+  didResolution: "network",
+  status: "network",
+  schema: "network",
+  policy: "network",
+  coverage: "canonicalization",
+  signature: "canonicalization",
+};
+
+// Default timeouts per phase, in milliseconds
+export const DEFAULT_TIMEOUTS = {
+  network: 15000,
+  canonicalization: 10000,
+};
+
+/**
+ * Create the error a verification rejects with when it is aborted
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} The signal's reason, or an AbortError
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error("Verification was cancelled");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Milliseconds since an arbitrary origin, for timings
+ * @returns {number} The current time
+ */
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Create a list that records checks as they run
+ *
+ * @param {Function} [onProgress] - Called with { check, phase, result } when
+ *   a check starts ("start") and when it is recorded ("end")
+ * @param {Object} [options] - Check options
+ * @param {AbortSignal} [options.signal] - Aborts the remaining checks; run()
+ *   then rejects with an AbortError
+ * @param {Object} [options.timeouts] - Timeouts per phase in milliseconds,
+ *   { network, canonicalization }; see DEFAULT_TIMEOUTS
+ * @returns {Object} { checks, run(name, fn), record(name, outcome), skip(name, message) }
+ */
+export function createCheckList(
+  onProgress = null,
+  { signal = null, timeouts = {} } = {}
+) {
+  const checks = [];
+  const phaseTimeouts = { ...DEFAULT_TIMEOUTS, ...timeouts };
+
+  const record = (
+    name,
+    { status, code = null, message, details = null },
+    durationMs = 0
+  ) => {
+    const check = {
+      name,
+      status,
+      code: status === "fail" ? code || "failed" : null,
+      message,
+      durationMs: Math.round(durationMs * 10) / 10,
+      details,
+    };
+    checks.push(check);
+    if (onProgress) {
+      onProgress({ check: name, phase: "end", result: check });
+    }
+    return check;
+  };
+
+  return {
+    checks,
+    record,
+
+    /**
+     * Run and time a check
+     * The function returns { status, code, message, details }; an error it
+     * throws fails the check with the error's `code`. A check that runs
+     * past its phase's timeout fails with code "timeout"; the work itself
+     * can't be interrupted and is left to finish unobserved.
+     *
+     * @param {string} name - The check name, see CHECKS
+     * @param {Function} fn - Async function performing the check
+     * @returns {Promise<Object>} The recorded check
+     * @throws {Error} An AbortError if the signal was aborted
+     */
+    async run(name, fn) {
+      if (signal && signal.aborted) {
+        throw abortError(signal);
+      }
+      if (onProgress) {
+        onProgress({ check: name, phase: "start" });
+      }
+
+      const phase = CHECK_PHASES[name];
+      const timeout = phase ? phaseTimeouts[phase] : 0;
+      const start = now();
+      let timer;
+      let onAbort;
+      const work = Promise.resolve().then(fn);
+      work.catch(() => {});
+
+      let outcome;
+      try {
+        outcome = await Promise.race([
+          work,
+          new Promise((resolve, reject) => {
+            if (timeout) {
+              timer = setTimeout(
+                () =>
+                  resolve({
+                    status: "fail",
+                    code: "timeout",
+                    message: `Timed out after ${
+                      timeout / 1000
+                    } seconds (${phase} timeout)`,
+                  }),
+                timeout
+              );
+            }
+            if (signal) {
+              onAbort = () => reject(abortError(signal));
+              signal.addEventListener("abort", onAbort);
+            }
+          }),
+        ]);
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw abortError(signal);
+        }
+        outcome = {
+          status: "fail",
+          code: error.code || "internalError",
+          message: error.message || String(error),
+        };
+      } finally {
+        clearTimeout(timer);
+        if (onAbort) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      }
+      return record(name, outcome, now() - start);
+    },
+
+    /**
+     * Record a check that was not run
+     * @param {string} name - The check name
+     * @param {string} message - Why it was skipped
+     * @returns {Object} The recorded check
+     */
+    skip(name, message) {
+      return record(name, { status: "skip", message });
+    },
+
+    /**
+     * Check whether any recorded check failed
+     * @returns {boolean} True if a check failed
+     */
+    failed() {
+      return checks.some((check) => check.status === "fail");
+    },
+  };
+}
+
+/**
+ * Sum up checks into an overall status
+ * Any failure makes the result "failed", unless every failure only means
+ * something could not be checked, which makes it "indeterminate"
+ *
+ * @param {Array<Object>} checks - Recorded checks
+ * @returns {Object} { status: verified|failed|indeterminate, verified, error }
+ *   where error is { check, code, message } of the first decisive failure
+ */
+export function summarizeChecks(checks) {
+  const failures = checks.filter((check) => check.status === "fail");
+  const decisive = failures.filter(
+    (check) => !INDETERMINATE_CODES.includes(check.code)
+  );
+  const first = decisive[0] || failures[0];
+
+  return {
+    status: decisive.length
+      ? "failed"
+      : failures.length
+      ? "indeterminate"
+      : "verified",
+    verified: failures.length === 0,
+    error: first
+      ? { check: first.name, code: first.code, message: first.message }
+      : null,
+  };
+}
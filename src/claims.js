@@ -0,0 +1,347 @@
+/**
+ * Credential Claims
+ *
+ * Describes every claim of a credential's `credentialSubject` as a tree for
+ * display. The credential's own JSON-LD contexts, loaded as for
+ * verification, give each property its IRI, its label (the IRI's local
+ * name) and its datatype. Scoped contexts of types and properties apply to
+ * the nodes below them, as in JSON-LD expansion.
+ *
+ * Values are classified for rendering: dates, URLs, DIDs, email addresses
+ * and geo coordinates (objects with a latitude and longitude, or geo: URIs).
+ */
+
+import jsonld from "jsonld";
+import { loadUrlDocument } from "./verification.js";
+
+// XML Schema datatypes shown as dates
+const XSD = "http://www.w3.org/2001/XMLSchema#";
+const DATE_DATATYPES = ["dateTime", "date", "dateTimeStamp"].map(
+  (name) => `${XSD}${name}`
+);
+
+// Labels of JSON-LD keywords that are used as properties
+const KEYWORD_LABELS = { "@id": "ID", "@type": "Type" };
+
+// Words shown in capitals in labels
+const ACRONYMS = ["id", "url", "uri", "iri", "did", "vc"];
+
+// Property names of coordinates, as in schema.org GeoCoordinates
+const LATITUDE_KEYS = ["latitude", "lat"];
+const LONGITUDE_KEYS = ["longitude", "long", "lon", "lng"];
+
+/**
+ * Wrap a JSON-LD value in an array
+ * @param {*} value - A single value or an array
+ * @returns {Array} The values
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - A JSON value
+ * @returns {boolean} True for objects that aren't arrays
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Turn a property name into a label, e.g. "proofOfOwnership" into
+ * "Proof of ownership"
+ *
+ * @param {string} name - A term or the local name of an IRI
+ * @returns {string} The label
+ */
+function humanize(name) {
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map((word) =>
+      /^[A-Z0-9]+$/.test(word) || ACRONYMS.includes(word.toLowerCase())
+        ? word.toUpperCase()
+        : word.toLowerCase()
+    );
+  const label = words.join(" ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Get the local name of an IRI, after its last "#", "/" or ":"
+ * @param {string} iri - An IRI
+ * @returns {string} The local name, or the IRI if it has none
+ */
+function getLocalName(iri) {
+  return iri.split(/[#/:]/).filter(Boolean).pop() || iri;
+}
+
+/**
+ * Expand a term or compact IRI against an active context
+ *
+ * @param {Object|null} context - The active context, null if the contexts
+ *   could not be processed
+ * @param {string} term - The property name
+ * @returns {Object} { iri, datatype, scoped }, where scoped is the term's
+ *   property-scoped context; values are null where the context has none
+ */
+function getTermDefinition(context, term) {
+  const definition = context && context.mappings.get(term);
+  if (definition) {
+    return {
+      iri: definition["@id"] || null,
+      datatype: definition["@type"] || null,
+      scoped: definition["@context"],
+    };
+  }
+
+  let iri = null;
+  if (context && term.includes(":")) {
+    const [prefix, suffix] = term.split(/:(.*)/s);
+    const prefixDefinition = context.mappings.get(prefix);
+    iri =
+      prefixDefinition && !suffix.startsWith("//")
+        ? `${prefixDefinition["@id"]}${suffix}`
+        : term;
+  } else if (context && context["@vocab"]) {
+    iri = `${context["@vocab"]}${term}`;
+  }
+  return { iri, datatype: null, scoped: undefined };
+}
+
+/**
+ * Apply a local context, keeping the active one if it can't be processed
+ *
+ * @param {Object|null} context - The active context
+ * @param {*} localContext - The context to apply
+ * @param {Object} options - Options for jsonld.processContext()
+ * @returns {Promise<Object|null>} The new active context
+ */
+async function applyContext(context, localContext, options) {
+  if (!context || localContext === undefined) {
+    return context;
+  }
+  try {
+    return await jsonld.processContext(context, localContext, options);
+  } catch (error) {
+    return context;
+  }
+}
+
+/**
+ * Apply a node's embedded and type-scoped contexts
+ *
+ * @param {Object|null} context - The active context
+ * @param {Object} node - A node object
+ * @param {Object} options - Options for jsonld.processContext()
+ * @returns {Promise<Object|null>} The node's active context
+ */
+async function applyNodeContexts(context, node, options) {
+  let active = await applyContext(context, node["@context"], options);
+  const types = asArray(node.type || node["@type"] || [])
+    .filter((type) => typeof type === "string")
+    .sort();
+  const typeContext = active;
+  for (const type of types) {
+    const definition = typeContext && typeContext.mappings.get(type);
+    if (definition) {
+      active = await applyContext(active, definition["@context"], options);
+    }
+  }
+  return active;
+}
+
+/**
+ * Read the coordinates of a node, if it has them
+ * @param {Object} node - A node object
+ * @returns {Object|null} { latitude, longitude }, or null
+ */
+function getCoordinates(node) {
+  const read = (keys) => {
+    const key = keys.find((name) => node[name] !== undefined);
+    const value = key === undefined ? NaN : Number(node[key]);
+    return Number.isFinite(value) ? value : null;
+  };
+  const latitude = read(LATITUDE_KEYS);
+  const longitude = read(LONGITUDE_KEYS);
+  return latitude !== null &&
+    longitude !== null &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180
+    ? { latitude, longitude }
+    : null;
+}
+
+/**
+ * Classify a value for rendering
+ *
+ * @param {*} value - A JSON value other than an object or array
+ * @param {string|null} datatype - The datatype its term or value object
+ *   gives it
+ * @returns {string} "date", "url", "did", "email", "geo", "number",
+ *   "boolean" or "text"
+ */
+function getValueFormat(value, datatype) {
+  if (typeof value === "number") {
+    return "number";
+  }
+  if (typeof value === "boolean") {
+    return "boolean";
+  }
+  const text = String(value);
+  if (
+    (DATE_DATATYPES.includes(datatype) ||
+      /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}|$)/.test(text)) &&
+    !isNaN(new Date(text).getTime())
+  ) {
+    return "date";
+  }
+  if (text.startsWith("did:")) {
+    return "did";
+  }
+  if (/^https?:\/\/\S+$/i.test(text)) {
+    return "url";
+  }
+  if (/^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/i.test(text)) {
+    return "email";
+  }
+  if (/^geo:-?\d+(\.\d+)?,-?\d+(\.\d+)?/i.test(text)) {
+    return "geo";
+  }
+  return "text";
+}
+
+/**
+ * Describe a property value as a tree node
+ *
+ * @param {string} key - The property name, or the index in an array
+ * @param {*} value - The value
+ * @param {Object|null} context - The active context of the node holding it
+ * @param {Object} options - Options for jsonld.processContext()
+ * @returns {Promise<Object>} { key, label, iri, datatype, kind, format,
+ *   value, children }
+ */
+async function describeProperty(key, value, context, options) {
+  const definition =
+    typeof key === "string"
+      ? getTermDefinition(context, key)
+      : { iri: null, datatype: null, scoped: undefined };
+  const keyword = KEYWORD_LABELS[definition.iri];
+  const claim = {
+    key,
+    label:
+      typeof key === "number"
+        ? `#${key + 1}`
+        : keyword ||
+          humanize(
+            definition.iri && !definition.iri.startsWith("@")
+              ? getLocalName(definition.iri)
+              : key
+          ),
+    iri:
+      definition.iri && !definition.iri.startsWith("@") ? definition.iri : null,
+    datatype:
+      definition.datatype && !definition.datatype.startsWith("@")
+        ? definition.datatype
+        : null,
+    kind: "value",
+    format: "text",
+    value: null,
+    children: [],
+  };
+
+  const scoped = await applyContext(context, definition.scoped, options);
+  return describeValue(claim, value, scoped, options);
+}
+
+/**
+ * Fill in a tree node for a value
+ *
+ * @param {Object} claim - The node, from describeProperty()
+ * @param {*} value - The value
+ * @param {Object|null} context - The active context for the value
+ * @param {Object} options - Options for jsonld.processContext()
+ * @returns {Promise<Object>} The node
+ */
+async function describeValue(claim, value, context, options) {
+  if (Array.isArray(value)) {
+    claim.kind = "array";
+    claim.children = await Promise.all(
+      value.map((item, index) =>
+        describeProperty(index, item, context, options)
+      )
+    );
+    return claim;
+  }
+
+  if (isObject(value) && value["@value"] !== undefined) {
+    claim.datatype = value["@type"] || claim.datatype;
+    claim.value = value["@value"];
+    claim.format = getValueFormat(claim.value, claim.datatype);
+    return claim;
+  }
+
+  if (isObject(value)) {
+    const active = await applyNodeContexts(context, value, options);
+    claim.kind = "object";
+    claim.value = getCoordinates(value);
+    claim.format = claim.value ? "geo" : "text";
+    claim.children = await Promise.all(
+      Object.entries(value)
+        .filter(([key]) => key !== "@context")
+        .map(([key, item]) => describeProperty(key, item, active, options))
+    );
+    return claim;
+  }
+
+  claim.value = value;
+  claim.format =
+    value === null ? "text" : getValueFormat(value, claim.datatype);
+  return claim;
+}
+
+/**
+ * Describe the claims of a credential
+ * Contexts that can't be loaded or processed leave the claims labelled by
+ * their property names, without IRIs or datatypes
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} [options] - Options
+ * @param {Function} [options.documentLoader] - Loads contexts; defaults to
+ *   the verifier's loader
+ * @returns {Promise<Object>} { subject, error }, where subject is the tree
+ *   node of `credentialSubject` and error says why the contexts could not
+ *   be used, or is null
+ */
+export async function describeClaims(
+  credential,
+  { documentLoader = loadUrlDocument } = {}
+) {
+  const options = { documentLoader };
+  let context = null;
+  let error = null;
+  try {
+    context = await jsonld.processContext(
+      await jsonld.processContext(null, null, options),
+      credential["@context"],
+      options
+    );
+  } catch (cause) {
+    // jsonld wraps document loader errors, which name the context
+    error = (cause.details && cause.details.cause) || cause;
+  }
+
+  const active = await applyNodeContexts(context, credential, options);
+  return {
+    subject: await describeProperty(
+      "credentialSubject",
+      credential.credentialSubject,
+      active,
+      options
+    ),
+    error: error ? error.message : null,
+  };
+}
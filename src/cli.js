@@ -0,0 +1,936 @@
+/**
+ * Command-Line Verifier
+ *
+ * Runs the headless verifier (verifier.js) over many credentials at once,
+ * for issuance QA and CI pipelines. Node only; bin/vc-verify.js is the
+ * executable.
+ *
+ *   vc-verify [options] <file|directory|glob|->...
+ *
+ * Inputs:
+ * - JSON files (.json, .jsonld) hold one credential or presentation
+ * - .jwt files hold one compact JWT credential
+ * - JSONL files (.jsonl, .ndjson) hold one document or JWT per line
+ * - Directories are searched recursively for all of the above
+ * - Globs (`*`, `**`, `?`) are expanded, for shells that don't
+ * - `-` (or no input with a piped stdin) reads stdin, as one document or
+ *   as JSONL
+ *
+ * Reports are human-readable text, JSON or JUnit XML. The exit code is 0
+ * when everything verified, 1 when anything failed or couldn't be checked,
+ * and 2 for usage errors. Profile issues (profiles.js) and the domains
+ * linked to the issuer (linkage.js) are reported with each document but
+ * don't change its status or the exit code.
+ *
+ * A verification policy (policy.js) given with --policy fails credentials
+ * from untrusted or blocked issuers. Its trust lists may be local files,
+ * as { file, issuer } entries relative to the policy file.
+ */
+
+import { parseArgs } from "node:util";
+import { createReadStream } from "node:fs";
+import { readdir, readFile, stat, writeFile } from "node:fs/promises";
+import { basename, dirname, join, relative, resolve, sep } from "node:path";
+import { createInterface } from "node:readline";
+import {
+  configureContextLoader,
+  isJwt,
+  normalizePolicy,
+  parseAllowlistEntry,
+  registerDidMethod,
+  registerSchema,
+  verify,
+} from "./index.js";
+import { decodeJwtCredential } from "./jwt.js";
+import { resolutionError } from "./did/index.js";
+import { resolveDidWeb } from "./did/web.js";
+import { resolveDidKey } from "./did/key.js";
+import { resolveDidJwk } from "./did/jwk.js";
+import { resolveDidPeer } from "./did/peer.js";
+
+// File extensions picked up in directories, by how they are read
+const DOCUMENT_EXTENSIONS = [".json", ".jsonld", ".jwt"];
+const JSONL_EXTENSIONS = [".jsonl", ".ndjson"];
+
+// Built-in drivers, so local DID documents can fall back to them
+const BUILT_IN_DRIVERS = {
+  web: resolveDidWeb,
+  key: resolveDidKey,
+  jwk: resolveDidJwk,
+  peer: resolveDidPeer,
+};
+
+// Drivers that never touch the network
+const OFFLINE_METHODS = ["key", "jwk", "peer"];
+
+// Exit codes
+const EXIT_VERIFIED = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: vc-verify [options] <file|directory|glob|->...
+
+Verifies Verifiable Credentials and Presentations: JSON files, JWT files,
+JSONL batches (one document or JWT per line), directories and stdin.
+
+Options:
+  -f, --format <text|json|junit>  Report format (default: text)
+  -o, --output <file>             Write the report to a file
+  -c, --concurrency <n>           Documents verified at once (default: 4)
+      --offline                   No network: bundled contexts and local
+                                  DID documents only
+      --did-documents <path>      DID documents to resolve locally, as a
+                                  JSON file or a directory of them
+      --allow-context <url>       Allow a remote context or URL prefix,
+                                  optionally followed by "=<digestSRI>"
+      --lax-contexts              Fetch any remote context
+      --at <date>                 Verification time (default: now)
+      --clock-skew <seconds>      Clock skew tolerance (default: 60)
+      --challenge <value>         Challenge presentations must carry
+      --domain <value>            Domain presentations must carry
+      --evidence <file>           File to check against the hashes the
+                                  credentials declare, e.g. a PDF they
+                                  reference; may be repeated
+      --schema [<url>=]<file>     JSON Schema or schema credential to use
+                                  for <url> (default: its $id or id)
+                                  instead of loading it; may be repeated
+      --policy <file>             Verification policy: trusted issuers,
+                                  trust lists and further requirements
+  -q, --quiet                     Only report failures (text format)
+  -h, --help                      Show this help`;
+
+/**
+ * Create an error for invalid command-line usage
+ * @param {string} message - What is wrong
+ * @returns {Error} The error, with code "usage"
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.code = "usage";
+  return error;
+}
+
+/**
+ * Parse and check command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} { options, inputs }
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "text" },
+        output: { type: "string", short: "o" },
+        concurrency: { type: "string", short: "c", default: "4" },
+        offline: { type: "boolean", default: false },
+        "did-documents": { type: "string", multiple: true, default: [] },
+        "allow-context": { type: "string", multiple: true, default: [] },
+        "lax-contexts": { type: "boolean", default: false },
+        at: { type: "string" },
+        "clock-skew": { type: "string" },
+        challenge: { type: "string" },
+        domain: { type: "string" },
+        evidence: { type: "string", multiple: true, default: [] },
+        schema: { type: "string", multiple: true, default: [] },
+        policy: { type: "string" },
+        quiet: { type: "boolean", short: "q", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (!["text", "json", "junit"].includes(values.format)) {
+    throw usageError(`Unknown report format: ${values.format}`);
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw usageError(`--concurrency must be a positive integer`);
+  }
+
+  let at;
+  if (values.at) {
+    at = new Date(values.at);
+    if (isNaN(at.getTime())) {
+      throw usageError(`--at is not a valid date: ${values.at}`);
+    }
+  }
+
+  let clockSkew;
+  if (values["clock-skew"] !== undefined) {
+    clockSkew = Number(values["clock-skew"]);
+    if (!Number.isFinite(clockSkew) || clockSkew < 0) {
+      throw usageError(`--clock-skew must be a number of seconds`);
+    }
+  }
+
+  return {
+    options: { ...values, concurrency, at, clockSkew },
+    inputs: positionals,
+  };
+}
+
+/**
+ * Check whether a path contains glob characters
+ * @param {string} path - A command-line input
+ * @returns {boolean} True for globs
+ */
+function isGlob(path) {
+  return /[*?[]/.test(path);
+}
+
+/**
+ * Convert a glob to a regular expression over "/"-separated paths
+ * Supports `**` (any directories), `*`, `?` and character classes
+ *
+ * @param {string} glob - The glob, relative to its base directory
+ * @returns {RegExp} The pattern
+ */
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      pattern += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += glob[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i);
+      pattern += end > i ? glob.slice(i, end + 1) : "\\[";
+      i = end > i ? end : i;
+    } else {
+      pattern += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * List all files below a directory
+ * @param {string} directory - The directory
+ * @returns {AsyncGenerator<string>} File paths, in name order
+ */
+async function* walk(directory) {
+  const entries = await readdir(directory, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      yield* walk(path);
+    } else if (entry.isFile()) {
+      yield path;
+    }
+  }
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} path - The path
+ * @returns {Promise<boolean>} True for directories
+ */
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a file is read as documents when found in a directory
+ * @param {string} path - The file path
+ * @returns {boolean} True for JSON, JWT and JSONL files
+ */
+function isVerifiableFile(path) {
+  const lower = path.toLowerCase();
+  return [...DOCUMENT_EXTENSIONS, ...JSONL_EXTENSIONS].some((extension) =>
+    lower.endsWith(extension)
+  );
+}
+
+/**
+ * Expand command-line inputs to file paths
+ *
+ * @param {Array<string>} inputs - Files, directories, globs or "-"
+ * @returns {AsyncGenerator<string>} File paths, or "-" for stdin
+ */
+async function* expandInputs(inputs) {
+  for (const input of inputs) {
+    if (input === "-") {
+      yield input;
+    } else if (isGlob(input)) {
+      // Walk from the last directory before the first glob segment
+      const segments = input.split(/[\\/]/);
+      const first = segments.findIndex(isGlob);
+      const base = segments.slice(0, first).join(sep) || ".";
+      const pattern = globToRegExp(segments.slice(first).join("/"));
+      if (!(await isDirectory(base))) {
+        throw usageError(`No files match ${input}`);
+      }
+      let matched = false;
+      for await (const path of walk(base)) {
+        if (pattern.test(relative(base, path).split(sep).join("/"))) {
+          matched = true;
+          yield path;
+        }
+      }
+      if (!matched) {
+        throw usageError(`No files match ${input}`);
+      }
+    } else {
+      let info;
+      try {
+        info = await stat(input);
+      } catch (error) {
+        throw usageError(
+          `Cannot read ${input}: ${error.code || error.message}`
+        );
+      }
+      if (info.isDirectory()) {
+        for await (const path of walk(input)) {
+          if (isVerifiableFile(path)) {
+            yield path;
+          }
+        }
+      } else {
+        yield input;
+      }
+    }
+  }
+}
+
+/**
+ * Read the lines of a stream as documents
+ *
+ * @param {ReadableStream} stream - A file or stdin stream
+ * @param {string} source - Name used in reports
+ * @returns {AsyncGenerator<Object>} { source, input } per non-empty line
+ */
+async function* readLines(stream, source) {
+  const lines = createInterface({ input: stream, crlfDelay: Infinity });
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    if (line.trim()) {
+      yield { source: `${source}:${number}`, input: line };
+    }
+  }
+}
+
+/**
+ * Read stdin as one document, or as JSONL if it isn't a single one
+ *
+ * @param {ReadableStream} stdin - The standard input
+ * @returns {AsyncGenerator<Object>} { source, input } per document
+ */
+async function* readStdin(stdin) {
+  // Keep the first line apart: if it is a whole document on its own, the
+  // input is JSONL and the rest can be streamed
+  const lines = readLines(stdin, "stdin");
+  const first = await lines.next();
+  if (first.done) {
+    return;
+  }
+  const second = await lines.next();
+  if (second.done) {
+    yield first.value;
+    return;
+  }
+
+  if (isWholeDocument(first.value.input)) {
+    yield first.value;
+    yield second.value;
+    yield* lines;
+    return;
+  }
+
+  // A pretty-printed document spanning several lines
+  const rest = [first.value.input, second.value.input];
+  for await (const { input } of lines) {
+    rest.push(input);
+  }
+  yield { source: "stdin", input: rest.join("\n") };
+}
+
+/**
+ * Check whether a line holds a complete JSON document or compact JWT
+ * @param {string} line - A line of input
+ * @returns {boolean} True if the line can be verified on its own
+ */
+function isWholeDocument(line) {
+  const text = line.trim();
+  if (/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(text)) {
+    return true;
+  }
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the documents to verify from all inputs
+ *
+ * @param {Array<string>} inputs - Command-line inputs
+ * @param {ReadableStream} stdin - The standard input
+ * @returns {AsyncGenerator<Object>} { source, input } per document
+ */
+async function* readDocuments(inputs, stdin) {
+  for await (const path of expandInputs(inputs)) {
+    if (path === "-") {
+      yield* readStdin(stdin);
+    } else if (
+      JSONL_EXTENSIONS.some((extension) =>
+        path.toLowerCase().endsWith(extension)
+      )
+    ) {
+      yield* readLines(createReadStream(path), path);
+    } else {
+      yield { source: path, input: await readFile(path, "utf8") };
+    }
+  }
+}
+
+/**
+ * Load DID documents from JSON files
+ * Each file holds a DID document or an array of them
+ *
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Promise<Map<string, Object>>} DID documents by DID
+ */
+async function loadDidDocuments(paths) {
+  const documents = new Map();
+  for await (const path of expandInputs(paths)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await readFile(path, "utf8"));
+    } catch (error) {
+      throw usageError(`Invalid DID document file ${path}: ${error.message}`);
+    }
+    for (const document of Array.isArray(parsed) ? parsed : [parsed]) {
+      if (!document || typeof document.id !== "string") {
+        throw usageError(`DID document in ${path} has no id`);
+      }
+      documents.set(document.id, document);
+    }
+  }
+  return documents;
+}
+
+/**
+ * Read the files to check against declared hashes
+ *
+ * @param {Array<string>} paths - File paths
+ * @returns {Promise<Array<Object>>} Files as { name, bytes }, named by
+ *   their base name
+ */
+async function loadEvidenceFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    try {
+      files.push({ name: basename(path), bytes: await readFile(path) });
+    } catch (error) {
+      throw usageError(
+        `Cannot read evidence file ${path}: ${error.code || error.message}`
+      );
+    }
+  }
+  return files;
+}
+
+/**
+ * Register local schemas, so credentials referencing them need no network
+ *
+ * @param {Array<string>} entries - "<url>=<file>" or "<file>", where the
+ *   file is a JSON Schema, or a schema credential as JSON or a JWT, used
+ *   for the URL in its $id or id
+ */
+async function registerSchemaFiles(entries) {
+  for (const entry of entries) {
+    const separator = /^(https?|did):/.test(entry)
+      ? entry.lastIndexOf("=")
+      : -1;
+    const url = separator === -1 ? null : entry.slice(0, separator);
+    const path = separator === -1 ? entry : entry.slice(separator + 1);
+
+    let document;
+    let id = url;
+    try {
+      const text = (await readFile(path, "utf8")).trim();
+      document = isJwt(text) ? text : JSON.parse(text);
+      if (!id) {
+        id =
+          typeof document === "string"
+            ? decodeJwtCredential(document).credential.id
+            : document.$id || document.id;
+      }
+    } catch (error) {
+      throw usageError(
+        `Cannot read schema ${path}: ${error.code || error.message}`
+      );
+    }
+    if (typeof id !== "string") {
+      throw usageError(
+        `Schema ${path} has no $id or id; use --schema <url>=${path}`
+      );
+    }
+    registerSchema(id, document);
+  }
+}
+
+/**
+ * Read a verification policy
+ * Trust lists given as { file, issuer } are read from files relative to
+ * the policy file, as a credential in JSON or a JWT
+ *
+ * @param {string} path - The policy file
+ * @returns {Promise<Object>} The policy, for verify()
+ */
+async function loadPolicy(path) {
+  let policy;
+  try {
+    policy = JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw usageError(
+      `Cannot read policy ${path}: ${error.code || error.message}`
+    );
+  }
+
+  if (policy && Array.isArray(policy.trustLists)) {
+    policy.trustLists = await Promise.all(
+      policy.trustLists.map(async ({ file, ...entry }) => {
+        if (!file) {
+          return entry;
+        }
+        const listPath = resolve(dirname(path), file);
+        try {
+          const text = (await readFile(listPath, "utf8")).trim();
+          return {
+            ...entry,
+            credential: isJwt(text) ? text : JSON.parse(text),
+          };
+        } catch (error) {
+          throw usageError(
+            `Cannot read trust list ${listPath}: ${error.code || error.message}`
+          );
+        }
+      })
+    );
+  }
+
+  try {
+    normalizePolicy(policy);
+  } catch (error) {
+    throw usageError(`Invalid policy ${path}: ${error.message}`);
+  }
+  return policy;
+}
+
+/**
+ * Configure DID resolution and context loading
+ *
+ * @param {Object} options - Parsed command-line options
+ */
+async function configureVerifier(options) {
+  const didDocuments = await loadDidDocuments(options["did-documents"]);
+  await registerSchemaFiles(options.schema);
+
+  // Local DID documents come first; offline, only methods that need no
+  // network fall back to their built-in driver
+  const methods = new Set([
+    ...Object.keys(BUILT_IN_DRIVERS),
+    ...[...didDocuments.keys()].map((did) => did.split(":")[1]),
+  ]);
+  for (const method of methods) {
+    const builtIn = BUILT_IN_DRIVERS[method];
+    const fallback =
+      builtIn && (!options.offline || OFFLINE_METHODS.includes(method))
+        ? builtIn
+        : null;
+    registerDidMethod(method, async (did, parsed, network) => {
+      if (didDocuments.has(did)) {
+        return didDocuments.get(did);
+      }
+      if (fallback) {
+        return fallback(did, parsed, network);
+      }
+      throw resolutionError(
+        "notFound",
+        options.offline
+          ? `${did} is not in the local DID documents (offline mode)`
+          : `${did} is not in the local DID documents`
+      );
+    });
+  }
+
+  const allowlist = options["allow-context"].map(parseAllowlistEntry);
+  configureContextLoader({
+    strict: options.offline || !options["lax-contexts"],
+    ...(options.offline || allowlist.length ? { allowlist } : {}),
+  });
+}
+
+/**
+ * fetch() for offline mode, given to verify() so nothing else, e.g. status
+ * lists, reaches the network either
+ *
+ * @param {string} url - The URL
+ * @returns {Promise<never>} Always rejects
+ */
+async function offlineFetch(url) {
+  throw new TypeError(`Network access is disabled (offline mode): ${url}`);
+}
+
+/**
+ * Verify documents with a fixed number running at once
+ *
+ * @param {AsyncIterable<Object>} documents - { source, input } per document
+ * @param {Object} verifyOptions - Options for verify()
+ * @param {number} concurrency - Documents verified at once
+ * @param {Function} onResult - Called with each report entry, in input order,
+ *   as soon as it and all entries before it have finished
+ * @returns {Promise<Array<Object>>} Report entries in input order
+ */
+async function verifyAll(documents, verifyOptions, concurrency, onResult) {
+  const iterator = documents[Symbol.asyncIterator]();
+  const entries = [];
+  let index = 0;
+  let reported = 0;
+
+  const next = async () => {
+    // Reading one document at a time keeps JSONL streams lazy
+    const { done, value } = await iterator.next();
+    return done ? null : { ...value, index: index++ };
+  };
+  const worker = async () => {
+    for (let item = await next(); item; item = await next()) {
+      const result = await verify(item.input, verifyOptions);
+      entries[item.index] = toReportEntry(item.source, result);
+      while (entries[reported]) {
+        onResult(entries[reported++]);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return entries;
+}
+
+/**
+ * Reduce a verification result to what reports show
+ * Check details and the documents themselves are left out to keep large
+ * batches small
+ *
+ * @param {string} source - Where the document came from
+ * @param {Object} result - The result from verify()
+ * @returns {Object} The report entry
+ */
+function toReportEntry(source, result) {
+  const checks = (list) =>
+    list.map(({ name, status, code, message, durationMs }) => ({
+      name,
+      status,
+      code,
+      message,
+      durationMs,
+    }));
+
+  // Profile issues, apart from the checks: they don't affect the status
+  const profile = (value) =>
+    value && value.status !== "none"
+      ? {
+          status: value.status,
+          issues: value.profiles.flatMap(({ id, issues }) =>
+            issues.map((issue) => ({ profile: id, ...issue }))
+          ),
+        }
+      : null;
+
+  // Linked domains, also apart from the checks
+  const domainLinkage = (value) =>
+    value && value.status !== "none"
+      ? {
+          status: value.status,
+          domains: value.domains.map(({ origin, status, message }) => ({
+            origin,
+            status,
+            message,
+          })),
+        }
+      : null;
+
+  const entry = {
+    source,
+    kind: result.kind,
+    format: result.format,
+    status: result.status,
+    error: result.error,
+    suite: result.suite,
+    durationMs: result.durationMs,
+    checks: checks(result.checks),
+    profile: profile(result.profile),
+    domainLinkage: domainLinkage(result.domainLinkage),
+  };
+  if (result.credentials) {
+    entry.credentials = result.credentials.map((credential) => ({
+      status: credential.status,
+      error: credential.error,
+      suite: credential.suite,
+      checks: checks(credential.checks),
+      profile: profile(credential.profile),
+      domainLinkage: domainLinkage(credential.domainLinkage),
+    }));
+  }
+  return entry;
+}
+
+/**
+ * Count report entries by status
+ * @param {Array<Object>} entries - Report entries
+ * @param {number} durationMs - Total run time
+ * @returns {Object} { total, verified, failed, indeterminate, durationMs }
+ */
+function summarize(entries, durationMs) {
+  const count = (status) =>
+    entries.filter((entry) => entry.status === status).length;
+  return {
+    total: entries.length,
+    verified: count("verified"),
+    failed: count("failed"),
+    indeterminate: count("indeterminate"),
+    durationMs,
+  };
+}
+
+/**
+ * Format one report entry as a line of text
+ * @param {Object} entry - The report entry
+ * @returns {string} The line
+ */
+function formatTextLine(entry) {
+  const icons = { verified: "✓", failed: "✗", indeterminate: "?" };
+  const outcome =
+    entry.status === "verified"
+      ? `verified (${entry.suite})`
+      : `${entry.status}: [${entry.error.check}/${entry.error.code}] ${
+          entry.error.message
+        }${
+          entry.error.credential !== undefined
+            ? ` (credential ${entry.error.credential + 1})`
+            : ""
+        }`;
+  const profiles = [entry, ...(entry.credentials || [])]
+    .map((item) => item.profile)
+    .filter((profile) => profile && profile.issues.length);
+  const issues = profiles.flatMap((profile) => profile.issues);
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  const profile = issues.length
+    ? `  (profile: ${errors} error${errors === 1 ? "" : "s"}, ${
+        issues.length - errors
+      } warning${issues.length - errors === 1 ? "" : "s"})`
+    : "";
+  const domains = [entry, ...(entry.credentials || [])]
+    .flatMap((item) => (item.domainLinkage ? item.domainLinkage.domains : []))
+    .filter((domain) => domain.status === "verified")
+    .map((domain) => new URL(domain.origin).host);
+  const linkage = domains.length
+    ? `  (issuer controls ${[...new Set(domains)].join(", ")})`
+    : "";
+  return `${icons[entry.status]} ${
+    entry.source
+  }  ${outcome}${profile}${linkage}`;
+}
+
+/**
+ * Format the summary line of a text report
+ * @param {Object} summary - From summarize()
+ * @returns {string} The line
+ */
+function formatTextSummary(summary) {
+  return `\n${summary.total} checked: ${summary.verified} verified, ${
+    summary.failed
+  } failed, ${summary.indeterminate} indeterminate (${(
+    summary.durationMs / 1000
+  ).toFixed(1)}s)`;
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {*} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format a JUnit XML report
+ * Failed documents are failures; documents that couldn't be fully checked
+ * are errors
+ *
+ * @param {Array<Object>} entries - Report entries
+ * @param {Object} summary - From summarize()
+ * @returns {string} The XML document
+ */
+function formatJunit(entries, summary) {
+  const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const testcases = entries.map((entry) => {
+    const name = escapeXml(entry.source);
+    const classname = escapeXml(`vc-verify.${entry.kind || "input"}`);
+    const open = `    <testcase name="${name}" classname="${classname}" time="${seconds(
+      entry.durationMs
+    )}"`;
+    if (entry.status === "verified") {
+      return `${open}/>`;
+    }
+
+    const element = entry.status === "failed" ? "failure" : "error";
+    const checks = entry.checks
+      .map(
+        (check) =>
+          `${check.status.padEnd(4)} ${check.name}${
+            check.code ? ` [${check.code}]` : ""
+          }: ${check.message}`
+      )
+      .join("\n");
+    return `${open}>
+      <${element} message="${escapeXml(entry.error.message)}" type="${escapeXml(
+      entry.error.code
+    )}">${escapeXml(checks)}</${element}>
+    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="vc-verify" tests="${summary.total}" failures="${
+    summary.failed
+  }" errors="${summary.indeterminate}" time="${seconds(summary.durationMs)}">
+  <testsuite name="vc-verify" tests="${summary.total}" failures="${
+    summary.failed
+  }" errors="${summary.indeterminate}" time="${seconds(summary.durationMs)}">
+${testcases.join("\n")}
+  </testsuite>
+</testsuites>
+`;
+}
+
+/**
+ * Run the command-line verifier
+ *
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Streams, for embedding and tests
+ * @param {ReadableStream} [io.stdin] - Standard input
+ * @param {WritableStream} [io.stdout] - Report output
+ * @param {WritableStream} [io.stderr] - Errors and progress
+ * @returns {Promise<number>} The exit code
+ */
+export async function runCli(
+  argv,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {}
+) {
+  const start = Date.now();
+  let options;
+  let inputs;
+  let evidence;
+  let policy;
+  try {
+    ({ options, inputs } = parseCommandLine(argv));
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_VERIFIED;
+    }
+    if (inputs.length === 0) {
+      if (stdin.isTTY) {
+        throw usageError("No input given");
+      }
+      inputs = ["-"];
+    }
+    await configureVerifier(options);
+    evidence = await loadEvidenceFiles(options.evidence);
+    policy = options.policy ? await loadPolicy(options.policy) : undefined;
+  } catch (error) {
+    stderr.write(`vc-verify: ${error.message}\n`);
+    if (error.code === "usage") {
+      stderr.write(`Run vc-verify --help for usage.\n`);
+    }
+    return EXIT_USAGE;
+  }
+
+  // Text reports stream to stdout as documents finish
+  const streamText = options.format === "text" && !options.output;
+  const onResult = (entry) => {
+    if (streamText && !(options.quiet && entry.status === "verified")) {
+      stdout.write(`${formatTextLine(entry)}\n`);
+    }
+  };
+
+  let entries;
+  try {
+    entries = await verifyAll(
+      readDocuments(inputs, stdin),
+      {
+        at: options.at,
+        clockSkew: options.clockSkew,
+        challenge: options.challenge,
+        domain: options.domain,
+        evidence,
+        policy,
+        fetch: options.offline ? offlineFetch : undefined,
+      },
+      options.concurrency,
+      onResult
+    );
+  } catch (error) {
+    stderr.write(`vc-verify: ${error.message}\n`);
+    return error.code === "usage" ? EXIT_USAGE : EXIT_FAILED;
+  }
+
+  const summary = summarize(entries, Date.now() - start);
+  let report;
+  if (options.format === "json") {
+    report = `${JSON.stringify({ summary, results: entries }, null, 2)}\n`;
+  } else if (options.format === "junit") {
+    report = formatJunit(entries, summary);
+  } else {
+    report = `${entries
+      .filter((entry) => !(options.quiet && entry.status === "verified"))
+      .map(formatTextLine)
+      .join("\n")}\n`;
+  }
+
+  if (options.output) {
+    await writeFile(resolve(options.output), report);
+    stderr.write(`${formatTextSummary(summary).trim()}\n`);
+  } else if (streamText) {
+    stdout.write(`${formatTextSummary(summary)}\n`);
+  } else {
+    stdout.write(report);
+  }
+
+  if (summary.total === 0) {
+    stderr.write("vc-verify: no documents found\n");
+    return EXIT_USAGE;
+  }
+  return summary.verified === summary.total ? EXIT_VERIFIED : EXIT_FAILED;
+}
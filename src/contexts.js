@@ -0,0 +1,489 @@
+/**
+ * JSON-LD Context Loading
+ *
+ * Contexts decide what gets canonicalized and signed, so they are never
+ * guessed. Every context comes from one of two places:
+ * - the bundle: copies shipped with the verifier, each pinned to a SHA-256
+ *   digest that is checked before the copy is first used
+ * - the network: only for URLs on the remote context allowlist when strict
+ *   loading is on (the default), checked against any digest from the
+ *   allowlist and the credential's VC 2.0 `relatedResource` entries;
+ *   fetched contexts are kept in the context cache (cache.js) and their
+ *   digests checked again on every load
+ *
+ * A context that can't be loaded, or doesn't match its digest, is a hard
+ * error naming the context. createContextReport() records where each context
+ * was served from for the UI.
+ */
+
+import * as base58btc from "base58-universal";
+import * as base64url from "base64url-universal";
+import * as credentialsContext from "@digitalbazaar/credentials-context";
+import statusList2021Context from "@digitalbazaar/vc-status-list-context";
+import * as bitstringStatusListContext from "@digitalbazaar/vc-bitstring-status-list-context";
+import securityContext from "@digitalbazaar/security-context";
+import didContext from "did-context";
+import { getSuiteContext } from "./suites.js";
+import { contextCache } from "./cache.js";
+import { fetchWithOptions } from "./network.js";
+
+// DIF Well-Known DID Configuration context of Domain Linkage Credentials
+// (linkage.js), which has no npm package
+const DID_CONFIGURATION_TERMS =
+  "https://identity.foundation/.well-known/resources/did-configuration/#";
+const didConfigurationContext = {
+  "@context": [
+    {
+      "@version": 1.1,
+      "@protected": true,
+      LinkedDomains: `${DID_CONFIGURATION_TERMS}LinkedDomains`,
+      DomainLinkageCredential: `${DID_CONFIGURATION_TERMS}DomainLinkageCredential`,
+      origin: `${DID_CONFIGURATION_TERMS}origin`,
+      linked_dids: `${DID_CONFIGURATION_TERMS}linked_dids`,
+    },
+  ],
+};
+
+/**
+ * Contexts bundled with the verifier, in addition to the suite contexts
+ * registered in suites.js
+ * @type {Map<string, Object>}
+ */
+const BUNDLED_CONTEXTS = new Map([
+  ...credentialsContext.contexts,
+  ...statusList2021Context.contexts,
+  ...bitstringStatusListContext.contexts,
+  ...securityContext.contexts,
+  ...didContext.contexts,
+  [
+    "https://identity.foundation/.well-known/did-configuration/v1",
+    didConfigurationContext,
+  ],
+]);
+
+/**
+ * SHA-256 digests (SRI format) of the bundled contexts, taken over their
+ * JSON serialization. A bundled copy that doesn't match is never used.
+ * @const {Object}
+ */
+const PINNED_DIGESTS = {
+  "https://www.w3.org/ns/credentials/undefined-terms/v2":
+    "sha256-OxHh34xhhEfp9583N+PDD8CEFTfrlfNgA3QsYzZyu58=",
+  "https://www.w3.org/2018/credentials/v1":
+    "sha256-d46zov+tXfl3MjHaYbQsCY6YSYRIc6a1v5vpXHDXPfc=",
+  "https://www.w3.org/ns/credentials/v2":
+    "sha256-v2/WEeZ3PVj2SUWaRdu7gflOjP0FinVmRM1aSogsQFA=",
+  "https://w3id.org/vc/status-list/2021/v1":
+    "sha256-JCD1OkrzGUSq3h57mNwrLpT9JDQ40ghk45sbv3TcPCg=",
+  "https://www.w3.org/ns/credentials/status/v1":
+    "sha256-HV1VfRdDlfRnwCVyb/N9pLGOgdleKn4oXY4hWOX4ic4=",
+  "https://w3id.org/security/v1":
+    "sha256-kR7luYsWbMes1ZEKk0iFoeRm6BoWf8ZpQXIu46aXA+M=",
+  "https://w3id.org/security/v2":
+    "sha256-JyxW8ajtUrY6T3b/vqoQWyPjhicD3zbfszKSrWzbgag=",
+  "https://www.w3.org/ns/did/v1":
+    "sha256-ki2G/vBqzAdU70Wk1mLFG1fc0cnas7vcjXHagShaUnA=",
+  "https://w3id.org/security/suites/ed25519-2018/v1":
+    "sha256-w9HuqMC78pZ24xQdLynMo3FyWYAPDnXK7n26s+eC8ls=",
+  "https://w3id.org/security/suites/ed25519-2020/v1":
+    "sha256-nM8rKleahsH9Fn9NHfvevHLa5Ex7TVknFc1iHhtca6g=",
+  "https://w3id.org/security/data-integrity/v1":
+    "sha256-PXba4M2YsokxLgLAjWp7dGyxxm2hfWBQZ/EPaX6gp2w=",
+  "https://w3id.org/security/data-integrity/v2":
+    "sha256-viI8WMVGV+kwlw8NEfA8r3KHvdx75+bwEIVRkMaznCE=",
+  "https://w3id.org/security/multikey/v1":
+    "sha256-kfEwswtnBe5l36j4bnSSKnSqoNX8i7NUJ+wtYH060+s=",
+  "https://identity.foundation/.well-known/did-configuration/v1":
+    "sha256-+HfKh/SBzEAdHdeGhmkmtCx19J82lqDAUgKBOyiNtpQ=",
+};
+
+/**
+ * Remote contexts allowed by default in strict mode
+ * Entries ending in "/" allow every URL below them
+ * @const {Array<Object>}
+ */
+export const DEFAULT_REMOTE_CONTEXTS = [
+  // Building asset templates used by the sample credential
+  { url: "https://api-andromeda.susi.spherity.dev/templates/" },
+];
+
+// Multihash codes of the digest algorithms accepted in digestMultibase
+const MULTIHASH_ALGORITHMS = {
+  0x12: "SHA-256",
+  0x13: "SHA-512",
+  0x20: "SHA-384",
+};
+
+// SRI algorithm prefixes
+const SRI_ALGORITHMS = {
+  sha256: "SHA-256",
+  sha384: "SHA-384",
+  sha512: "SHA-512",
+};
+
+let strict = true;
+let allowlist = [...DEFAULT_REMOTE_CONTEXTS];
+
+// Pin checks of bundled contexts, by URL
+const pinChecks = new Map();
+
+/**
+ * Create a context loading error with a machine-readable code
+ *
+ * @param {string} code - contextNotAllowed, contextDigestMismatch,
+ *   contextPinMismatch or contextLoadFailed
+ * @param {string} message - Human readable description naming the context
+ * @returns {Error} The error, with its code in `code`
+ */
+function contextError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Configure context loading
+ *
+ * @param {Object} options - Loader options
+ * @param {boolean} [options.strict] - Only fetch allowlisted remote contexts
+ * @param {Array<Object>} [options.allowlist] - Remote contexts as
+ *   { url, digestSRI }; replaces the current allowlist
+ */
+export function configureContextLoader({
+  strict: strictMode,
+  allowlist: entries,
+} = {}) {
+  if (strictMode !== undefined) {
+    strict = Boolean(strictMode);
+  }
+  if (entries !== undefined) {
+    allowlist = entries.map(({ url, digestSRI }) => ({ url, digestSRI }));
+  }
+}
+
+/**
+ * Get the current context loader configuration
+ * @returns {Object} { strict, allowlist }
+ */
+export function getContextLoaderConfig() {
+  return { strict, allowlist: allowlist.map((entry) => ({ ...entry })) };
+}
+
+/**
+ * Parse an allowlist entry given as "<url>" or "<url>=<digestSRI>", as in
+ * --allow-context
+ * The digest starts at the first "=" followed by an SRI algorithm, so the
+ * "=" padding of the digest and any "=" in the URL are kept
+ *
+ * @param {string} entry - The entry
+ * @returns {Object} { url, digestSRI }, digestSRI undefined if not pinned
+ */
+export function parseAllowlistEntry(entry) {
+  const separator = entry.search(
+    new RegExp(`=(${Object.keys(SRI_ALGORITHMS).join("|")})-`)
+  );
+  if (separator === -1) {
+    return { url: entry, digestSRI: undefined };
+  }
+  return {
+    url: entry.slice(0, separator),
+    digestSRI: entry.slice(separator + 1),
+  };
+}
+
+/**
+ * Check whether a context URL is bundled with the verifier
+ * @param {string} url - The context URL
+ * @returns {boolean} True if the context never needs the network
+ */
+export function isBundledContext(url) {
+  return Boolean(getSuiteContext(url) || BUNDLED_CONTEXTS.get(url));
+}
+
+/**
+ * Find the allowlist entry covering a URL
+ * @param {string} url - The context URL
+ * @returns {Object|null} The entry, or null if the URL isn't allowed
+ */
+function findAllowlistEntry(url) {
+  return (
+    allowlist.find(
+      (entry) =>
+        entry.url === url ||
+        (entry.url.endsWith("/") && url.startsWith(entry.url))
+    ) || null
+  );
+}
+
+/**
+ * Compute an SRI digest ("sha256-<base64>")
+ *
+ * @param {Uint8Array} bytes - The data
+ * @param {string} [algorithm="sha256"] - sha256, sha384 or sha512
+ * @returns {Promise<string>} The digest in SRI format
+ */
+export async function computeDigestSRI(bytes, algorithm = "sha256") {
+  const digest = await crypto.subtle.digest(SRI_ALGORITHMS[algorithm], bytes);
+  return `${algorithm}-${btoa(String.fromCharCode(...new Uint8Array(digest)))}`;
+}
+
+/**
+ * Check data against an SRI digest
+ * Several space separated digests may be given; one must match
+ *
+ * @param {Uint8Array} bytes - The data
+ * @param {string} digestSRI - The expected digest(s)
+ * @returns {Promise<boolean>} True if the data matches
+ */
+export async function matchesDigestSRI(bytes, digestSRI) {
+  for (const expected of digestSRI.trim().split(/\s+/)) {
+    const algorithm = expected.split("-")[0];
+    if (
+      SRI_ALGORITHMS[algorithm] &&
+      (await computeDigestSRI(bytes, algorithm)) === expected
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check data against a digestMultibase value (a multibase encoded multihash)
+ *
+ * @param {Uint8Array} bytes - The data
+ * @param {string} digestMultibase - The expected digest
+ * @returns {Promise<boolean>} True if the data matches
+ */
+export async function matchesDigestMultibase(bytes, digestMultibase) {
+  let multihash;
+  try {
+    const encoded = digestMultibase.slice(1);
+    multihash =
+      digestMultibase[0] === "z"
+        ? base58btc.decode(encoded)
+        : digestMultibase[0] === "u"
+        ? base64url.decode(encoded)
+        : null;
+  } catch (error) {
+    multihash = null;
+  }
+
+  const algorithm = multihash && MULTIHASH_ALGORITHMS[multihash[0]];
+  if (!algorithm || multihash[1] !== multihash.length - 2) {
+    return false;
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest(algorithm, bytes));
+  const expected = multihash.slice(2);
+  return (
+    digest.length === expected.length &&
+    digest.every((byte, index) => byte === expected[index])
+  );
+}
+
+/**
+ * Collect the digests a document declares for its related resources
+ *
+ * @param {Object} document - A credential or presentation
+ * @returns {Map<string, Object>} { digestSRI, digestMultibase } by resource URL
+ */
+export function getRelatedResourceDigests(document) {
+  const digests = new Map();
+  const { relatedResource } = document || {};
+  const resources = Array.isArray(relatedResource)
+    ? relatedResource
+    : relatedResource
+    ? [relatedResource]
+    : [];
+
+  for (const resource of resources) {
+    if (resource && resource.id) {
+      digests.set(resource.id, {
+        digestSRI: resource.digestSRI,
+        digestMultibase: resource.digestMultibase,
+      });
+    }
+  }
+  return digests;
+}
+
+/**
+ * Check a bundled context against its pinned digest, once per URL
+ * @param {string} url - The context URL
+ * @param {Object} document - The bundled context
+ * @returns {Promise<boolean>} True if pinned, false if the context has no pin
+ */
+function checkPin(url, document) {
+  if (!pinChecks.has(url)) {
+    pinChecks.set(
+      url,
+      (async () => {
+        const pin = PINNED_DIGESTS[url];
+        if (!pin) {
+          return false;
+        }
+        const bytes = new TextEncoder().encode(JSON.stringify(document));
+        if (!(await matchesDigestSRI(bytes, pin))) {
+          throw contextError(
+            "contextPinMismatch",
+            `Bundled context ${url} does not match its pinned digest`
+          );
+        }
+        return true;
+      })()
+    );
+  }
+  return pinChecks.get(url);
+}
+
+/**
+ * Fetch a remote context, or take it from the context cache
+ * @param {string} url - The context URL
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} { document, bytes }
+ */
+async function fetchContext(url, network) {
+  const cached = contextCache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await fetchWithOptions(
+      url,
+      { headers: { Accept: "application/ld+json, application/json" } },
+      network
+    );
+  } catch (error) {
+    throw contextError(
+      "contextLoadFailed",
+      `Could not load context ${url}: ${error.message}`
+    );
+  }
+  if (!response.ok) {
+    throw contextError(
+      "contextLoadFailed",
+      `Could not load context ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  let document;
+  try {
+    document = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw contextError(
+      "contextLoadFailed",
+      `Could not load context ${url}: not valid JSON`
+    );
+  }
+
+  const remote = { document, bytes };
+  contextCache.set(url, remote, "network");
+  return remote;
+}
+
+/**
+ * Check a context against every digest given for it
+ *
+ * @param {string} url - The context URL
+ * @param {Uint8Array} bytes - The context as loaded
+ * @param {Array<Array>} digests - [name, digest, matches] per digest; empty
+ *   digests are left out
+ * @returns {Promise<boolean>} True if any digest was checked
+ * @throws {Error} With code contextDigestMismatch naming the first digest
+ *   that doesn't match
+ */
+async function checkDigests(url, bytes, digests) {
+  const given = digests.filter(([, digest]) => Boolean(digest));
+  for (const [name, digest, matches] of given) {
+    if (!(await matches(bytes, digest))) {
+      throw contextError(
+        "contextDigestMismatch",
+        `Context ${url} does not match its ${name}`
+      );
+    }
+  }
+  return given.length > 0;
+}
+
+/**
+ * Load a JSON-LD context from the bundle or, if allowed, the network
+ * Digests from relatedResource are checked against bundled contexts too,
+ * as the bytes their pins cover
+ *
+ * @param {string} url - The context URL
+ * @param {Object} [expected] - Digests from the credential's relatedResource
+ * @param {string} [expected.digestSRI] - Expected SRI digest
+ * @param {string} [expected.digestMultibase] - Expected multibase digest
+ * @param {Object} [network] - { fetch, signal, timeout } for remote
+ *   contexts, see network.js
+ * @returns {Promise<Object>} { document, source, pinned, digestSRI }
+ */
+export async function loadContext(url, expected = {}, network = {}) {
+  const related = [
+    ["relatedResource digestSRI", expected.digestSRI, matchesDigestSRI],
+    [
+      "relatedResource digestMultibase",
+      expected.digestMultibase,
+      matchesDigestMultibase,
+    ],
+  ];
+
+  const bundled = getSuiteContext(url) || BUNDLED_CONTEXTS.get(url);
+  if (bundled) {
+    const pinned = await checkPin(url, bundled);
+    await checkDigests(
+      url,
+      new TextEncoder().encode(JSON.stringify(bundled)),
+      related
+    );
+    return { document: bundled, source: "bundle", pinned, digestSRI: null };
+  }
+
+  const allowed = findAllowlistEntry(url);
+  if (strict && !allowed) {
+    throw contextError(
+      "contextNotAllowed",
+      `Context ${url} is not bundled and not on the remote context allowlist`
+    );
+  }
+
+  const { document, bytes } = await fetchContext(url, network);
+
+  // Every digest given for the context must match what was fetched
+  const pinned = await checkDigests(url, bytes, [
+    ["allowlist digestSRI", allowed && allowed.digestSRI, matchesDigestSRI],
+    ...related,
+  ]);
+
+  return {
+    document,
+    source: "network",
+    pinned,
+    digestSRI: await computeDigestSRI(bytes),
+  };
+}
+
+/**
+ * Create a report of the contexts loaded while verifying one document
+ * @returns {Object} { entries, record(url, loaded|error) }; failed entries
+ *   have source "error" with the error message and code
+ */
+export function createContextReport() {
+  const entries = [];
+  return {
+    entries,
+    record(url, { source, pinned, digestSRI, error, code }) {
+      if (!entries.some((entry) => entry.url === url)) {
+        entries.push(
+          error
+            ? { url, source: "error", error, code }
+            : { url, source, pinned, digestSRI }
+        );
+      }
+    },
+  };
+}
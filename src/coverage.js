@@ -0,0 +1,261 @@
+/**
+ * Signature Coverage Checks
+ *
+ * A Linked Data proof signs the RDF graph of a credential, not its JSON.
+ * JSON-LD expansion silently drops every term the `@context` doesn't
+ * define, so such properties can be added or changed without breaking the
+ * signature. Terms picked up by an "undefined terms" `@vocab`, such as the
+ * VC 2.0 undefined-terms context, are signed but have no agreed meaning.
+ *
+ * This file finds both kinds of property:
+ * 1. Expand the document, recording every property expansion drops
+ * 2. Compact the expansion again with the document's own `@context`
+ * 3. Compare the round trip with the input: properties missing from the
+ *    round trip were dropped
+ * 4. Collect expanded properties and types in an undefined vocabulary
+ */
+
+import jsonld from "jsonld";
+
+// Vocabularies that only exist to give undefined terms an IRI
+export const UNDEFINED_VOCABULARIES = [
+  // VC 2.0 undefined-terms context
+  "https://www.w3.org/ns/credentials/undefined-term#",
+  // VC 2.0 drafts
+  "https://www.w3.org/ns/credentials/issuer-dependent#",
+  // Fallback context older versions of this verifier served for unknown URLs
+  "https://example.org/undefined#",
+];
+
+// Messages per reason a property isn't protected
+const REASONS = {
+  dropped: "not defined by @context, dropped before signing",
+  relativeType: "type not defined by @context",
+  undefinedTerm: "mapped to an undefined vocabulary",
+  undefinedType: "type mapped to an undefined vocabulary",
+};
+
+/**
+ * Find the vocabulary an IRI belongs to, if it is an undefined one
+ * @param {string} iri - An expanded property or type IRI
+ * @returns {string|null} The undefined vocabulary, or null
+ */
+function getUndefinedVocabulary(iri) {
+  return (
+    UNDEFINED_VOCABULARIES.find((vocabulary) => iri.startsWith(vocabulary)) ||
+    null
+  );
+}
+
+/**
+ * Wrap a JSON-LD value in an array
+ * @param {*} value - A single value or an array
+ * @returns {Array} The values
+ */
+function asArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a value is a node object that can hold properties
+ * @param {*} value - A JSON-LD value
+ * @returns {boolean} True for plain objects other than value objects
+ */
+function isNode(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    value["@value"] === undefined
+  );
+}
+
+/**
+ * Compare the input with its expand/compact round trip and collect the
+ * paths of properties that did not survive
+ *
+ * @param {*} input - Part of the input document
+ * @param {*} roundTrip - The same part after the round trip
+ * @param {string} path - Path of this part, e.g. "credentialSubject"
+ * @param {Set<string>} droppedTerms - Properties expansion reported dropping
+ * @param {Array<Object>} found - Collected properties
+ */
+function findDropped(input, roundTrip, path, droppedTerms, found) {
+  if (Array.isArray(input) || Array.isArray(roundTrip)) {
+    const inputs = asArray(input);
+    const roundTrips = roundTrip === undefined ? [] : asArray(roundTrip);
+    inputs.forEach((value, index) =>
+      findDropped(
+        value,
+        roundTrips[index],
+        inputs.length > 1 ? `${path}[${index}]` : path,
+        droppedTerms,
+        found
+      )
+    );
+    return;
+  }
+  if (!isNode(input)) {
+    return;
+  }
+
+  for (const [term, value] of Object.entries(input)) {
+    if (term.startsWith("@")) {
+      continue;
+    }
+    const termPath = path ? `${path}.${term}` : term;
+    const survived = isNode(roundTrip) && roundTrip[term] !== undefined;
+
+    if (!survived && droppedTerms.has(term)) {
+      found.push({ path: termPath, term, reason: "dropped" });
+    } else if (survived) {
+      findDropped(value, roundTrip[term], termPath, droppedTerms, found);
+    }
+  }
+}
+
+/**
+ * Collect the properties and types of an expanded document that are in an
+ * undefined vocabulary
+ *
+ * @param {*} expanded - Part of the expanded document
+ * @param {Set<string>} terms - Collected property IRIs
+ * @param {Set<string>} types - Collected type IRIs
+ */
+function findUndefinedIris(expanded, terms, types) {
+  if (Array.isArray(expanded)) {
+    expanded.forEach((value) => findUndefinedIris(value, terms, types));
+    return;
+  }
+  if (!isNode(expanded)) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(expanded)) {
+    if (key === "@type") {
+      asArray(value)
+        .filter(getUndefinedVocabulary)
+        .forEach((type) => types.add(type));
+    } else if (!key.startsWith("@") && getUndefinedVocabulary(key)) {
+      terms.add(key);
+    }
+    findUndefinedIris(value, terms, types);
+  }
+}
+
+/**
+ * Find where a term or type is used in the input document
+ *
+ * @param {*} input - Part of the input document
+ * @param {string} path - Path of this part
+ * @param {Function} match - Called with (term, value), returns the matched
+ *   term or type, or null
+ * @param {Array<Object>} matches - Collected { path, term }
+ */
+function findPaths(input, path, match, matches) {
+  if (Array.isArray(input)) {
+    input.forEach((value, index) =>
+      findPaths(
+        value,
+        input.length > 1 ? `${path}[${index}]` : path,
+        match,
+        matches
+      )
+    );
+    return;
+  }
+  if (!isNode(input)) {
+    return;
+  }
+
+  for (const [term, value] of Object.entries(input)) {
+    if (term === "@context") {
+      continue;
+    }
+    const termPath = path ? `${path}.${term}` : term;
+    const matched = match(term, value);
+    if (matched) {
+      matches.push({ path: termPath, term: matched });
+    }
+    findPaths(value, termPath, match, matches);
+  }
+}
+
+/**
+ * Find the properties of a credential or presentation that are not
+ * protected by its Linked Data proof
+ *
+ * @param {Object} document - The credential or presentation
+ * @param {Function} documentLoader - Loader for the document's contexts
+ * @returns {Promise<Array<Object>>} { path, term, reason, message } per
+ *   property, where reason is dropped, relativeType, undefinedTerm or
+ *   undefinedType
+ */
+export async function findUnprotectedProperties(document, documentLoader) {
+  // Expansion reports each property it drops and each type it can't make
+  // absolute; safe mode is off so it carries on and the whole document can
+  // be checked
+  const droppedTerms = new Set();
+  const typeReasons = new Map();
+  const eventHandler = ({ event, next }) => {
+    if (event.code === "invalid property") {
+      droppedTerms.add(event.details.property);
+    } else if (event.code === "relative @type reference") {
+      typeReasons.set(event.details.type, "relativeType");
+    }
+    next();
+  };
+
+  const expanded = await jsonld.expand(document, {
+    documentLoader,
+    eventHandler,
+  });
+  const roundTrip = await jsonld.compact(
+    expanded,
+    { "@context": document["@context"] },
+    { documentLoader }
+  );
+
+  const found = [];
+  findDropped(document, roundTrip, "", droppedTerms, found);
+
+  // Undefined terms keep their name after the vocabulary, e.g.
+  // issuer-dependent#foo for "foo", so they can be found in the input
+  const terms = new Set();
+  const types = new Set();
+  findUndefinedIris(expanded, terms, types);
+
+  const localName = (iri) => iri.slice(getUndefinedVocabulary(iri).length);
+  const undefinedTerms = new Set([...terms].map(localName));
+  types.forEach((type) => typeReasons.set(localName(type), "undefinedType"));
+
+  const termMatches = [];
+  findPaths(
+    document,
+    "",
+    (term) => (undefinedTerms.has(term) ? term : null),
+    termMatches
+  );
+  termMatches.forEach((match) =>
+    found.push({ ...match, reason: "undefinedTerm" })
+  );
+
+  const typeMatches = [];
+  findPaths(
+    document,
+    "",
+    (term, value) =>
+      term === "type" || term === "@type"
+        ? asArray(value).find((type) => typeReasons.has(type)) || null
+        : null,
+    typeMatches
+  );
+  typeMatches.forEach((match) =>
+    found.push({ ...match, reason: typeReasons.get(match.term) })
+  );
+
+  return found.map((property) => ({
+    ...property,
+    message: `${property.path}: ${REASONS[property.reason]}`,
+  }));
+}
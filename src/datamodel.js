@@ -0,0 +1,145 @@
+/**
+ * Verifiable Credentials Data Model Helpers
+ *
+ * This file works out which version of the W3C VC Data Model a credential
+ * or presentation uses and reads the properties whose shape differs between
+ * versions:
+ * - VC Data Model 1.1: https://www.w3.org/2018/credentials/v1 first,
+ *   issuanceDate/expirationDate
+ * - VC Data Model 2.0: https://www.w3.org/ns/credentials/v2 first,
+ *   validFrom/validUntil, multilingual name and description
+ *
+ * Both versions allow `issuer` to be a URL or an object with an `id`.
+ */
+
+export const VC_V1_CONTEXT = "https://www.w3.org/2018/credentials/v1";
+export const VC_V2_CONTEXT = "https://www.w3.org/ns/credentials/v2";
+
+// Data model versions keyed by their base context
+const DATA_MODELS = {
+  [VC_V1_CONTEXT]: { version: "1.1", label: "VC Data Model 1.1" },
+  [VC_V2_CONTEXT]: { version: "2.0", label: "VC Data Model 2.0" },
+};
+
+/**
+ * Detect the data model version of a credential or presentation
+ * The base context must come first in `@context`
+ *
+ * @param {Object} document - The credential or presentation
+ * @returns {Object} { version, label, warnings }; version is null if unknown
+ */
+export function getDataModel(document) {
+  const contexts = Array.isArray(document["@context"])
+    ? document["@context"]
+    : [document["@context"]];
+  const dataModel = DATA_MODELS[contexts[0]];
+
+  if (!dataModel) {
+    const misplaced = contexts.find((context) => DATA_MODELS[context]);
+    return {
+      version: null,
+      label: "Unknown",
+      warnings: [
+        misplaced
+          ? `${misplaced} must be the first @context entry`
+          : "No VC Data Model base context in @context",
+      ],
+    };
+  }
+
+  // Properties that belong to the other version aren't defined by this
+  // version's context
+  const warnings = [];
+  if (dataModel.version === "2.0") {
+    for (const property of ["issuanceDate", "expirationDate"]) {
+      if (document[property] !== undefined) {
+        warnings.push(
+          `${property} is a VC 1.1 property; VC 2.0 uses validFrom/validUntil`
+        );
+      }
+    }
+  } else {
+    for (const property of ["validFrom", "validUntil"]) {
+      if (document[property] !== undefined) {
+        warnings.push(
+          `${property} is a VC 2.0 property; VC 1.1 uses issuanceDate/expirationDate`
+        );
+      }
+    }
+  }
+
+  return { ...dataModel, warnings };
+}
+
+/**
+ * Pick the best value of a possibly multilingual property
+ * Accepts a plain string, a language value object ({ "@value", "@language" })
+ * or an array of those, and prefers the reader's languages
+ *
+ * @param {string|Object|Array} value - The property value
+ * @param {Array<string>} [languages] - Preferred language tags, best first
+ * @returns {string|null} The chosen text
+ */
+export function getLocalizedValue(value, languages = getPreferredLanguages()) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === "string") {
+    return value;
+  }
+
+  const values = (Array.isArray(value) ? value : [value]).filter(
+    (entry) =>
+      typeof entry === "string" || (entry && entry["@value"] !== undefined)
+  );
+  if (values.length === 0) {
+    return null;
+  }
+
+  const languageOf = (entry) =>
+    typeof entry === "string" ? "" : (entry["@language"] || "").toLowerCase();
+  const textOf = (entry) =>
+    typeof entry === "string" ? entry : String(entry["@value"]);
+
+  // Exact tag first (en-GB), then the primary language (en)
+  for (const language of languages.map((tag) => tag.toLowerCase())) {
+    const primary = language.split("-")[0];
+    const match =
+      values.find((entry) => languageOf(entry) === language) ||
+      values.find((entry) => languageOf(entry).split("-")[0] === primary);
+    if (match) {
+      return textOf(match);
+    }
+  }
+
+  return textOf(values[0]);
+}
+
+/**
+ * Get the reader's preferred languages
+ * @returns {Array<string>} Language tags, best first
+ */
+function getPreferredLanguages() {
+  if (typeof navigator !== "undefined" && navigator.languages) {
+    return [...navigator.languages];
+  }
+  return ["en"];
+}
+
+/**
+ * Read the issuer of a credential, given as a URL or an object
+ *
+ * @param {Object} credential - The credential
+ * @returns {Object} { id, name, description } with localized text
+ */
+export function getIssuer(credential) {
+  const { issuer } = credential;
+  if (!issuer || typeof issuer !== "object") {
+    return { id: issuer || null, name: null, description: null };
+  }
+  return {
+    id: issuer.id || null,
+    name: getLocalizedValue(issuer.name),
+    description: getLocalizedValue(issuer.description),
+  };
+}
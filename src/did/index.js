@@ -0,0 +1,36 @@
+/**
+ * DID Resolution
+ *
+ * Entry point for DID resolution. Registers the built-in method drivers and
+ * re-exports the resolver API, so the rest of the app (and host apps adding
+ * their own drivers) only import from here:
+ *
+ *   import { registerDidMethod, resolveDid } from "./did/index.js";
+ *
+ * Built-in drivers:
+ * - did:web  (HTTPS, see web.js)
+ * - did:key  (offline, see key.js)
+ * - did:jwk  (offline, see jwk.js)
+ * - did:peer (offline, numalgo 0 and 2, see peer.js)
+ */
+
+import { registerDidMethod } from "./resolver.js";
+import { resolveDidWeb } from "./web.js";
+import { resolveDidKey } from "./key.js";
+import { resolveDidJwk } from "./jwk.js";
+import { resolveDidPeer } from "./peer.js";
+
+registerDidMethod("web", resolveDidWeb);
+registerDidMethod("key", resolveDidKey);
+registerDidMethod("jwk", resolveDidJwk);
+registerDidMethod("peer", resolveDidPeer);
+
+export {
+  dereferenceDidUrl,
+  getRegisteredDidMethods,
+  parseDid,
+  registerDidMethod,
+  resolutionError,
+  resolveDid,
+} from "./resolver.js";
+export { didWebToUrl } from "./web.js";
@@ -0,0 +1,100 @@
+/**
+ * did:jwk Resolver
+ *
+ * Builds the DID document for a did:jwk identifier locally, without any
+ * network access. The method-specific identifier is the base64url-encoded
+ * JSON Web Key, so the DID document is derived from the DID itself.
+ *
+ * Any public JWK is accepted (for example OKP/Ed25519 or EC/P-256). The
+ * key's `use` member decides its verification relationships, as required by
+ * the did:jwk specification:
+ * https://github.com/quartzjer/did-jwk/blob/main/spec.md
+ */
+
+import * as base64url from "base64url-universal";
+import { resolutionError } from "./resolver.js";
+
+// JWK members that only appear in private keys
+const PRIVATE_KEY_MEMBERS = ["d", "p", "q", "dp", "dq", "qi", "oth", "k"];
+
+/**
+ * Decode and check the JWK encoded in a did:jwk identifier
+ *
+ * @param {string} encodedJwk - The method-specific identifier
+ * @returns {Object} The public JWK
+ */
+function decodeJwk(encodedJwk) {
+  let jwk;
+  try {
+    jwk = JSON.parse(new TextDecoder().decode(base64url.decode(encodedJwk)));
+  } catch (error) {
+    throw resolutionError(
+      "invalidDid",
+      "Invalid did:jwk: identifier is not a base64url JWK"
+    );
+  }
+
+  if (!jwk || typeof jwk !== "object" || !jwk.kty) {
+    throw resolutionError(
+      "invalidDid",
+      "Invalid did:jwk: JWK has no kty member"
+    );
+  }
+
+  const privateMembers = PRIVATE_KEY_MEMBERS.filter((member) => member in jwk);
+  if (privateMembers.length > 0) {
+    throw resolutionError(
+      "invalidDid",
+      `Invalid did:jwk: JWK contains private key material (${privateMembers.join(
+        ", "
+      )})`
+    );
+  }
+
+  return jwk;
+}
+
+/**
+ * Resolve a did:jwk identifier to its DID document
+ *
+ * @param {string} did - The did:jwk identifier, without fragment or query
+ * @returns {Object} The DID document
+ */
+export function resolveDidJwk(did) {
+  const [scheme, method, encodedJwk, ...rest] = did.split(":");
+  if (scheme !== "did" || method !== "jwk" || !encodedJwk || rest.length) {
+    throw resolutionError("invalidDid", `Invalid did:jwk: ${did}`);
+  }
+
+  const jwk = decodeJwk(encodedJwk);
+  const verificationMethodId = `${did}#0`;
+
+  const document = {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/suites/jws-2020/v1",
+    ],
+    id: did,
+    verificationMethod: [
+      {
+        id: verificationMethodId,
+        type: "JsonWebKey2020",
+        controller: did,
+        publicKeyJwk: jwk,
+      },
+    ],
+  };
+
+  // Signing keys get the signing relationships, encryption keys keyAgreement
+  if (jwk.use !== "enc") {
+    document.assertionMethod = [verificationMethodId];
+    document.authentication = [verificationMethodId];
+    document.capabilityInvocation = [verificationMethodId];
+    document.capabilityDelegation = [verificationMethodId];
+  }
+  if (jwk.use !== "sig") {
+    document.keyAgreement = [verificationMethodId];
+  }
+
+  return document;
+}
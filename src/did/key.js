@@ -0,0 +1,132 @@
+/**
+ * did:key Resolver
+ *
+ * Builds the DID document for a did:key identifier locally, without any
+ * network access. The method-specific identifier is the multibase
+ * (base58-btc) encoding of a multicodec-prefixed public key, so the whole
+ * DID document can be derived from the DID itself.
+ *
+ * Supported key types:
+ * - Ed25519 public keys (multicodec 0xed, identifiers starting with z6Mk)
+ * - X25519 public keys (multicodec 0xec, identifiers starting with z6LS),
+ *   which are only usable for key agreement
+ *
+ * The verification method uses the Multikey representation from the
+ * did:key specification:
+ * https://w3c-ccg.github.io/did-method-key/
+ */
+
+import * as base58btc from "base58-universal";
+import { resolutionError } from "./resolver.js";
+
+// Multicodec varint prefixes of the supported public key types
+const MULTICODEC_PREFIXES = {
+  Ed25519: [0xed, 0x01],
+  X25519: [0xec, 0x01],
+};
+
+// Multibase header for base58-btc
+const MULTIBASE_BASE58BTC_HEADER = "z";
+
+/**
+ * Decode and check a multibase, multicodec-prefixed public key
+ *
+ * @param {string} multibaseKey - The encoded key, e.g. z6Mk...
+ * @returns {Object} The key type ("Ed25519" or "X25519") and raw key bytes
+ */
+export function decodeMultibaseKey(multibaseKey) {
+  if (!multibaseKey.startsWith(MULTIBASE_BASE58BTC_HEADER)) {
+    throw resolutionError(
+      "invalidDid",
+      `${multibaseKey} is not base58-btc multibase encoded`
+    );
+  }
+
+  let bytes;
+  try {
+    bytes = base58btc.decode(multibaseKey.slice(1));
+  } catch (error) {
+    bytes = null;
+  }
+  if (!bytes || bytes.length < 2) {
+    throw resolutionError("invalidDid", `${multibaseKey} could not be decoded`);
+  }
+
+  const keyType = Object.keys(MULTICODEC_PREFIXES).find(
+    (type) =>
+      bytes[0] === MULTICODEC_PREFIXES[type][0] &&
+      bytes[1] === MULTICODEC_PREFIXES[type][1]
+  );
+  if (!keyType) {
+    throw resolutionError(
+      "invalidPublicKeyType",
+      "Only Ed25519 (z6Mk...) and X25519 (z6LS...) keys are supported"
+    );
+  }
+
+  const publicKey = bytes.slice(2);
+  if (publicKey.length !== 32) {
+    throw resolutionError(
+      "invalidPublicKeyLength",
+      `${keyType} public key must be 32 bytes, got ${publicKey.length}`
+    );
+  }
+
+  return { keyType, publicKey };
+}
+
+/**
+ * Build the DID document for a DID whose only key is a multibase key
+ * Shared with did:peer numalgo 0, which uses the same document shape
+ *
+ * @param {string} did - The DID
+ * @param {string} multibaseKey - The encoded public key
+ * @returns {Object} The DID document
+ */
+export function createSingleKeyDocument(did, multibaseKey) {
+  const { keyType } = decodeMultibaseKey(multibaseKey);
+  const verificationMethodId = `${did}#${multibaseKey}`;
+
+  const document = {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/multikey/v1",
+    ],
+    id: did,
+    verificationMethod: [
+      {
+        id: verificationMethodId,
+        type: "Multikey",
+        controller: did,
+        publicKeyMultibase: multibaseKey,
+      },
+    ],
+  };
+
+  // X25519 keys can't sign, so they only get keyAgreement
+  if (keyType === "X25519") {
+    document.keyAgreement = [verificationMethodId];
+  } else {
+    document.authentication = [verificationMethodId];
+    document.assertionMethod = [verificationMethodId];
+    document.capabilityInvocation = [verificationMethodId];
+    document.capabilityDelegation = [verificationMethodId];
+  }
+
+  return document;
+}
+
+/**
+ * Resolve a did:key identifier to its DID document
+ *
+ * @param {string} did - The did:key identifier, without fragment or query
+ * @returns {Object} The DID document
+ */
+export function resolveDidKey(did) {
+  const [scheme, method, multibaseKey, ...rest] = did.split(":");
+  if (scheme !== "did" || method !== "key" || !multibaseKey || rest.length) {
+    throw resolutionError("invalidDid", `Invalid did:key: ${did}`);
+  }
+
+  return createSingleKeyDocument(did, multibaseKey);
+}
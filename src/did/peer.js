@@ -0,0 +1,145 @@
+/**
+ * did:peer Resolver
+ *
+ * Builds DID documents for did:peer identifiers locally. Numeric algorithms
+ * 0 and 2 are self-contained, so no network or peer storage is needed:
+ * - did:peer:0<multibase key>: a single inception key, shaped like did:key
+ * - did:peer:2.<purpose><key>...: several keys, each prefixed with its
+ *   purpose, plus optional abbreviated services (S<base64url JSON>)
+ *
+ * https://identity.foundation/peer-did-method-spec/
+ */
+
+import * as base64url from "base64url-universal";
+import { createSingleKeyDocument, decodeMultibaseKey } from "./key.js";
+import { resolutionError } from "./resolver.js";
+
+// did:peer:2 purpose codes and the verification relationship they create
+const PURPOSES = {
+  A: "assertionMethod",
+  E: "keyAgreement",
+  V: "authentication",
+  I: "capabilityInvocation",
+  D: "capabilityDelegation",
+};
+
+// Abbreviations used in did:peer:2 service blocks
+const SERVICE_ABBREVIATIONS = {
+  t: "type",
+  s: "serviceEndpoint",
+  r: "routingKeys",
+  a: "accept",
+};
+const SERVICE_VALUE_ABBREVIATIONS = {
+  dm: "DIDCommMessaging",
+};
+
+/**
+ * Expand an abbreviated did:peer:2 service block
+ * @param {*} value - The decoded service JSON (or part of it)
+ * @returns {*} The expanded value
+ */
+function expandService(value) {
+  if (Array.isArray(value)) {
+    return value.map(expandService);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        SERVICE_ABBREVIATIONS[key] || key,
+        expandService(entry),
+      ])
+    );
+  }
+  return SERVICE_VALUE_ABBREVIATIONS[value] || value;
+}
+
+/**
+ * Build the DID document for a did:peer:2 identifier
+ *
+ * @param {string} did - The DID
+ * @param {string} encoded - The elements after "2."
+ * @returns {Object} The DID document
+ */
+function resolveNumalgo2(did, encoded) {
+  const document = {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/multikey/v1",
+    ],
+    id: did,
+    verificationMethod: [],
+  };
+  const services = [];
+
+  for (const element of encoded.split(".")) {
+    const purpose = element[0];
+    const value = element.slice(1);
+
+    if (purpose === "S") {
+      let service;
+      try {
+        service = JSON.parse(new TextDecoder().decode(base64url.decode(value)));
+      } catch (error) {
+        throw resolutionError("invalidDid", `Invalid did:peer:2 service`);
+      }
+      services.push(expandService(service));
+      continue;
+    }
+
+    const relationship = PURPOSES[purpose];
+    if (!relationship || !value) {
+      throw resolutionError(
+        "invalidDid",
+        `Invalid did:peer:2 element purpose: ${purpose}`
+      );
+    }
+
+    // Validates the key encoding and type
+    decodeMultibaseKey(value);
+
+    // Ids are absolute so proof purposes can match verification method URLs
+    const id = `${did}#key-${document.verificationMethod.length + 1}`;
+    document.verificationMethod.push({
+      id,
+      type: "Multikey",
+      controller: did,
+      publicKeyMultibase: value,
+    });
+    document[relationship] = [...(document[relationship] || []), id];
+  }
+
+  if (services.length > 0) {
+    document.service = services.map((service, index) => {
+      const id = service.id || (index === 0 ? "#service" : `#service-${index}`);
+      return { ...service, id: id.startsWith("#") ? `${did}${id}` : id };
+    });
+  }
+
+  return document;
+}
+
+/**
+ * Resolve a did:peer identifier to its DID document
+ *
+ * @param {string} did - The did:peer identifier, without fragment or query
+ * @returns {Object} The DID document
+ */
+export function resolveDidPeer(did) {
+  const [scheme, method, id, ...rest] = did.split(":");
+  if (scheme !== "did" || method !== "peer" || !id || rest.length) {
+    throw resolutionError("invalidDid", `Invalid did:peer: ${did}`);
+  }
+
+  if (id.startsWith("0")) {
+    return createSingleKeyDocument(did, id.slice(1));
+  }
+  if (id.startsWith("2.")) {
+    return resolveNumalgo2(did, id.slice(2));
+  }
+
+  throw resolutionError(
+    "methodNotSupported",
+    `did:peer numalgo ${id[0]} is not supported; only 0 and 2 resolve offline`
+  );
+}
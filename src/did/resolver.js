@@ -0,0 +1,347 @@
+/**
+ * DID Resolver
+ *
+ * A small DID resolver with a registry of method drivers, following the
+ * W3C DID Core and DID Resolution specifications:
+ * - parseDid(): split a DID URL into DID, path, query and fragment
+ * - resolveDid(): DID -> { didResolutionMetadata, didDocument, didDocumentMetadata }
+ * - dereferenceDidUrl(): DID URL -> DID document, verification method,
+ *   service or service endpoint URL
+ *
+ * Method drivers are plain async functions registered per DID method:
+ *
+ *   registerDidMethod("example", async (did, parsed, network) => didDocument);
+ *
+ * Drivers that fetch should do so with the `network` options of the
+ * resolution ({ fetch, signal, timeout }, see network.js), so the caller
+ * decides how and whether they reach the network.
+ *
+ * A driver returns the DID document (or { didDocument, didDocumentMetadata })
+ * and reports failures by throwing resolutionError(code, message), where code
+ * is a DID Resolution error such as "notFound" or "invalidDid", or
+ * "networkError" when the document could not be fetched at all.
+ */
+
+// DID URL syntax from DID Core section 3.2
+const DID_URL_PATTERN =
+  /^did:([a-z0-9]+):((?:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})*:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+)((?:\/[^?#]*)?)(?:\?([^#]*))?(?:#(.*))?$/;
+
+// Media type of resolved DID documents
+const DID_LD_JSON = "application/did+ld+json";
+
+// DID document properties holding verification methods, embedded or
+// referenced by id
+const VERIFICATION_METHOD_PROPERTIES = [
+  "verificationMethod",
+  "authentication",
+  "assertionMethod",
+  "keyAgreement",
+  "capabilityInvocation",
+  "capabilityDelegation",
+  "publicKey", // Legacy location
+];
+
+/**
+ * Registered method drivers keyed by DID method name
+ * @type {Map<string, Function>}
+ */
+const drivers = new Map();
+
+/**
+ * Create an error carrying a DID Resolution error code
+ *
+ * @param {string} code - Error code, e.g. "notFound", "invalidDid"
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with its code in `code`
+ */
+export function resolutionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Register a DID method driver, replacing any existing driver for the method
+ *
+ * @param {string} method - The DID method name, e.g. "web"
+ * @param {Function} resolve - async (did, parsedDid, network) => DID
+ *   document
+ */
+export function registerDidMethod(method, resolve) {
+  if (!/^[a-z0-9]+$/.test(method || "")) {
+    throw new Error(`Invalid DID method name: ${method}`);
+  }
+  if (typeof resolve !== "function") {
+    throw new Error(`DID method driver for ${method} must be a function`);
+  }
+  drivers.set(method, resolve);
+}
+
+/**
+ * List the DID methods that have a registered driver
+ * @returns {Array<string>} Method names
+ */
+export function getRegisteredDidMethods() {
+  return [...drivers.keys()];
+}
+
+/**
+ * Parse a DID or DID URL
+ *
+ * @param {string} didUrl - The DID URL
+ * @returns {Object|null} Parsed parts or null if the syntax is invalid
+ */
+export function parseDid(didUrl) {
+  if (typeof didUrl !== "string") {
+    return null;
+  }
+
+  const match = DID_URL_PATTERN.exec(didUrl);
+  if (!match) {
+    return null;
+  }
+
+  const [, method, id, path, query, fragment] = match;
+  return {
+    didUrl,
+    did: `did:${method}:${id}`,
+    method,
+    id,
+    path: path || "",
+    query: query === undefined ? null : query,
+    fragment: fragment === undefined ? null : fragment,
+    params: Object.fromEntries(new URLSearchParams(query || "")),
+  };
+}
+
+/**
+ * Resolve a DID to its DID document
+ *
+ * @param {string} did - The DID (a DID URL is reduced to its DID)
+ * @param {Object} [network] - Network options for the driver, see
+ *   network.js
+ * @returns {Promise<Object>} DID Resolution result; errors are reported in
+ *   didResolutionMetadata.error rather than thrown
+ */
+export async function resolveDid(did, network = {}) {
+  const parsed = parseDid(did);
+  if (!parsed) {
+    return resolutionResult(null, {
+      error: "invalidDid",
+      message: `${did} is not a valid DID`,
+    });
+  }
+
+  const resolve = drivers.get(parsed.method);
+  if (!resolve) {
+    return resolutionResult(null, {
+      error: "methodNotSupported",
+      message: `DID method "${parsed.method}" is not supported`,
+    });
+  }
+
+  try {
+    const resolved = await resolve(parsed.did, parsed, network);
+    const { didDocument, didDocumentMetadata = {} } =
+      resolved && resolved.didDocument ? resolved : { didDocument: resolved };
+
+    if (!didDocument) {
+      return resolutionResult(null, {
+        error: "notFound",
+        message: `No DID document found for ${parsed.did}`,
+      });
+    }
+
+    return resolutionResult(
+      withAbsoluteIds(didDocument, parsed.did),
+      { contentType: DID_LD_JSON },
+      didDocumentMetadata
+    );
+  } catch (error) {
+    return resolutionResult(null, {
+      error: error.code || "internalError",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Dereference a DID URL
+ * Supports the bare DID, #fragments (verification methods, services or
+ * other embedded nodes) and the ?service= / relativeRef= query parameters
+ *
+ * @param {string} didUrl - The DID URL
+ * @param {Object} [network] - Network options for the driver, see
+ *   network.js
+ * @returns {Promise<Object>} { dereferencingMetadata, contentStream, contentMetadata };
+ *   contentStream is a JSON object, or a URL string for service endpoints
+ */
+export async function dereferenceDidUrl(didUrl, network = {}) {
+  const parsed = parseDid(didUrl);
+  if (!parsed) {
+    return dereferencingResult(null, {
+      error: "invalidDidUrl",
+      message: `${didUrl} is not a valid DID URL`,
+    });
+  }
+
+  const { didResolutionMetadata, didDocument, didDocumentMetadata } =
+    await resolveDid(parsed.did, network);
+  if (didResolutionMetadata.error) {
+    return dereferencingResult(null, didResolutionMetadata);
+  }
+
+  const { service, relativeRef, ...otherParams } = parsed.params;
+  const unsupported = Object.keys(otherParams);
+  if (parsed.path || unsupported.length > 0) {
+    return dereferencingResult(null, {
+      error: "invalidDidUrl",
+      message: `Unsupported DID URL ${
+        parsed.path ? `path ${parsed.path}` : `parameters ${unsupported}`
+      }`,
+    });
+  }
+
+  // ?service=<id>[&relativeRef=<path>] selects a service endpoint URL
+  if (service) {
+    const endpoint = findNode(didDocument, `${parsed.did}#${service}`);
+    if (!endpoint || !endpoint.serviceEndpoint) {
+      return dereferencingResult(null, {
+        error: "notFound",
+        message: `Service ${service} not found in ${parsed.did}`,
+      });
+    }
+    const base = Array.isArray(endpoint.serviceEndpoint)
+      ? endpoint.serviceEndpoint[0]
+      : endpoint.serviceEndpoint;
+    if (typeof base !== "string") {
+      return dereferencingResult(null, {
+        error: "notFound",
+        message: `Service ${service} has no URL endpoint`,
+      });
+    }
+    const url = relativeRef ? new URL(relativeRef, base).href : base;
+    return dereferencingResult(url, { contentType: "text/uri-list" });
+  }
+
+  if (parsed.fragment === null) {
+    return dereferencingResult(
+      didDocument,
+      { contentType: DID_LD_JSON },
+      didDocumentMetadata
+    );
+  }
+
+  const node = findNode(didDocument, `${parsed.did}#${parsed.fragment}`);
+  if (!node) {
+    return dereferencingResult(null, {
+      error: "notFound",
+      message: `${parsed.did}#${parsed.fragment} not found in DID document`,
+    });
+  }
+
+  // Relative ids (did:peer uses #key-1) are returned as absolute DID URLs
+  return dereferencingResult(
+    {
+      "@context": didDocument["@context"],
+      ...node,
+      id: `${parsed.did}#${parsed.fragment}`,
+    },
+    { contentType: DID_LD_JSON }
+  );
+}
+
+/**
+ * Make the relative ids (#key-1) of verification methods, their references
+ * and services absolute against the DID, as JSON-LD would
+ * Proof purposes match verification methods by their absolute URL, so a
+ * relative reference in assertionMethod would otherwise never match
+ *
+ * @param {Object} didDocument - The DID document from the driver
+ * @param {string} did - The DID the document describes
+ * @returns {Object} A copy of the document with absolute ids
+ */
+function withAbsoluteIds(didDocument, did) {
+  const absolute = (id) =>
+    typeof id === "string" && id.startsWith("#") ? `${did}${id}` : id;
+  const absoluteEntry = (entry) =>
+    typeof entry === "string"
+      ? absolute(entry)
+      : entry && typeof entry === "object"
+      ? { ...entry, id: absolute(entry.id) }
+      : entry;
+
+  const copy = { ...didDocument };
+  for (const property of [...VERIFICATION_METHOD_PROPERTIES, "service"]) {
+    if (Array.isArray(copy[property])) {
+      copy[property] = copy[property].map(absoluteEntry);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Find a node in a DID document by its absolute or relative id
+ *
+ * @param {Object} didDocument - The DID document
+ * @param {string} id - The absolute DID URL of the node
+ * @returns {Object|null} The matching verification method, service or node
+ */
+function findNode(didDocument, id) {
+  const relativeId = id.slice(id.indexOf("#"));
+  const matches = (node) =>
+    node &&
+    typeof node === "object" &&
+    (node.id === id || node.id === relativeId);
+
+  const candidates = [
+    didDocument.verificationMethod,
+    didDocument.service,
+    didDocument.authentication,
+    didDocument.assertionMethod,
+    didDocument.keyAgreement,
+    didDocument.capabilityInvocation,
+    didDocument.capabilityDelegation,
+    didDocument.publicKey, // Legacy location
+  ];
+
+  for (const list of candidates) {
+    if (Array.isArray(list)) {
+      const node = list.find(matches);
+      if (node) {
+        return node;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a DID Resolution result
+ * @param {Object|null} didDocument - The DID document
+ * @param {Object} didResolutionMetadata - Resolution metadata
+ * @param {Object} didDocumentMetadata - Document metadata
+ * @returns {Object} The resolution result
+ */
+function resolutionResult(
+  didDocument,
+  didResolutionMetadata,
+  didDocumentMetadata = {}
+) {
+  return { didResolutionMetadata, didDocument, didDocumentMetadata };
+}
+
+/**
+ * Build a DID URL dereferencing result
+ * @param {Object|string|null} contentStream - The dereferenced resource
+ * @param {Object} dereferencingMetadata - Dereferencing metadata
+ * @param {Object} contentMetadata - Metadata about the resource
+ * @returns {Object} The dereferencing result
+ */
+function dereferencingResult(
+  contentStream,
+  dereferencingMetadata,
+  contentMetadata = {}
+) {
+  return { dereferencingMetadata, contentStream, contentMetadata };
+}
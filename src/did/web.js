@@ -0,0 +1,102 @@
+/**
+ * did:web Resolver
+ *
+ * Resolves did:web identifiers by fetching the DID document over HTTPS,
+ * as described in the did:web method specification:
+ * https://w3c-ccg.github.io/did-method-web/
+ *
+ * - did:web:example.com               -> https://example.com/.well-known/did.json
+ * - did:web:example.com:user:alice    -> https://example.com/user/alice/did.json
+ * - did:web:example.com%3A3000:alice  -> https://example.com:3000/alice/did.json
+ *
+ * The returned document's id must equal the DID that was resolved.
+ */
+
+import { resolutionError } from "./resolver.js";
+import { fetchWithOptions } from "../network.js";
+
+/**
+ * Convert a did:web identifier to the HTTPS URL of its DID document
+ *
+ * @param {string} did - The did:web identifier, without fragment or query
+ * @returns {string} The did.json URL
+ */
+export function didWebToUrl(did) {
+  const [scheme, method, domain, ...path] = did.split(":");
+  if (scheme !== "did" || method !== "web" || !domain) {
+    throw resolutionError("invalidDid", `Invalid did:web: ${did}`);
+  }
+
+  // The domain may carry a percent-encoded port (example.com%3A3000)
+  const host = decodeURIComponent(domain);
+  if (!/^[A-Za-z0-9.-]+(:\d+)?$/.test(host)) {
+    throw resolutionError("invalidDid", `Invalid did:web host: ${host}`);
+  }
+
+  if (path.length === 0) {
+    return `https://${host}/.well-known/did.json`;
+  }
+
+  const segments = path.map((segment) =>
+    encodeURIComponent(decodeURIComponent(segment))
+  );
+  return `https://${host}/${segments.join("/")}/did.json`;
+}
+
+/**
+ * Resolve a did:web identifier by fetching its DID document
+ *
+ * @param {string} did - The did:web identifier
+ * @param {Object} [parsed] - The parsed DID, unused
+ * @param {Object} [network] - Network options, see network.js
+ * @returns {Promise<Object>} The DID document
+ * @throws {Error} With a DID Resolution error code in `code`, or
+ *   networkError if the document could not be fetched at all
+ */
+export async function resolveDidWeb(did, parsed, network = {}) {
+  const url = didWebToUrl(did);
+
+  let response;
+  try {
+    response = await fetchWithOptions(
+      url,
+      { headers: { Accept: "application/did+json, application/json" } },
+      network
+    );
+  } catch (error) {
+    // Network errors, including CORS rejections in the browser
+    throw resolutionError(
+      "networkError",
+      `Failed to fetch DID document from ${url}: ${error.message}`
+    );
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    throw resolutionError("notFound", `No DID document at ${url}`);
+  }
+  if (!response.ok) {
+    throw resolutionError(
+      "internalError",
+      `Failed to load DID document from ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  let didDocument;
+  try {
+    didDocument = await response.json();
+  } catch (error) {
+    throw resolutionError(
+      "invalidDidDocument",
+      `DID document at ${url} is not valid JSON`
+    );
+  }
+
+  if (!didDocument || didDocument.id !== did) {
+    throw resolutionError(
+      "invalidDidDocument",
+      `DID document id ${didDocument && didDocument.id} does not match ${did}`
+    );
+  }
+
+  return didDocument;
+}
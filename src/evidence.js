@@ -0,0 +1,283 @@
+/**
+ * Evidence File Checks
+ *
+ * Credentials can declare hashes of files that belong to them, so a
+ * verifier can confirm that the file they were given is the one the issuer
+ * attested to:
+ * - objects in `credentialSubject` or `evidence` with an `etag` (an MD5
+ *   digest, as S3 returns it), `md5`, `sha256`, `digestSRI` or
+ *   `digestMultibase`, e.g. the `proofOfOwnership` of a DPP credential:
+ *     { "name": "deed.pdf", "type": "application/pdf", "etag": "d2d9..." }
+ * - VC 2.0 `relatedResource` entries, other than the credential's own
+ *   contexts (those are checked when the contexts are loaded)
+ *
+ * Attached files are matched to declarations by name, or else by content,
+ * and hashed locally; they are never sent anywhere.
+ */
+
+import { md5 } from "./md5.js";
+import {
+  computeDigestSRI,
+  matchesDigestMultibase,
+  matchesDigestSRI,
+} from "./contexts.js";
+
+// Properties that declare a digest of a file
+const DIGEST_PROPERTIES = [
+  "etag",
+  "md5",
+  "sha256",
+  "digestSRI",
+  "digestMultibase",
+];
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    ""
+  );
+}
+
+/**
+ * Check whether an object declares a file digest
+ * @param {*} value - A property value
+ * @returns {boolean} True for objects with one of DIGEST_PROPERTIES
+ */
+function declaresDigest(value) {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    DIGEST_PROPERTIES.some((property) => typeof value[property] === "string")
+  );
+}
+
+/**
+ * Get the file name a declaration refers to
+ * From its `name`, or else the last path segment of its `id` URL
+ *
+ * @param {Object} entry - The declaring object
+ * @returns {string|null} The file name
+ */
+function getFileName(entry) {
+  if (typeof entry.name === "string" && entry.name) {
+    return entry.name;
+  }
+  if (typeof entry.id === "string") {
+    const segment = entry.id.split(/[?#]/)[0].split("/").pop();
+    try {
+      return decodeURIComponent(segment) || null;
+    } catch (error) {
+      return segment || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the objects below a value that declare a file digest
+ *
+ * @param {*} value - The value to search
+ * @param {string} path - Its path in the credential, e.g. "credentialSubject"
+ * @param {Array<Object>} found - Receives { path, entry }
+ */
+function collectDeclarations(value, path, found) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) =>
+      collectDeclarations(item, `${path}[${index}]`, found)
+    );
+  } else if (declaresDigest(value)) {
+    found.push({ path, entry: value });
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      collectDeclarations(item, `${path}.${key}`, found);
+    }
+  }
+}
+
+/**
+ * Get the files a credential declares hashes for
+ *
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} { path, id, name, mediaType, digests } per
+ *   declared file, where digests holds the declared DIGEST_PROPERTIES
+ */
+export function getDeclaredEvidence(credential) {
+  const found = [];
+  if (!credential || typeof credential !== "object") {
+    return found;
+  }
+  collectDeclarations(credential.credentialSubject, "credentialSubject", found);
+  collectDeclarations(credential.evidence, "evidence", found);
+
+  // Digests of the credential's own contexts are not evidence
+  const contexts = [].concat(credential["@context"] || []);
+  const { relatedResource } = credential;
+  [].concat(relatedResource || []).forEach((resource, index) => {
+    if (declaresDigest(resource) && !contexts.includes(resource.id)) {
+      found.push({
+        path: Array.isArray(relatedResource)
+          ? `relatedResource[${index}]`
+          : "relatedResource",
+        entry: resource,
+      });
+    }
+  });
+
+  return found.map(({ path, entry }) => ({
+    path,
+    id: typeof entry.id === "string" ? entry.id : null,
+    name: getFileName(entry),
+    mediaType:
+      entry.mediaType ||
+      (typeof entry.type === "string" && entry.type.includes("/")
+        ? entry.type
+        : null),
+    digests: Object.fromEntries(
+      DIGEST_PROPERTIES.filter(
+        (property) => typeof entry[property] === "string"
+      ).map((property) => [property, entry[property]])
+    ),
+  }));
+}
+
+/**
+ * Hash an attached file
+ * @param {Object} file - { name, bytes }
+ * @returns {Promise<Object>} { name, size, md5, sha256, digestSRI, bytes }
+ */
+async function hashFile({ name, bytes }) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  return {
+    name,
+    size: data.length,
+    md5: md5(data),
+    sha256: toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", data))),
+    digestSRI: await computeDigestSRI(data),
+    bytes: data,
+  };
+}
+
+/**
+ * Compare a hashed file against the digests of a declaration
+ * An ETag with a "-" is a multipart upload ETag, which is not the MD5 of
+ * the file and can't be recomputed without the part sizes
+ *
+ * @param {Object} digests - The declared digests
+ * @param {Object} file - From hashFile()
+ * @returns {Promise<Object>} { matched, mismatched, unchecked }, lists of
+ *   digest property names
+ */
+async function compareDigests(digests, file) {
+  const result = { matched: [], mismatched: [], unchecked: [] };
+  for (const [property, declared] of Object.entries(digests)) {
+    let matches;
+    if (property === "etag") {
+      const etag = declared.replace(/^W\//, "").replace(/"/g, "");
+      matches = etag.includes("-") ? null : etag.toLowerCase() === file.md5;
+    } else if (property === "md5" || property === "sha256") {
+      matches = declared.toLowerCase() === file[property];
+    } else if (property === "digestSRI") {
+      matches = await matchesDigestSRI(file.bytes, declared);
+    } else {
+      matches = await matchesDigestMultibase(file.bytes, declared);
+    }
+    const list =
+      matches === null ? "unchecked" : matches ? "matched" : "mismatched";
+    result[list].push(property);
+  }
+  return result;
+}
+
+/**
+ * Check attached files against the hashes a credential declares
+ *
+ * Each declaration is matched with the attached file of the same name, or
+ * else with any file whose content matches it. Its status is "pass" if the
+ * file matches every digest that can be checked, "fail" if a file of that
+ * name doesn't, and "skip" if no file was attached for it or none of its
+ * digests can be checked.
+ *
+ * @param {Object} credential - The credential
+ * @param {Array<Object>} files - Attached files as { name, bytes }, with
+ *   bytes as a Uint8Array or ArrayBuffer
+ * @returns {Promise<Object>} { entries, files, unreferenced }: entries are
+ *   the declarations of getDeclaredEvidence() with { status, file, matched,
+ *   message }, files are { name, size, md5, sha256, digestSRI } and
+ *   unreferenced lists the names of files no declaration matched
+ */
+export async function checkEvidenceFiles(credential, files) {
+  const hashed = await Promise.all(files.map(hashFile));
+  const used = new Set();
+  const entries = [];
+
+  for (const declaration of getDeclaredEvidence(credential)) {
+    const named = hashed.find((file) => file.name === declaration.name);
+    let file = named || null;
+    let comparison = named
+      ? await compareDigests(declaration.digests, named)
+      : null;
+
+    // A renamed copy still matches on content
+    if (!named) {
+      for (const candidate of hashed) {
+        const candidateComparison = await compareDigests(
+          declaration.digests,
+          candidate
+        );
+        if (
+          candidateComparison.matched.length &&
+          !candidateComparison.mismatched.length
+        ) {
+          file = candidate;
+          comparison = candidateComparison;
+          break;
+        }
+      }
+    }
+
+    const label = declaration.name || declaration.id || declaration.path;
+    let status;
+    let message;
+    if (!file) {
+      status = "skip";
+      message = `No attached file for ${label}`;
+    } else if (comparison.mismatched.length) {
+      status = "fail";
+      message = `${
+        file.name
+      } does not match the declared ${comparison.mismatched.join(", ")}`;
+    } else if (!comparison.matched.length) {
+      status = "skip";
+      message = `${label}: the declared ${comparison.unchecked.join(
+        ", "
+      )} can't be checked (multipart upload ETag)`;
+    } else {
+      status = "pass";
+      message = `${file.name} matches the declared ${comparison.matched.join(
+        ", "
+      )}`;
+    }
+    if (file) {
+      used.add(file);
+    }
+    entries.push({
+      ...declaration,
+      status,
+      file: file ? file.name : null,
+      matched: comparison ? comparison.matched : [],
+      message,
+    });
+  }
+
+  return {
+    entries,
+    files: hashed.map(({ bytes, ...hashes }) => hashes),
+    unreferenced: hashed
+      .filter((file) => !used.has(file))
+      .map((file) => file.name),
+  };
+}
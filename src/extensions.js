@@ -0,0 +1,15 @@
+/**
+ * Verifier Extensions
+ *
+ * The place for the web UI's custom DID method drivers, proof suites and
+ * other registrations. The UI verifies in a Web Worker (worker.js), which
+ * has its own copy of every registry, so registrations made elsewhere on the
+ * page never reach it. Both the worker and the page import this module, so
+ * whatever it registers is available on both sides:
+ *
+ *   import { registerDidMethod } from "./did/index.js";
+ *
+ *   registerDidMethod("example", async (did) => lookup(did));
+ *
+ * Code using the library without the UI can register from anywhere.
+ */
@@ -0,0 +1,76 @@
+/**
+ * Library Entry Point
+ *
+ * The headless verifier as an ES module, for Node and the browser:
+ *
+ *   import { verify } from "web-verifier";
+ *
+ *   const result = await verify(credentialJsonOrJwt);
+ *   if (result.status === "verified") { ... }
+ *
+ * verify() returns a stable result with an overall status and a list of
+ * named checks; see verifier.js for the result and checks.js for the checks.
+ * The UI in main.js is built on the same API.
+ */
+
+export { verify, parseDocument } from "./verifier.js";
+export {
+  CHECKS,
+  INDETERMINATE_CODES,
+  createCheckList,
+  summarizeChecks,
+} from "./checks.js";
+export {
+  DEFAULT_REMOTE_CONTEXTS,
+  configureContextLoader,
+  getContextLoaderConfig,
+  parseAllowlistEntry,
+} from "./contexts.js";
+export {
+  getRegisteredDidMethods,
+  registerDidMethod,
+  resolutionError,
+  resolveDid,
+} from "./did/index.js";
+export {
+  clearCaches,
+  configureCache,
+  evictCacheEntry,
+  listCacheEntries,
+} from "./cache.js";
+export { describeProof, getSupportedSuites, registerSuite } from "./suites.js";
+export { inspectProof } from "./inspector.js";
+export { describeClaims } from "./claims.js";
+export {
+  getRenderMethods,
+  registerRenderTemplate,
+  renderCredential,
+} from "./render.js";
+export { checkEvidenceFiles, getDeclaredEvidence } from "./evidence.js";
+export { checkCredentialStatus, getStatusEntries } from "./status.js";
+export {
+  getRegisteredProfiles,
+  registerProfile,
+  validateProfiles,
+} from "./profiles.js";
+export {
+  getCredentialSchemas,
+  registerSchema,
+  validateCredentialSchemas,
+} from "./schemas.js";
+export { applyPolicy, normalizePolicy } from "./policy.js";
+export { getLinkedDomains, verifyDomainLinkage } from "./linkage.js";
+export {
+  CREDENTIAL_TEMPLATES,
+  SIGNING_SUITES,
+  createCredential,
+  createDidDocument,
+  createFixtures,
+  exportIssuerKey,
+  generateIssuerKey,
+  importIssuerKey,
+  issueCredential,
+} from "./issuer.js";
+export { generateChallenge, isPresentation } from "./presentation.js";
+export { isJwt } from "./jwt.js";
+export { DEFAULT_CLOCK_SKEW } from "./validity.js";
@@ -0,0 +1,215 @@
+/**
+ * Proof Inspector
+ *
+ * Shows the intermediate values of Linked Data proof verification, so a
+ * failure can be pinned on the contexts, canonicalization or the key and
+ * reproduced with other tools:
+ * - the decoded JWS header of a detached JWS (`proof.jws`)
+ * - the canonical N-Quads (RDFC-1.0) of the document and of the proof
+ *   options, and their SHA-256 hashes
+ * - the resolved public key, as multibase and JWK
+ * - the exact bytes the signature is checked against, and whether the
+ *   signature is valid over them
+ *
+ * Values are computed with the same suite, document loader and contexts as
+ * verification (verification.js), following jsonld-signatures: the proof is
+ * removed from the document and given the document's `@context`.
+ */
+
+import * as base58btc from "base58-universal";
+import * as base64url from "base64url-universal";
+import * as Ed25519Multikey from "@digitalbazaar/ed25519-multikey";
+import { getSuiteForProof } from "./suites.js";
+import { checkProofStructure, loadUrlDocument } from "./verification.js";
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} The hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    ""
+  );
+}
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - The text, hashed as UTF-8
+ * @returns {Promise<Uint8Array>} The digest
+ */
+async function sha256(text) {
+  return new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))
+  );
+}
+
+/**
+ * Decode the signature of a proof
+ * Detached JWS (Ed25519Signature2018) carry it in their third segment;
+ * other suites in a base58-btc multibase proofValue
+ *
+ * @param {Object} proof - The proof
+ * @returns {Object} { signature, jwsHeader, encodedHeader }, where the
+ *   header values are null without a JWS
+ */
+function decodeSignature(proof) {
+  if (typeof proof.jws === "string") {
+    const [encodedHeader, , encodedSignature] = proof.jws.split(".");
+    let jwsHeader;
+    try {
+      jwsHeader = JSON.parse(
+        new TextDecoder().decode(base64url.decode(encodedHeader))
+      );
+    } catch (error) {
+      throw new Error(`Invalid JWS header: ${error.message}`);
+    }
+    return {
+      signature: base64url.decode(encodedSignature || ""),
+      jwsHeader,
+      encodedHeader,
+    };
+  }
+
+  if (
+    typeof proof.proofValue !== "string" ||
+    !proof.proofValue.startsWith("z")
+  ) {
+    throw new Error("proofValue is not base58-btc multibase encoded");
+  }
+  return {
+    signature: base58btc.decode(proof.proofValue.slice(1)),
+    jwsHeader: null,
+    encodedHeader: null,
+  };
+}
+
+/**
+ * Resolve the verification method of a proof
+ * @param {string} verificationMethod - The verification method ID
+ * @returns {Promise<Object>} { publicKey, multibase, jwk, keyPair }
+ */
+async function resolvePublicKey(verificationMethod) {
+  const { document } = await loadUrlDocument(verificationMethod);
+  // The key type's own context is assumed; DID documents rarely state it
+  const keyPair = await Ed25519Multikey.from({
+    ...document,
+    "@context": undefined,
+  });
+  return {
+    publicKey: document,
+    multibase: keyPair.publicKeyMultibase,
+    jwk: await Ed25519Multikey.toJwk({ keyPair }),
+    keyPair,
+  };
+}
+
+/**
+ * Inspect the Linked Data proof of a credential or presentation
+ * Every step is attempted; a step that fails is reported in `errors` and
+ * the values that depend on it are null
+ *
+ * @param {Object} document - The signed document with an embedded proof
+ * @returns {Promise<Object>} { suite, verificationMethod, jwsHeader,
+ *   encodedHeader, document: { nquads, sha256 }, proofOptions: { nquads,
+ *   sha256 }, publicKey: { publicKey, multibase, jwk }, signedData,
+ *   signature, signatureValid, errors }, with bytes and hashes in hex and
+ *   errors as { step, message }
+ */
+export async function inspectProof(document) {
+  const problem = checkProofStructure(document);
+  if (problem) {
+    return { errors: [{ step: "structure", message: problem.message }] };
+  }
+
+  const { proof, ...unsigned } = document;
+  const suiteDefinition = getSuiteForProof(proof);
+  const inspection = {
+    suite: suiteDefinition.label,
+    verificationMethod: proof.verificationMethod,
+    jwsHeader: null,
+    encodedHeader: null,
+    document: null,
+    proofOptions: null,
+    publicKey: null,
+    signedData: null,
+    signature: null,
+    signatureValid: null,
+    errors: [],
+  };
+  const attempt = async (step, work) => {
+    try {
+      return await work();
+    } catch (error) {
+      // jsonld wraps document loader errors, which name the context
+      const cause =
+        error.details && error.details.cause ? error.details.cause : error;
+      inspection.errors.push({ step, message: cause.message });
+      return null;
+    }
+  };
+
+  const decoded = await attempt("signature", async () =>
+    decodeSignature(proof)
+  );
+  if (decoded) {
+    inspection.jwsHeader = decoded.jwsHeader;
+    inspection.encodedHeader = decoded.encodedHeader;
+    inspection.signature = toHex(decoded.signature);
+  }
+
+  const key = await attempt("publicKey", () =>
+    resolvePublicKey(proof.verificationMethod)
+  );
+  if (key) {
+    const { publicKey, multibase, jwk } = key;
+    inspection.publicKey = { publicKey, multibase, jwk };
+  }
+
+  // Canonicalize with the suite that verifies the proof
+  const suite = await attempt("suite", () =>
+    suiteDefinition.createSuite(key ? key.publicKey : null)
+  );
+  if (!suite) {
+    return inspection;
+  }
+  const options = { documentLoader: loadUrlDocument };
+  const proofOptions = {
+    "@context": document["@context"],
+    ...proof,
+  };
+
+  const documentNquads = await attempt("document", () =>
+    suite.canonize(unsigned, options)
+  );
+  const proofNquads = await attempt("proofOptions", () =>
+    suite.canonizeProof(proofOptions, { ...options, document: unsigned })
+  );
+  if (documentNquads === null || proofNquads === null) {
+    return inspection;
+  }
+
+  const documentHash = await sha256(documentNquads);
+  const proofHash = await sha256(proofNquads);
+  inspection.document = { nquads: documentNquads, sha256: toHex(documentHash) };
+  inspection.proofOptions = { nquads: proofNquads, sha256: toHex(proofHash) };
+
+  // The proof options hash comes first; a detached JWS signs its header too
+  const verifyData = new Uint8Array([...proofHash, ...documentHash]);
+  const signedData = inspection.encodedHeader
+    ? new Uint8Array([
+        ...new TextEncoder().encode(`${inspection.encodedHeader}.`),
+        ...verifyData,
+      ])
+    : verifyData;
+  inspection.signedData = toHex(signedData);
+
+  if (key && decoded) {
+    inspection.signatureValid = await attempt("signature", () =>
+      key.keyPair
+        .verifier()
+        .verify({ data: signedData, signature: decoded.signature })
+    );
+  }
+  return inspection;
+}
@@ -0,0 +1,507 @@
+/**
+ * Test Credential Issuer
+ *
+ * Issues signed credentials with a local Ed25519 key, so test inputs don't
+ * depend on a live issuer:
+ * - keys are generated or imported (Multikey, Ed25519VerificationKey2018/
+ *   2020 or a JWK, with their secret key) and exposed as a did:key, or as a
+ *   did:web whose did.json createDidDocument() builds for hosting
+ * - credentials are built from a template and the subject's claims, and
+ *   signed with any of SIGNING_SUITES
+ * - createFixtures() derives valid, expired, tampered and wrong-key variants
+ *   of a credential for regression suites
+ *
+ * Signing uses the same suites, bundled contexts and document loader as
+ * verification, so an issued credential verifies offline whenever its
+ * template only uses bundled contexts.
+ */
+
+import jsigs from "jsonld-signatures";
+import * as base64url from "base64url-universal";
+import * as Ed25519Multikey from "@digitalbazaar/ed25519-multikey";
+import { Ed25519Signature2018 } from "@digitalbazaar/ed25519-signature-2018";
+import { Ed25519Signature2020 } from "@digitalbazaar/ed25519-signature-2020";
+import { DataIntegrityProof } from "@digitalbazaar/data-integrity";
+import { cryptosuite as eddsaRdfc2022CryptoSuite } from "@digitalbazaar/eddsa-rdfc-2022-cryptosuite";
+import { loadUrlDocument } from "./verification.js";
+import { didWebToUrl } from "./did/index.js";
+import { VC_V1_CONTEXT, VC_V2_CONTEXT } from "./datamodel.js";
+
+// Bundled context mapping terms no other context defines, so template
+// claims and types are signed rather than dropped
+const UNDEFINED_TERMS_CONTEXT =
+  "https://www.w3.org/ns/credentials/undefined-terms/v2";
+
+// Fragment of the verification method in did:web documents
+const DID_WEB_KEY_FRAGMENT = "key-1";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Ways to sign a credential, keyed by name
+ * Each builds a jsonld-signatures suite from a signer, except "jwt", which
+ * secures the credential as a compact JWS instead
+ * @const {Object}
+ */
+export const SIGNING_SUITES = {
+  "eddsa-rdfc-2022": {
+    label: "DataIntegrityProof (eddsa-rdfc-2022)",
+    createSuite: (signer, date) =>
+      new DataIntegrityProof({
+        signer,
+        date,
+        cryptosuite: eddsaRdfc2022CryptoSuite,
+      }),
+  },
+  Ed25519Signature2020: {
+    label: "Ed25519Signature2020",
+    createSuite: (signer, date) => new Ed25519Signature2020({ signer, date }),
+  },
+  Ed25519Signature2018: {
+    label: "Ed25519Signature2018",
+    createSuite: (signer, date) => new Ed25519Signature2018({ signer, date }),
+  },
+  jwt: {
+    label: "JWT (EdDSA)",
+    createSuite: null,
+  },
+};
+
+/**
+ * Credential templates, keyed by name
+ * The subject's claims are edited before issuing; the issuer, identifier
+ * and validity period are filled in by createCredential()
+ * @const {Object}
+ */
+export const CREDENTIAL_TEMPLATES = {
+  example: {
+    label: "Example credential (VC 2.0)",
+    context: [VC_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+    type: ["VerifiableCredential", "ExampleCredential"],
+    name: "Example Credential",
+    credentialSubject: {
+      id: "did:example:subject",
+      name: "Example Subject",
+    },
+  },
+  alumni: {
+    label: "Alumni credential (VC 2.0)",
+    context: [VC_V2_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+    type: ["VerifiableCredential", "AlumniCredential"],
+    name: "Alumni Credential",
+    credentialSubject: {
+      id: "did:example:subject",
+      alumniOf: {
+        id: "did:example:university",
+        name: "Example University",
+      },
+    },
+  },
+  exampleV1: {
+    label: "Example credential (VC 1.1)",
+    context: [VC_V1_CONTEXT, UNDEFINED_TERMS_CONTEXT],
+    type: ["VerifiableCredential", "ExampleCredential"],
+    credentialSubject: {
+      id: "did:example:subject",
+      name: "Example Subject",
+    },
+  },
+};
+
+/**
+ * Create an issuer error with a machine-readable code
+ *
+ * @param {string} code - invalidKey, missingSecretKey, invalidDid,
+ *   unknownSuite or unknownTemplate
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with its code in `code`
+ */
+function issuerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Format a date as an XML Schema dateTime without fractional seconds
+ * @param {Date} date - The date
+ * @returns {string} e.g. "2024-01-01T00:00:00Z"
+ */
+function toDateTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Bind a key pair to a DID
+ * Without a DID the key is exposed as a did:key
+ *
+ * @param {Object} keyPair - An Ed25519Multikey key pair with a secret key
+ * @param {string} [did] - A did:web to control the key
+ * @returns {Promise<Object>} The issuer key: { did, verificationMethod,
+ *   keyPair }, with the key pair's id set to the verification method
+ */
+async function bindKey(keyPair, did) {
+  const { publicKeyMultibase } = keyPair;
+  let verificationMethod;
+  if (did) {
+    if (!did.startsWith("did:web:")) {
+      throw issuerError("invalidDid", `Only did:web DIDs can be set: ${did}`);
+    }
+    try {
+      didWebToUrl(did);
+    } catch (error) {
+      throw issuerError("invalidDid", error.message);
+    }
+    verificationMethod = `${did}#${DID_WEB_KEY_FRAGMENT}`;
+  } else {
+    did = `did:key:${publicKeyMultibase}`;
+    verificationMethod = `${did}#${publicKeyMultibase}`;
+  }
+
+  return {
+    did,
+    verificationMethod,
+    keyPair: await Ed25519Multikey.from({
+      ...(await keyPair.export({ secretKey: true })),
+      id: verificationMethod,
+      controller: did,
+    }),
+  };
+}
+
+/**
+ * Generate an issuer key
+ *
+ * @param {Object} [options] - Key options
+ * @param {string} [options.did] - A did:web to control the key; a did:key
+ *   is used otherwise
+ * @param {Uint8Array} [options.seed] - 32 byte seed, for reproducible keys
+ * @returns {Promise<Object>} The issuer key: { did, verificationMethod,
+ *   keyPair }
+ */
+export async function generateIssuerKey({ did, seed } = {}) {
+  return bindKey(await Ed25519Multikey.generate({ seed }), did);
+}
+
+/**
+ * Import an issuer key, e.g. one saved with exportIssuerKey()
+ * A did:web controller of the key is kept unless another DID is given
+ *
+ * @param {Object|string} key - A Multikey, Ed25519VerificationKey2018/2020
+ *   or Ed25519 JWK, as an object or JSON text, including its secret key
+ * @param {Object} [options] - Key options
+ * @param {string} [options.did] - A did:web to control the key
+ * @returns {Promise<Object>} The issuer key
+ * @throws {Error} With code invalidKey, missingSecretKey or invalidDid
+ */
+export async function importIssuerKey(key, { did } = {}) {
+  let parsed = key;
+  if (typeof key === "string") {
+    try {
+      parsed = JSON.parse(key);
+    } catch (error) {
+      throw issuerError("invalidKey", `Invalid key JSON: ${error.message}`);
+    }
+  }
+  if (!parsed || typeof parsed !== "object") {
+    throw issuerError("invalidKey", "A key must be a JSON object");
+  }
+
+  let keyPair;
+  try {
+    keyPair =
+      parsed.kty === "OKP"
+        ? await Ed25519Multikey.fromJwk({ jwk: parsed, secretKey: true })
+        : await Ed25519Multikey.from(parsed);
+  } catch (error) {
+    throw issuerError("invalidKey", `Unsupported key: ${error.message}`);
+  }
+  if (!keyPair.secretKey) {
+    throw issuerError(
+      "missingSecretKey",
+      "The key has no secret key, so it can't sign"
+    );
+  }
+
+  const controller =
+    typeof parsed.controller === "string" &&
+    parsed.controller.startsWith("did:web:")
+      ? parsed.controller
+      : undefined;
+  return bindKey(keyPair, did || controller);
+}
+
+/**
+ * Export an issuer key as a Multikey, including its secret key
+ * @param {Object} issuerKey - From generateIssuerKey() or importIssuerKey()
+ * @returns {Promise<Object>} The Multikey JSON, to be kept secret
+ */
+export async function exportIssuerKey(issuerKey) {
+  return issuerKey.keyPair.export({ secretKey: true });
+}
+
+/**
+ * Build the DID document of an issuer key
+ * For a did:web, this is the did.json to host at the DID's URL
+ *
+ * @param {Object} issuerKey - From generateIssuerKey() or importIssuerKey()
+ * @returns {Object} The DID document
+ */
+export function createDidDocument({ did, verificationMethod, keyPair }) {
+  return {
+    "@context": [
+      "https://www.w3.org/ns/did/v1",
+      "https://w3id.org/security/multikey/v1",
+    ],
+    id: did,
+    verificationMethod: [
+      {
+        id: verificationMethod,
+        type: "Multikey",
+        controller: did,
+        publicKeyMultibase: keyPair.publicKeyMultibase,
+      },
+    ],
+    authentication: [verificationMethod],
+    assertionMethod: [verificationMethod],
+  };
+}
+
+/**
+ * Build an unsigned credential from a template
+ *
+ * @param {string} templateName - A key of CREDENTIAL_TEMPLATES
+ * @param {Object} options - Credential options
+ * @param {string} options.issuer - The issuer DID
+ * @param {Object} [options.credentialSubject] - The subject's claims,
+ *   defaults to the template's
+ * @param {Date} [options.validFrom] - Start of the validity period,
+ *   defaults to now
+ * @param {Date} [options.validUntil] - End of the validity period, if any
+ * @returns {Object} The credential, with the template's data model
+ */
+export function createCredential(
+  templateName,
+  { issuer, credentialSubject, validFrom = new Date(), validUntil = null }
+) {
+  const template = CREDENTIAL_TEMPLATES[templateName];
+  if (!template) {
+    throw issuerError(
+      "unknownTemplate",
+      `Unknown credential template: ${templateName}`
+    );
+  }
+
+  const isV1 = template.context[0] === VC_V1_CONTEXT;
+  const credential = {
+    "@context": template.context,
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: template.type,
+    issuer,
+  };
+  if (template.name) {
+    credential.name = template.name;
+  }
+  credential[isV1 ? "issuanceDate" : "validFrom"] = toDateTime(validFrom);
+  if (validUntil) {
+    credential[isV1 ? "expirationDate" : "validUntil"] = toDateTime(validUntil);
+  }
+  credential.credentialSubject =
+    credentialSubject || template.credentialSubject;
+  return credential;
+}
+
+/**
+ * Sign a credential
+ *
+ * @param {Object} credential - The unsigned credential
+ * @param {Object} issuerKey - From generateIssuerKey() or importIssuerKey()
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.suite="eddsa-rdfc-2022"] - A key of
+ *   SIGNING_SUITES
+ * @param {Date} [options.date] - Proof creation time, defaults to now
+ * @returns {Promise<Object|string>} The signed credential, or a compact JWT
+ *   for the "jwt" suite
+ */
+export async function issueCredential(
+  credential,
+  issuerKey,
+  { suite = "eddsa-rdfc-2022", date = new Date() } = {}
+) {
+  const definition = SIGNING_SUITES[suite];
+  if (!definition) {
+    throw issuerError("unknownSuite", `Unknown signing suite: ${suite}`);
+  }
+  const signer = issuerKey.keyPair.signer();
+
+  if (!definition.createSuite) {
+    return signJwt(credential, signer);
+  }
+
+  return jsigs.sign(structuredClone(credential), {
+    suite: definition.createSuite(signer, date),
+    purpose: new jsigs.purposes.AssertionProofPurpose(),
+    documentLoader: loadUrlDocument,
+  });
+}
+
+/**
+ * Secure a credential as a compact JWT signed with EdDSA
+ * VC 2.0 credentials become the payload (VC-JOSE); VC 1.1 credentials use
+ * the vc claim, with the registered claims mirroring credential properties
+ *
+ * @param {Object} credential - The unsigned credential
+ * @param {Object} signer - The key pair's signer; its id is the `kid`
+ * @returns {Promise<string>} The compact JWT
+ */
+async function signJwt(credential, signer) {
+  const isV1 = credential["@context"][0] === VC_V1_CONTEXT;
+  const header = {
+    alg: "EdDSA",
+    typ: isV1 ? "JWT" : "vc+jwt",
+    kid: signer.id,
+  };
+
+  let payload = credential;
+  if (isV1) {
+    const seconds = (dateTime) => Math.floor(Date.parse(dateTime) / 1000);
+    payload = {
+      iss: credential.issuer,
+      jti: credential.id,
+      nbf: seconds(credential.issuanceDate),
+      vc: credential,
+    };
+    if (credential.expirationDate) {
+      payload.exp = seconds(credential.expirationDate);
+    }
+    if (credential.credentialSubject && credential.credentialSubject.id) {
+      payload.sub = credential.credentialSubject.id;
+    }
+  }
+
+  const encode = (value) =>
+    base64url.encode(new TextEncoder().encode(JSON.stringify(value)));
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = await signer.sign({
+    data: new TextEncoder().encode(signingInput),
+  });
+  return `${signingInput}.${base64url.encode(signature)}`;
+}
+
+/**
+ * Change a claim of a signed credential without re-signing it
+ * The first claim of the subject other than its id is changed, or one is
+ * added if there is none
+ *
+ * @param {Object|string} signed - The signed credential or compact JWT
+ * @returns {Object|string} The tampered credential
+ */
+function tamper(signed) {
+  const change = (credential) => {
+    const subject = Array.isArray(credential.credentialSubject)
+      ? credential.credentialSubject[0]
+      : credential.credentialSubject;
+    const claim = Object.keys(subject).find((key) => key !== "id");
+    if (claim && typeof subject[claim] === "string") {
+      subject[claim] = `${subject[claim]} (tampered)`;
+    } else {
+      subject.tampered = true;
+    }
+  };
+
+  if (typeof signed !== "string") {
+    const credential = structuredClone(signed);
+    change(credential);
+    return credential;
+  }
+
+  const [header, payload, signature] = signed.split(".");
+  const claims = JSON.parse(
+    new TextDecoder().decode(base64url.decode(payload))
+  );
+  change(claims.vc || claims);
+  const encoded = base64url.encode(
+    new TextEncoder().encode(JSON.stringify(claims))
+  );
+  return `${header}.${encoded}.${signature}`;
+}
+
+/**
+ * Create regression fixtures from a credential
+ * - valid: signed, and valid for a year
+ * - expired: signed, but its validity period ended yesterday
+ * - tampered: signed, then a claim was changed
+ * - wrongKey: signed by another key in the name of the issuer's key
+ *
+ * @param {Object} credential - The unsigned credential; its validity
+ *   period is replaced
+ * @param {Object} issuerKey - From generateIssuerKey() or importIssuerKey()
+ * @param {Object} [options] - Signing options for issueCredential()
+ * @returns {Promise<Array<Object>>} { name, description, expected,
+ *   credential } per fixture, where expected is the failing check, or null
+ */
+export async function createFixtures(credential, issuerKey, options = {}) {
+  const now = Date.now();
+  const withValidity = (validFrom, validUntil) => {
+    const isV1 = credential["@context"][0] === VC_V1_CONTEXT;
+    const copy = structuredClone(credential);
+    copy[isV1 ? "issuanceDate" : "validFrom"] = toDateTime(validFrom);
+    copy[isV1 ? "expirationDate" : "validUntil"] = toDateTime(validUntil);
+    return copy;
+  };
+
+  const valid = await issueCredential(
+    withValidity(new Date(now), new Date(now + 365 * DAY)),
+    issuerKey,
+    options
+  );
+
+  const expiredFrom = new Date(now - 30 * DAY);
+  const expired = await issueCredential(
+    withValidity(expiredFrom, new Date(now - DAY)),
+    issuerKey,
+    { ...options, date: expiredFrom }
+  );
+
+  // Another key claiming to be the issuer's
+  const otherKey = await generateIssuerKey();
+  const wrongKey = await issueCredential(
+    withValidity(new Date(now), new Date(now + 365 * DAY)),
+    {
+      ...issuerKey,
+      keyPair: await Ed25519Multikey.from({
+        ...(await otherKey.keyPair.export({ secretKey: true })),
+        id: issuerKey.verificationMethod,
+        controller: issuerKey.did,
+      }),
+    },
+    options
+  );
+
+  return [
+    {
+      name: "valid",
+      description: "Signed by the issuer, valid for a year",
+      expected: null,
+      credential: valid,
+    },
+    {
+      name: "expired",
+      description: "Signed by the issuer, expired yesterday",
+      expected: "validityPeriod",
+      credential: expired,
+    },
+    {
+      name: "tampered",
+      description: "Signed by the issuer, then a claim was changed",
+      expected: "signature",
+      credential: tamper(valid),
+    },
+    {
+      name: "wrongKey",
+      description: "Signed by another key in the name of the issuer's key",
+      expected: "signature",
+      credential: wrongKey,
+    },
+  ];
+}
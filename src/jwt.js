@@ -0,0 +1,398 @@
+/**
+ * VC-JWT Verification
+ *
+ * This file verifies credentials secured as compact JWS tokens instead of
+ * embedded Linked Data proofs. Two encodings are supported:
+ * - VC Data Model 1.1 JWT encoding, where the credential is in the `vc` claim
+ *   and `iss`, `nbf`, `exp`, `jti` and `sub` mirror credential properties
+ * - VC-JOSE (`typ: vc+jwt`), where the payload is the credential itself
+ *
+ * Supported algorithms:
+ * - EdDSA (Ed25519), verified with @digitalbazaar/ed25519-multikey
+ * - ES256 (P-256), verified with the Web Crypto API
+ *
+ * The signing key is found by resolving the header `kid` with the same DID
+ * resolution and issuer binding checks used for Linked Data proofs
+ * (checkVerificationMethod). The JWS signs the payload bytes as a whole, so
+ * the JSON-LD contexts and coverage checks don't apply.
+ */
+
+import * as base64url from "base64url-universal";
+import * as Ed25519Multikey from "@digitalbazaar/ed25519-multikey";
+import { checkVerificationMethod } from "./verification.js";
+import { createCheckList, summarizeChecks } from "./checks.js";
+
+// Compact JWS: three base64url segments separated by dots
+const COMPACT_JWS_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+// Header `typ` values accepted for credentials
+const CREDENTIAL_TYPES = ["JWT", "vc+jwt", "vc+ld+jwt", "vc-ld+jwt"];
+
+// JWS algorithms createJwsVerifier() supports
+const SUPPORTED_ALGORITHMS = ["EdDSA", "ES256"];
+
+/**
+ * Check whether a text input is a compact JWS
+ * @param {string} text - The raw input
+ * @returns {boolean} True if the input looks like a compact JWT
+ */
+export function isJwt(text) {
+  return typeof text === "string" && COMPACT_JWS_PATTERN.test(text.trim());
+}
+
+/**
+ * Decode a single base64url JSON segment of a JWT
+ * @param {string} segment - The encoded segment
+ * @param {string} name - Segment name used in error messages
+ * @returns {Object} The parsed JSON object
+ */
+function decodeSegment(segment, name) {
+  try {
+    const json = new TextDecoder().decode(base64url.decode(segment));
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JWT: ${name} is not base64url-encoded JSON`);
+  }
+}
+
+/**
+ * Convert a NumericDate claim to an XML Schema dateTime string
+ * @param {number} seconds - Seconds since the epoch
+ * @returns {string} The date without fractional seconds
+ */
+function toDateTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(".000Z", "Z");
+}
+
+/**
+ * Compare a NumericDate claim with a credential date, at second precision
+ * @param {number} seconds - Seconds since the epoch
+ * @param {string} dateTime - The credential date
+ * @returns {boolean} True if both name the same second
+ */
+function sameSecond(seconds, dateTime) {
+  return Math.floor(Date.parse(dateTime) / 1000) === seconds;
+}
+
+/**
+ * Get the issuer identifier from a credential's issuer property
+ * @param {string|Object} issuer - The issuer string or object
+ * @returns {string|undefined} The issuer id
+ */
+function getIssuerId(issuer) {
+  return typeof issuer === "object" && issuer !== null ? issuer.id : issuer;
+}
+
+/**
+ * Decode a JWT credential without verifying it
+ * For VC 1.1 tokens the registered claims are copied onto the credential
+ * when it doesn't state them itself, so it can be displayed like a JSON-LD
+ * credential
+ *
+ * @param {string} token - The compact JWT
+ * @returns {Object} The decoded header, payload and credential
+ */
+export function decodeJwtCredential(token) {
+  if (!isJwt(token)) {
+    throw new Error("Invalid JWT: expected a compact JWS with three segments");
+  }
+
+  const [encodedHeader, encodedPayload] = token.trim().split(".");
+  const header = decodeSegment(encodedHeader, "header");
+  const payload = decodeSegment(encodedPayload, "payload");
+
+  if (header.typ && !CREDENTIAL_TYPES.includes(header.typ)) {
+    throw new Error(`Unsupported JWT type: ${header.typ}`);
+  }
+
+  // VC-JOSE: the payload is the credential
+  if (!payload.vc) {
+    if (!payload["@context"] || !payload.type) {
+      throw new Error(
+        "Invalid JWT credential: payload has no vc claim and is not a credential"
+      );
+    }
+    return { header, payload, credential: payload };
+  }
+
+  // VC 1.1 JWT encoding: map registered claims onto the credential
+  const credential = { ...payload.vc };
+  if (payload.iss && !credential.issuer) {
+    credential.issuer = payload.iss;
+  }
+  if (payload.jti && !credential.id) {
+    credential.id = payload.jti;
+  }
+  if (payload.nbf !== undefined && !credential.issuanceDate) {
+    credential.issuanceDate = toDateTime(payload.nbf);
+  }
+  if (payload.exp !== undefined && !credential.expirationDate) {
+    credential.expirationDate = toDateTime(payload.exp);
+  }
+  if (
+    payload.sub &&
+    credential.credentialSubject &&
+    !Array.isArray(credential.credentialSubject) &&
+    !credential.credentialSubject.id
+  ) {
+    credential.credentialSubject = {
+      ...credential.credentialSubject,
+      id: payload.sub,
+    };
+  }
+
+  return { header, payload, credential };
+}
+
+/**
+ * Check that the JWT claims agree with the credential they secure
+ *
+ * @param {Object} payload - The decoded JWT payload
+ * @param {Object} credential - The decoded credential
+ * @returns {Array<string>} Mismatch descriptions, empty if consistent
+ */
+function checkClaimMapping(payload, credential) {
+  const errors = [];
+  const vc = payload.vc || payload;
+  const issuerId = getIssuerId(vc.issuer);
+
+  if (payload.iss && issuerId && payload.iss !== issuerId) {
+    errors.push(
+      `iss claim (${payload.iss}) does not match credential issuer (${issuerId})`
+    );
+  }
+  if (payload.jti && vc.id && payload.jti !== vc.id) {
+    errors.push(
+      `jti claim (${payload.jti}) does not match credential id (${vc.id})`
+    );
+  }
+
+  const issued = vc.validFrom || vc.issuanceDate;
+  if (payload.nbf !== undefined && issued && !sameSecond(payload.nbf, issued)) {
+    errors.push(
+      `nbf claim (${toDateTime(
+        payload.nbf
+      )}) does not match credential issuance date (${issued})`
+    );
+  }
+
+  const expires = vc.validUntil || vc.expirationDate;
+  if (
+    payload.exp !== undefined &&
+    expires &&
+    !sameSecond(payload.exp, expires)
+  ) {
+    errors.push(
+      `exp claim (${toDateTime(
+        payload.exp
+      )}) does not match credential expiration date (${expires})`
+    );
+  }
+
+  const subject = credential.credentialSubject;
+  if (
+    payload.sub &&
+    subject &&
+    !Array.isArray(subject) &&
+    subject.id &&
+    payload.sub !== subject.id
+  ) {
+    errors.push(
+      `sub claim (${payload.sub}) does not match credential subject (${subject.id})`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Build a verifier for a JWS algorithm from a DID document verification method
+ *
+ * @param {string} alg - The JWS `alg` header
+ * @param {Object} publicKey - The verification method
+ * @returns {Promise<Function>} Resolves to ({data, signature}) => Promise<boolean>
+ */
+async function createJwsVerifier(alg, publicKey) {
+  if (alg === "EdDSA") {
+    const key = publicKey.publicKeyJwk
+      ? await Ed25519Multikey.fromJwk({ jwk: publicKey.publicKeyJwk })
+      : await Ed25519Multikey.from(publicKey);
+    const verifier = key.verifier();
+    return ({ data, signature }) => verifier.verify({ data, signature });
+  }
+
+  if (alg === "ES256") {
+    const jwk = publicKey.publicKeyJwk;
+    if (!jwk || jwk.kty !== "EC" || jwk.crv !== "P-256") {
+      throw new Error(
+        `Verification method ${publicKey.id} is not a P-256 JWK and cannot verify ES256`
+      );
+    }
+    const key = await crypto.subtle.importKey(
+      "jwk",
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      { name: "ECDSA", namedCurve: "P-256" },
+      false,
+      ["verify"]
+    );
+    return ({ data, signature }) =>
+      crypto.subtle.verify(
+        { name: "ECDSA", hash: "SHA-256" },
+        key,
+        signature,
+        data
+      );
+  }
+
+  throw new Error(
+    `Unsupported JWT algorithm: ${alg}. Only EdDSA and ES256 are supported.`
+  );
+}
+
+/**
+ * Decode a JWT credential and check its header and claims
+ *
+ * @param {string} token - The compact JWT
+ * @returns {Object} { status, code, message, details } for the structure
+ *   check, with the decoded token and absolute key id in details
+ */
+function checkJwtStructure(token) {
+  let decoded;
+  try {
+    decoded = decodeJwtCredential(token);
+  } catch (error) {
+    return { status: "fail", code: "invalidJwt", message: error.message };
+  }
+
+  const { header, payload, credential } = decoded;
+  if (!header.kid) {
+    return {
+      status: "fail",
+      code: "invalidStructure",
+      message: "Invalid JWT: header has no kid to identify the signing key",
+      details: decoded,
+    };
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(header.alg)) {
+    return {
+      status: "fail",
+      code: "unsupportedProof",
+      message: `Unsupported JWT algorithm: ${
+        header.alg
+      }. Supported algorithms: ${SUPPORTED_ALGORITHMS.join(", ")}.`,
+      details: decoded,
+    };
+  }
+
+  const mismatches = checkClaimMapping(payload, credential);
+  if (mismatches.length > 0) {
+    return {
+      status: "fail",
+      code: "claimMismatch",
+      message: `JWT claims do not match the credential: ${mismatches.join(
+        "; "
+      )}`,
+      details: decoded,
+    };
+  }
+
+  // Relative key ids are resolved against the issuer DID
+  const issuerDid = payload.iss || getIssuerId(credential.issuer) || null;
+  const kid = header.kid.startsWith("#")
+    ? `${issuerDid}${header.kid}`
+    : header.kid;
+
+  return {
+    status: "pass",
+    message: `Compact JWS, ${header.typ || "untyped"}, signed with ${
+      header.alg
+    }`,
+    details: { ...decoded, issuerDid, kid },
+  };
+}
+
+/**
+ * Verify a credential secured as a compact JWT
+ * Records the structure, contexts, coverage, didResolution, keyBinding and
+ * signature checks
+ *
+ * @param {string} token - The compact JWT
+ * @param {Object} [checkList] - From createCheckList(), to add the checks to
+ * @param {Object} [network] - { fetch, signal, timeout } for DID
+ *   resolution, see network.js
+ * @returns {Promise<Object>} { verified, status, error, suite, header,
+ *   credential, checks }
+ */
+export async function verifyJwtCredential(
+  token,
+  checkList = createCheckList(),
+  network = {}
+) {
+  const checksBefore = checkList.checks.length;
+  const result = (details) => {
+    const checks = checkList.checks.slice(checksBefore);
+    return {
+      ...summarizeChecks(checks),
+      suite:
+        details && details.header ? `VC-JWT (${details.header.alg})` : null,
+      header: details ? details.header : null,
+      credential: details ? details.credential : null,
+      checks,
+    };
+  };
+
+  const structure = await checkList.run("structure", async () =>
+    checkJwtStructure(token)
+  );
+  if (structure.status !== "pass") {
+    return result(structure.details);
+  }
+  const { header, issuerDid, kid } = structure.details;
+
+  checkList.skip(
+    "contexts",
+    "Not applicable: the JWT payload is signed as a whole"
+  );
+  checkList.skip(
+    "coverage",
+    "Not applicable: the JWT payload is signed as a whole"
+  );
+
+  // The key must be an assertionMethod of the issuer
+  const publicKey = await checkVerificationMethod(
+    kid,
+    { relationship: "assertionMethod", controller: issuerDid, role: "issuer" },
+    checkList,
+    network
+  );
+  if (!publicKey) {
+    checkList.skip("signature", "Not checked: keyBinding did not pass");
+    return result(structure.details);
+  }
+
+  await checkList.run("signature", async () => {
+    let verify;
+    try {
+      verify = await createJwsVerifier(header.alg, publicKey);
+    } catch (error) {
+      return { status: "fail", code: "invalidKey", message: error.message };
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token
+      .trim()
+      .split(".");
+    const signed = await verify({
+      data: new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`),
+      signature: base64url.decode(encodedSignature),
+    });
+    return {
+      status: signed ? "pass" : "fail",
+      code: "invalidSignature",
+      message: signed
+        ? `Signature is valid (VC-JWT ${header.alg})`
+        : "Invalid JWT signature",
+    };
+  });
+
+  return result(structure.details);
+}
@@ -0,0 +1,341 @@
+/**
+ * Domain Linkage
+ *
+ * A valid signature shows which DID issued a credential, not who is behind
+ * it. DIF Well-Known DID Configuration links a DID to the web origins its
+ * controller runs:
+ * - the DID document lists the origins in `LinkedDomains` services
+ * - each origin serves /.well-known/did-configuration.json, whose
+ *   `linked_dids` hold Domain Linkage Credentials, as JSON-LD or JWT,
+ *   issued by the DID about itself and naming the origin
+ *
+ * A domain is linked when both sides agree and the credential verifies, so
+ * the issuer controls that domain. Linkage is reported apart from the
+ * checks of verify() and doesn't affect its status.
+ *
+ * https://identity.foundation/.well-known/resources/did-configuration/
+ */
+
+import { resolveDidDocument } from "./verification.js";
+import { decodeJwtCredential } from "./jwt.js";
+import { didConfigurationCache } from "./cache.js";
+import { fetchWithOptions } from "./network.js";
+
+// Context of JSON-LD Domain Linkage Credentials
+export const DID_CONFIGURATION_CONTEXT =
+  "https://identity.foundation/.well-known/did-configuration/v1";
+
+// Where an origin serves its DID configuration
+const WELL_KNOWN_PATH = "/.well-known/did-configuration.json";
+
+/**
+ * Create a linkage error with a machine-readable code
+ *
+ * @param {string} code - networkError or linkageInvalid
+ * @param {string} message - Human readable description naming the origin
+ * @returns {Error} The error, with its code in `code`
+ */
+function linkageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the origins a DID document links to
+ * `serviceEndpoint` may be an origin, a list of them, or { origins }
+ *
+ * @param {Object} didDocument - The DID document
+ * @returns {Array<string>} The origins, without duplicates
+ */
+export function getLinkedDomains(didDocument) {
+  const origins = []
+    .concat((didDocument && didDocument.service) || [])
+    .filter(
+      (service) =>
+        service && [].concat(service.type || []).includes("LinkedDomains")
+    )
+    .flatMap((service) => {
+      const endpoint = service.serviceEndpoint;
+      return endpoint &&
+        typeof endpoint === "object" &&
+        !Array.isArray(endpoint)
+        ? [].concat(endpoint.origins || [])
+        : [].concat(endpoint || []);
+    })
+    .filter((origin) => typeof origin === "string")
+    .map((origin) => {
+      try {
+        return new URL(origin).origin;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((origin) => origin && origin.startsWith("https://"));
+  return [...new Set(origins)];
+}
+
+/**
+ * Fetch the DID configuration of an origin
+ *
+ * @param {string} origin - The origin, e.g. "https://example.com"
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Array>} Its linked_dids, from the DID configuration
+ *   cache if there
+ * @throws {Error} With code linkageInvalid, or networkError if it could not
+ *   be fetched at all (often CORS in the browser)
+ */
+async function fetchDidConfiguration(origin, network) {
+  const url = `${origin}${WELL_KNOWN_PATH}`;
+  const cached = didConfigurationCache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await fetchWithOptions(
+      url,
+      { headers: { Accept: "application/json" } },
+      network
+    );
+  } catch (error) {
+    throw linkageError(
+      "networkError",
+      `Could not load ${url}: ${error.message}`
+    );
+  }
+  if (!response.ok) {
+    throw linkageError(
+      "linkageInvalid",
+      `Could not load ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  let configuration;
+  try {
+    configuration = await response.json();
+  } catch (error) {
+    throw linkageError("linkageInvalid", `${url} is not valid JSON`);
+  }
+  if (!configuration || !Array.isArray(configuration.linked_dids)) {
+    throw linkageError("linkageInvalid", `${url} has no linked_dids`);
+  }
+  didConfigurationCache.set(url, configuration.linked_dids, "network");
+  return configuration.linked_dids;
+}
+
+/**
+ * Get the DID a Domain Linkage Credential is about
+ * @param {Object|string} entry - An entry of linked_dids
+ * @returns {string|null} Its subject's id, which is the JWT's sub for VC
+ *   1.1 JWTs
+ */
+function getSubjectDid(entry) {
+  let credential = entry;
+  if (typeof entry === "string") {
+    try {
+      ({ credential } = decodeJwtCredential(entry));
+    } catch (error) {
+      return null;
+    }
+  }
+  const subject = credential && credential.credentialSubject;
+  return subject && typeof subject === "object" ? subject.id || null : null;
+}
+
+/**
+ * Check that a Domain Linkage Credential links a DID to an origin
+ *
+ * @param {Object|string} entry - An entry of linked_dids
+ * @param {string} did - The DID
+ * @param {string} origin - The origin
+ * @returns {string|null} What is wrong, or null
+ */
+function checkLinkageCredential(entry, did, origin) {
+  let credential = entry;
+  if (typeof entry === "string") {
+    let payload;
+    try {
+      ({ credential, payload } = decodeJwtCredential(entry));
+    } catch (error) {
+      return error.message;
+    }
+    // VC 1.1 JWTs, as in the DIF examples, also name the DID in claims
+    if (payload.vc && (payload.iss !== did || payload.sub !== did)) {
+      return `JWT iss and sub must both be ${did}`;
+    }
+  } else if (
+    ![].concat(entry["@context"] || []).includes(DID_CONFIGURATION_CONTEXT)
+  ) {
+    return `Credential does not use the ${DID_CONFIGURATION_CONTEXT} context`;
+  }
+
+  const subject = credential.credentialSubject;
+  const issuer =
+    credential.issuer && typeof credential.issuer === "object"
+      ? credential.issuer.id
+      : credential.issuer;
+  if (![].concat(credential.type || []).includes("DomainLinkageCredential")) {
+    return "Credential is not a DomainLinkageCredential";
+  }
+  if (issuer !== did) {
+    return `Credential is issued by ${issuer}, not ${did}`;
+  }
+  if (!subject || typeof subject !== "object" || subject.origin === undefined) {
+    return "Credential subject has no origin";
+  }
+  let subjectOrigin = null;
+  try {
+    subjectOrigin = new URL(subject.origin).origin;
+  } catch (error) {
+    // Reported as a mismatch below
+  }
+  if (subjectOrigin !== origin) {
+    return `Credential is for ${subject.origin}, not ${origin}`;
+  }
+  if (!(credential.expirationDate || credential.validUntil)) {
+    return "Credential has no expiration date";
+  }
+  return null;
+}
+
+/**
+ * Check one linked origin
+ *
+ * @param {string} did - The DID
+ * @param {string} origin - The origin
+ * @param {Function|null} verifyCredential - Verifies linkage credentials
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} { origin, status, code, message, format }
+ */
+async function checkDomain(did, origin, verifyCredential, network) {
+  const result = {
+    origin,
+    status: "failed",
+    code: null,
+    message: "",
+    format: null,
+  };
+  try {
+    // A configuration may link several DIDs; only this one's matter
+    const entries = (await fetchDidConfiguration(origin, network)).filter(
+      (entry) => getSubjectDid(entry) === did
+    );
+    if (!entries.length) {
+      throw linkageError(
+        "linkageInvalid",
+        `${origin}${WELL_KNOWN_PATH} has no Domain Linkage Credential for ${did}`
+      );
+    }
+
+    // One valid credential is enough
+    const problems = [];
+    for (const entry of entries) {
+      const format = typeof entry === "string" ? "jwt" : "ldp";
+      const problem = checkLinkageCredential(entry, did, origin);
+      if (problem) {
+        problems.push({ code: "linkageInvalid", message: problem });
+        continue;
+      }
+      if (verifyCredential) {
+        const verified = await verifyCredential(entry);
+        if (!verified.verified) {
+          problems.push({
+            code:
+              verified.status === "failed"
+                ? "linkageInvalid"
+                : verified.error.code,
+            message: `Domain Linkage Credential did not verify: ${verified.error.message}`,
+          });
+          continue;
+        }
+      }
+      return {
+        ...result,
+        status: "verified",
+        message: `Issuer controls ${new URL(origin).host}`,
+        format,
+      };
+    }
+    const decisive =
+      problems.find((problem) => problem.code === "linkageInvalid") ||
+      problems[0];
+    throw linkageError(decisive.code, decisive.message);
+  } catch (error) {
+    result.code = error.code || "linkageInvalid";
+    result.status =
+      result.code === "linkageInvalid" ? "failed" : "indeterminate";
+    result.message = error.message;
+  }
+  return result;
+}
+
+/**
+ * Verify the domains a DID is linked to
+ * Domain Linkage Credentials are verified with `verifyCredential`, if
+ * given; it takes the credential as an object or compact JWT and returns a
+ * verify() result
+ *
+ * @param {string} did - The DID, e.g. a credential's issuer
+ * @param {Object} [options] - Options
+ * @param {Object} [options.didDocument] - The DID document, if already
+ *   resolved
+ * @param {Function} [options.verifyCredential] - Verifies linkage
+ *   credentials
+ * @param {Function} [options.fetch] - The fetch() to load the DID document
+ *   and DID configurations with
+ * @param {AbortSignal} [options.signal] - Cancels loading
+ * @param {number} [options.timeout=15000] - Milliseconds to wait for each
+ *   DID configuration
+ * @returns {Promise<Object>} { did, status, message, domains }: status is
+ *   "verified" if any domain is linked, "failed" if none is,
+ *   "indeterminate" if none is but some could not be checked, and "none" if
+ *   the DID links no domains; domains are { origin, status, code, message,
+ *   format } per LinkedDomains origin
+ */
+export async function verifyDomainLinkage(
+  did,
+  {
+    didDocument = null,
+    verifyCredential = null,
+    fetch = null,
+    signal = null,
+    timeout = 15000,
+  } = {}
+) {
+  const network = { fetch, signal, timeout };
+  let document = didDocument;
+  if (!document) {
+    try {
+      document = await resolveDidDocument(did, network);
+    } catch (error) {
+      return {
+        did,
+        status: "indeterminate",
+        domains: [],
+        message: `DID document could not be resolved: ${error.message}`,
+      };
+    }
+  }
+
+  const domains = [];
+  for (const origin of getLinkedDomains(document)) {
+    domains.push(await checkDomain(did, origin, verifyCredential, network));
+  }
+  const has = (status) => domains.some((domain) => domain.status === status);
+  return {
+    did,
+    status: !domains.length
+      ? "none"
+      : has("verified")
+      ? "verified"
+      : has("indeterminate")
+      ? "indeterminate"
+      : "failed",
+    domains,
+    message: domains.length
+      ? domains.map((domain) => domain.message).join("; ")
+      : "DID document has no LinkedDomains service",
+  };
+}
@@ -1,13 +1,40 @@
 /**
  * Main Application Entry Point
  *
- * This file handles the UI interactions and coordinates with the
- * verification logic in verification.js
+ * This file handles the UI interactions and shows the structured result of
+ * the headless verifier in verifier.js
  *
  * Project Structure:
  * ==================
  * - main.js (this file): UI handling, user interactions, display logic
+ * - index.js: Library entry point for using the verifier without the UI
+ * - verifier.js: Runs all checks on a credential or presentation
+ * - checks.js: Named check results and the overall status
  * - verification.js: Core cryptographic verification logic and DID resolution
+ * - inspector.js: Canonicalized data, hashes and signed bytes of a proof
+ * - claims.js: Claims of a credential labelled from its JSON-LD contexts
+ * - render.js: Credential cards from renderMethod or built-in templates
+ * - profiles.js: Profiles of required subject fields per credential type
+ * - schemas.js: Validation against the JSON Schemas in credentialSchema
+ * - policy.js: Verification policies with trusted and blocked issuers
+ * - linkage.js: Domains linked to the issuer's DID (DID Configuration)
+ * - suites.js: Registry of supported proof suites and their contexts
+ * - jwt.js: Verification of credentials secured as compact JWTs
+ * - presentation.js: Presentation helpers and the holder binding check
+ * - status.js: Revocation and suspension checks against status lists
+ * - evidence.js, md5.js: Attached files checked against declared hashes
+ * - service.js: Retries through the verification service (server.js)
+ * - cache.js: Bounded context and DID document caches, optionally persisted
+ * - verifierWorker.js, worker.js: Verification in a Web Worker, cancellable
+ * - extensions.js: Custom DID methods and suites for the UI, registered in
+ *   the worker and on the page
+ * - issuer.js: Test credentials and fixtures signed with a local key
+ * - validity.js: Validity period checks as of a chosen verification time
+ * - datamodel.js: VC Data Model 1.1/2.0 detection and multilingual values
+ * - contexts.js: Bundled, pinned JSON-LD contexts and the remote allowlist
+ * - coverage.js: Properties that are not protected by the signature
+ * - binding.js: Binding of the signing key to the issuer or holder
+ * - did/: DID resolver and method drivers (web, key, jwk, peer)
  * - style.css: All styling and animations
  *
  * For developers interested in the verification process:
@@ -22,8 +49,34 @@
  * standard W3C specifications and open-source libraries.
  */
 
+// Custom DID methods, suites and other registrations, also in the worker
+import "./extensions.js";
+
 // Import verification logic from separate module
-import { verifyCredentialSignature, PROGRESS_STEPS } from "./verification.js";
+import { parseDocument } from "./verifier.js";
+import { describeProof } from "./suites.js";
+import { generateChallenge, getEmbeddedCredentials } from "./presentation.js";
+import { didWebToUrl } from "./did/index.js";
+import { getStatusEntries } from "./status.js";
+import { DEFAULT_CLOCK_SKEW } from "./validity.js";
+import { getDataModel, getIssuer, getLocalizedValue } from "./datamodel.js";
+import { configureContextLoader, DEFAULT_REMOTE_CONTEXTS } from "./contexts.js";
+import { shouldRetryWithService, verifyWithService } from "./service.js";
+import { createVerifierWorker } from "./verifierWorker.js";
+import { renderCredential } from "./render.js";
+import { normalizePolicy } from "./policy.js";
+import { DEFAULT_TIMEOUTS, summarizeChecks } from "./checks.js";
+import {
+  CREDENTIAL_TEMPLATES,
+  SIGNING_SUITES,
+  createCredential,
+  createDidDocument,
+  createFixtures,
+  exportIssuerKey,
+  generateIssuerKey,
+  importIssuerKey,
+  issueCredential,
+} from "./issuer.js";
 
 // Import Vite-managed CSS
 import "./style.css";
@@ -76,6 +129,343 @@ const SAMPLE_CREDENTIAL = {
     "did:web:api-vera.susi.spherity.dev:did-registry:realizse-mvp-509d5aa5c0707240",
 };
 
+/**
+ * Labels of the checks in a verification result, and the progress step
+ * shown while each one runs
+ * @const {Object}
+ */
+const CHECK_LABELS = {
+  structure: { label: "Proof format", step: "Checking proof format" },
+  contexts: { label: "JSON-LD contexts", step: "Loading JSON-LD contexts" },
+  coverage: {
+    label: "Signature coverage",
+    step: "Checking signature coverage",
+  },
+  didResolution: {
+    label: "DID resolution",
+    step: "Resolving DID",
+    detail: "Fetching decentralized identifier document...",
+  },
+  keyBinding: { label: "Key binding", step: "Checking key binding" },
+  signature: { label: "Digital signature", step: "Verifying signature" },
+  holderBinding: { label: "Holder binding", step: "Checking holder binding" },
+  validityPeriod: {
+    label: "Validity period",
+    step: "Checking validity period",
+  },
+  status: {
+    label: "Credential status",
+    step: "Checking credential status",
+    detail: "Fetching status lists...",
+  },
+  schema: {
+    label: "Credential schema",
+    step: "Validating against credential schemas",
+    detail: "Loading JSON Schemas...",
+  },
+  evidence: { label: "Attachments", step: "Checking attached files" },
+  policy: {
+    label: "Verification policy",
+    step: "Applying verification policy",
+    detail: "Loading trust lists...",
+  },
+};
+
+/**
+ * How to present a result that did not verify, by the error code of the
+ * check that decided it. Structure errors ("error") are shown on their own.
+ * @const {Object}
+ */
+const RESULT_OUTCOMES = {
+  // Structure
+  invalidInput: { type: "error" },
+  missingProof: { type: "error" },
+  invalidStructure: { type: "error" },
+  unsupportedProof: { type: "error" },
+  invalidJwt: { type: "error" },
+  missingChallenge: { type: "error" },
+  invalidPresentation: { type: "error" },
+  claimMismatch: {
+    type: "failure",
+    title: "JWT Claims Mismatch",
+    message: "The JWT claims contradict the credential they secure.",
+  },
+
+  // Contexts and coverage
+  contextNotAllowed: {
+    type: "failure",
+    title: "Context Not Trusted",
+    message:
+      "The credential uses a JSON-LD context that the verifier does not trust, so its signature was not checked.",
+  },
+  contextPinMismatch: {
+    type: "failure",
+    title: "Context Not Trusted",
+    message:
+      "A JSON-LD context does not match the version pinned by the verifier, so the signature was not checked.",
+  },
+  contextDigestMismatch: {
+    type: "failure",
+    title: "Context Not Trusted",
+    message:
+      "A JSON-LD context does not match the digest the credential declares for it, so the signature was not checked.",
+  },
+  contextLoadFailed: {
+    type: "failure",
+    title: "Context Not Available",
+    message:
+      "A JSON-LD context the credential uses could not be loaded, so the signature was not checked.",
+  },
+  invalidJsonLd: {
+    type: "failure",
+    title: "Invalid JSON-LD",
+    message: "The credential is not valid JSON-LD.",
+  },
+  unprotectedProperties: {
+    type: "failure",
+    title: "Properties Not Protected",
+    message:
+      "The credential has properties that are not defined by its @context, so they are not protected by the signature and the proof was rejected.",
+  },
+
+  // DID resolution and key binding
+  networkError: {
+    type: "partial",
+    title: "Partial Verification",
+    message:
+      "The DID document could not be fetched, so the signature was not checked. CORS may prevent DID resolution in the browser; set a verification service in the service options to resolve it server-side.",
+  },
+  notFound: {
+    type: "failure",
+    title: "DID Not Found",
+    message: "The DID of the signing key could not be resolved.",
+  },
+  invalidDid: {
+    type: "failure",
+    title: "Invalid DID",
+    message: "The signing key does not belong to a valid DID.",
+  },
+  methodNotSupported: {
+    type: "failure",
+    title: "DID Method Not Supported",
+    message:
+      "The DID of the signing key uses a method this verifier can't resolve.",
+  },
+  issuerMismatch: {
+    type: "failure",
+    title: "Signed by Another DID",
+    message:
+      "The signing key is not authorized to sign for this credential's issuer, so the signature proves nothing about the issuer.",
+  },
+  missingIssuer: {
+    type: "failure",
+    title: "No Issuer",
+    message:
+      "The credential names no issuer, so the signature can't be tied to anyone.",
+  },
+  missingHolder: {
+    type: "failure",
+    title: "No Holder",
+    message:
+      "The presentation names no holder, so its signature can't be tied to anyone.",
+  },
+  verificationMethodNotFound: {
+    type: "failure",
+    title: "Key Not Found",
+    message:
+      "The signing key is not in the issuer's DID document, so the signature proves nothing about the issuer.",
+  },
+  notAuthorized: {
+    type: "failure",
+    title: "Key Not Authorized",
+    message:
+      "The signing key is not authorized to sign for this credential's issuer, so the signature proves nothing about the issuer.",
+  },
+  controllerMismatch: {
+    type: "failure",
+    title: "Key Controller Mismatch",
+    message:
+      "The signing key is controlled by someone other than the issuer, so the signature proves nothing about the issuer.",
+  },
+
+  // Signature
+  invalidSignature: {
+    type: "failure",
+    title: "Verification Failed",
+    message: "The credential signature could not be verified.",
+  },
+  invalidKey: {
+    type: "failure",
+    title: "Verification Failed",
+    message: "The signing key can't verify this kind of signature.",
+  },
+  safeMode: {
+    type: "failure",
+    title: "Properties Not Protected",
+    message:
+      "The credential could not be canonicalized in JSON-LD safe mode, so the signature does not cover all of its data.",
+  },
+  timeout: {
+    type: "timeout",
+    title: "Verification Timeout",
+    message:
+      "The verification process took too long to complete. This may be due to network issues or complex credential processing; the timeout options allow more time.",
+  },
+
+  // Validity period and status, checked once the signature is valid
+  expired: {
+    type: "failure",
+    title: "Credential Expired",
+    message:
+      "The signature is valid, but the credential is not valid at the verification time.",
+  },
+  notYetValid: {
+    type: "failure",
+    title: "Credential Not Yet Valid",
+    message:
+      "The signature is valid, but the credential is not valid at the verification time.",
+  },
+  invalidValidityPeriod: {
+    type: "failure",
+    title: "Invalid Validity Period",
+    message:
+      "The signature is valid, but the credential dates are inconsistent.",
+  },
+  revoked: {
+    type: "failure",
+    title: "Credential Revoked",
+    message:
+      "The signature is valid, but the issuer has revoked this credential.",
+  },
+  suspended: {
+    type: "failure",
+    title: "Credential Suspended",
+    message:
+      "The signature is valid, but the issuer has suspended this credential.",
+  },
+  statusUnavailable: {
+    type: "partial",
+    title: "Status Unknown",
+    message:
+      "The signature is valid, but the credential status could not be checked.",
+  },
+  statusListIssuerMismatch: {
+    type: "failure",
+    title: "Status List Not Trusted",
+    message:
+      "The signature is valid, but the status list was not issued by the credential's issuer.",
+  },
+  statusListInvalid: {
+    type: "failure",
+    title: "Invalid Status List",
+    message:
+      "The signature is valid, but the status list is expired, does not verify or can't be read.",
+  },
+
+  // Credential schemas
+  schemaInvalid: {
+    type: "failure",
+    title: "Schema Validation Failed",
+    message:
+      "The signature is valid, but the credential does not conform to the JSON Schema it declares.",
+  },
+  schemaProofInvalid: {
+    type: "failure",
+    title: "Schema Not Trusted",
+    message:
+      "The signature is valid, but the credential declaring its JSON Schema did not verify.",
+  },
+  unsupportedSchema: {
+    type: "partial",
+    title: "Schema Not Checked",
+    message:
+      "The signature is valid, but a JSON Schema the credential declares uses a draft this verifier can't check.",
+  },
+  schemaLoadFailed: {
+    type: "failure",
+    title: "Schema Unavailable",
+    message:
+      "The signature is valid, but a JSON Schema the credential declares could not be loaded.",
+  },
+
+  // Attachments
+  evidenceMismatch: {
+    type: "failure",
+    title: "Attachment Mismatch",
+    message:
+      "The signature is valid, but an attached file does not match the hash the credential declares for it.",
+  },
+
+  // Verification policy
+  invalidPolicy: { type: "error" },
+  issuerBlocked: {
+    type: "failure",
+    title: "Issuer Blocked",
+    message:
+      "The signature is valid, but the verification policy blocks this issuer.",
+  },
+  issuerNotTrusted: {
+    type: "failure",
+    title: "Issuer Not Trusted",
+    message:
+      "The signature is valid, but the issuer is not on the verification policy's list of trusted issuers for this kind of credential.",
+  },
+  trustListInvalid: {
+    type: "failure",
+    title: "Trust List Not Trusted",
+    message:
+      "The signature is valid, but a trust list of the verification policy could not be loaded or did not verify, so the issuer could not be checked against it.",
+  },
+  credentialTooOld: {
+    type: "failure",
+    title: "Credential Too Old",
+    message:
+      "The signature is valid, but the credential was issued longer ago than the verification policy allows.",
+  },
+  statusRequired: {
+    type: "failure",
+    title: "Status Required",
+    message:
+      "The signature is valid, but the verification policy requires a credential status that was checked and found valid.",
+  },
+  suiteNotAllowed: {
+    type: "failure",
+    title: "Proof Suite Not Allowed",
+    message:
+      "The signature is valid, but the verification policy does not allow its proof suite.",
+  },
+  didMethodNotAllowed: {
+    type: "failure",
+    title: "DID Method Not Allowed",
+    message:
+      "The signature is valid, but the verification policy does not allow the issuer's DID method.",
+  },
+};
+
+// Icons per check status
+const CHECK_ICONS = { pass: "✓", fail: "✗", skip: "-" };
+
+// Labels per cache, and where the choice to persist caches is remembered
+const CACHE_LABELS = {
+  contexts: "Context",
+  didDocuments: "DID document",
+  schemas: "Schema",
+  statusLists: "Status list",
+  trustLists: "Trust list",
+  didConfigurations: "DID configuration",
+};
+const PERSIST_CACHE_KEY = "vc-verifier:persistCache";
+
+/**
+ * Verification service to retry through when the browser can't fetch a DID
+ * document, context or status list. Set VITE_VERIFIER_SERVICE_URL at build
+ * time; the dev server proxies /api to a local service (see vite.config.js)
+ * @const {string}
+ */
+const DEFAULT_SERVICE_URL =
+  import.meta.env.VITE_VERIFIER_SERVICE_URL ||
+  (import.meta.env.DEV ? "/api" : "");
+
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
@@ -86,6 +476,48 @@ const SAMPLE_CREDENTIAL = {
  */
 let elements = {};
 
+/**
+ * Runs verifications off the main thread
+ * @type {Object}
+ */
+const verifierWorker = createVerifierWorker({ onStart: restoreWorkerSettings });
+
+/**
+ * Cancels the running verification
+ * @type {AbortController|null}
+ */
+let verificationController = null;
+
+/**
+ * Key of the test credential issuer, from generateIssuerKey()
+ * @type {Object|null}
+ */
+let issuerKey = null;
+
+/**
+ * Credentials issued last, as { name, description, expected, credential }
+ * @type {Array<Object>}
+ */
+let issuedCredentials = [];
+
+/**
+ * Files attached for the evidence check, as { name, bytes }
+ * @type {Array<Object>}
+ */
+let evidenceFiles = [];
+
+/**
+ * The input verified last, verified again when the attachments change
+ * @type {string|Object|null}
+ */
+let lastInput = null;
+
+/**
+ * Counts claims tree requests, so only the latest one is shown
+ * @type {number}
+ */
+let claimsRequest = 0;
+
 // ============================================================================
 // INITIALIZATION & SETUP
 // ============================================================================
@@ -110,19 +542,87 @@ function initializeElements() {
     loadSampleBtn: document.getElementById("loadSampleBtn"),
     downloadSampleBtn: document.getElementById("downloadSampleBtn"),
     viewSampleBtn: document.getElementById("viewSampleBtn"),
+    pasteInput: document.getElementById("pasteInput"),
+    verifyPasteBtn: document.getElementById("verifyPasteBtn"),
+
+    // Attachments
+    evidencePanel: document.getElementById("evidencePanel"),
+    evidenceInput: document.getElementById("evidenceInput"),
+    clearEvidenceBtn: document.getElementById("clearEvidenceBtn"),
+    evidenceFiles: document.getElementById("evidenceFiles"),
+
+    // Test credential issuer
+    issuerDidInput: document.getElementById("issuerDidInput"),
+    generateKeyBtn: document.getElementById("generateKeyBtn"),
+    importKeyInput: document.getElementById("importKeyInput"),
+    exportKeyBtn: document.getElementById("exportKeyBtn"),
+    downloadDidDocumentBtn: document.getElementById("downloadDidDocumentBtn"),
+    issuerKeyInfo: document.getElementById("issuerKeyInfo"),
+    templateSelect: document.getElementById("templateSelect"),
+    claimsInput: document.getElementById("claimsInput"),
+    signingSuiteSelect: document.getElementById("signingSuiteSelect"),
+    issueCredentialBtn: document.getElementById("issueCredentialBtn"),
+    createFixturesBtn: document.getElementById("createFixturesBtn"),
+    issuedCredentials: document.getElementById("issuedCredentials"),
+
+    // Presentation options
+    challengeInput: document.getElementById("challengeInput"),
+    domainInput: document.getElementById("domainInput"),
+    generateChallengeBtn: document.getElementById("generateChallengeBtn"),
+
+    // Validity options
+    asOfInput: document.getElementById("asOfInput"),
+    clockSkewInput: document.getElementById("clockSkewInput"),
+
+    // Context options
+    strictContextsInput: document.getElementById("strictContextsInput"),
+    remoteContextsInput: document.getElementById("remoteContextsInput"),
+
+    // Verification policy
+    policyInput: document.getElementById("policyInput"),
+    policyFileInput: document.getElementById("policyFileInput"),
+
+    // Verification service
+    serviceUrlInput: document.getElementById("serviceUrlInput"),
+
+    // Timeouts
+    networkTimeoutInput: document.getElementById("networkTimeoutInput"),
+    canonicalizationTimeoutInput: document.getElementById(
+      "canonicalizationTimeoutInput"
+    ),
+
+    // Cache
+    cachePanel: document.getElementById("cachePanel"),
+    persistCacheInput: document.getElementById("persistCacheInput"),
+    clearCacheBtn: document.getElementById("clearCacheBtn"),
+    cacheEntries: document.getElementById("cacheEntries"),
+
     credentialInfo: document.getElementById("credentialInfo"),
     verificationProgress: document.getElementById("verificationProgress"),
     results: document.getElementById("results"),
 
     // Progress indicators
     progressSteps: document.getElementById("progressSteps"),
+    cancelVerificationBtn: document.getElementById("cancelVerificationBtn"),
 
     // Credential display fields
     credentialId: document.getElementById("credentialId"),
+    credentialName: document.getElementById("credentialName"),
+    credentialNameItem: document.getElementById("credentialNameItem"),
+    credentialDescription: document.getElementById("credentialDescription"),
+    credentialDescriptionItem: document.getElementById(
+      "credentialDescriptionItem"
+    ),
+    dataModel: document.getElementById("dataModel"),
     credentialType: document.getElementById("credentialType"),
     credentialIssuer: document.getElementById("credentialIssuer"),
+    credentialDomains: document.getElementById("credentialDomains"),
+    credentialDomainsItem: document.getElementById("credentialDomainsItem"),
     credentialDate: document.getElementById("credentialDate"),
+    credentialExpiry: document.getElementById("credentialExpiry"),
     proofType: document.getElementById("proofType"),
+    claimsNote: document.getElementById("claimsNote"),
+    claimsTree: document.getElementById("claimsTree"),
 
     // Results container
     resultContent: document.getElementById("resultContent"),
@@ -150,21 +650,199 @@ function setupEventListeners() {
     downloadSampleCredential
   );
   elements.viewSampleBtn.addEventListener("click", viewSampleCredential);
+
+  // Pasted JSON or JWT credentials
+  elements.verifyPasteBtn.addEventListener("click", () =>
+    processInput(elements.pasteInput.value)
+  );
+
+  // Files checked against the hashes a credential declares
+  elements.evidenceInput.addEventListener("change", async (event) => {
+    await addEvidenceFiles([...event.target.files]);
+    event.target.value = "";
+  });
+  elements.clearEvidenceBtn.addEventListener("click", () =>
+    setEvidenceFiles([])
+  );
+  elements.evidenceFiles.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-evidence]");
+    if (button) {
+      setEvidenceFiles(
+        evidenceFiles.filter((file) => file.name !== button.dataset.evidence)
+      );
+    }
+  });
+
+  // Presentation challenge
+  elements.challengeInput.value = generateChallenge();
+  elements.generateChallengeBtn.addEventListener("click", () => {
+    elements.challengeInput.value = generateChallenge();
+  });
+
+  // Validity period checks
+  elements.clockSkewInput.value = DEFAULT_CLOCK_SKEW;
+
+  // JSON-LD context loading
+  elements.remoteContextsInput.value = DEFAULT_REMOTE_CONTEXTS.map(
+    ({ url, digestSRI }) => (digestSRI ? `${url} ${digestSRI}` : url)
+  ).join("\n");
+
+  // Verification policy, typed or loaded from a file
+  elements.policyFileInput.addEventListener("change", async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (file) {
+      elements.policyInput.value = await file.text();
+    }
+  });
+
+  // Verification service for what the browser can't fetch
+  elements.serviceUrlInput.value = DEFAULT_SERVICE_URL;
+
+  // Cached contexts and DID documents
+  elements.cachePanel.addEventListener("toggle", renderCacheEntries);
+  elements.persistCacheInput.addEventListener("change", togglePersistentCache);
+  elements.clearCacheBtn.addEventListener("click", async () => {
+    await verifierWorker.call("clearCaches");
+    renderCacheEntries();
+  });
+  elements.cacheEntries.addEventListener("click", async (event) => {
+    const button = event.target.closest("[data-cache]");
+    if (button) {
+      await verifierWorker.call(
+        "evictCacheEntry",
+        button.dataset.cache,
+        button.dataset.key
+      );
+      renderCacheEntries();
+    }
+  });
+  if (localStorage.getItem(PERSIST_CACHE_KEY) === "true") {
+    elements.persistCacheInput.checked = true;
+    verifierWorker.call("enableCachePersistence").then(renderCacheEntries);
+  }
+
+  // Timeouts and cancellation
+  elements.networkTimeoutInput.value = DEFAULT_TIMEOUTS.network / 1000;
+  elements.canonicalizationTimeoutInput.value =
+    DEFAULT_TIMEOUTS.canonicalization / 1000;
+  elements.cancelVerificationBtn.addEventListener("click", () => {
+    if (verificationController) {
+      verificationController.abort();
+    }
+  });
+
+  // Test credential issuer
+  elements.templateSelect.innerHTML = renderOptions(CREDENTIAL_TEMPLATES);
+  elements.signingSuiteSelect.innerHTML = renderOptions(SIGNING_SUITES);
+  showTemplateClaims();
+  elements.templateSelect.addEventListener("change", showTemplateClaims);
+  elements.generateKeyBtn.addEventListener("click", () =>
+    setIssuerKey(() =>
+      generateIssuerKey({ did: elements.issuerDidInput.value.trim() })
+    )
+  );
+  elements.importKeyInput.addEventListener("change", importKeyFile);
+  elements.issuerDidInput.addEventListener("change", rebindIssuerKey);
+  elements.exportKeyBtn.addEventListener("click", async () =>
+    downloadFile(
+      "issuer-key.json",
+      JSON.stringify(await exportIssuerKey(issuerKey), null, 2)
+    )
+  );
+  elements.downloadDidDocumentBtn.addEventListener("click", () =>
+    downloadFile(
+      "did.json",
+      JSON.stringify(createDidDocument(issuerKey), null, 2)
+    )
+  );
+  elements.issueCredentialBtn.addEventListener("click", () =>
+    issueTestCredentials(false)
+  );
+  elements.createFixturesBtn.addEventListener("click", () =>
+    issueTestCredentials(true)
+  );
+  elements.issuedCredentials.addEventListener("click", handleIssuedAction);
+}
+
+/**
+ * Restore settings in a newly started verification worker
+ * Workers are replaced after a verification is cancelled or stopped
+ * @param {Object} worker - The worker client
+ */
+function restoreWorkerSettings(worker) {
+  if (elements.persistCacheInput.checked) {
+    worker.call("enableCachePersistence");
+  }
+}
+
+/**
+ * Turn keeping the caches across sessions on or off
+ * Turning it off deletes what was kept
+ */
+async function togglePersistentCache() {
+  if (elements.persistCacheInput.checked) {
+    // Unchecks the box again where IndexedDB isn't available
+    elements.persistCacheInput.checked = await verifierWorker.call(
+      "enableCachePersistence"
+    );
+  } else {
+    await verifierWorker.call("disableCachePersistence");
+  }
+  localStorage.setItem(
+    PERSIST_CACHE_KEY,
+    String(elements.persistCacheInput.checked)
+  );
+  renderCacheEntries();
 }
 
 // ============================================================================
 // FILE HANDLING & USER INPUT
 // ============================================================================
 
+/**
+ * Check whether a file looks like a credential rather than an attachment
+ * @param {File} file - A selected or dropped file
+ * @returns {boolean} True for JSON, JWT and text files
+ */
+function isCredentialFile(file) {
+  return (
+    file.type === "application/json" ||
+    file.name.endsWith(".json") ||
+    file.name.endsWith(".jwt") ||
+    file.name.endsWith(".txt")
+  );
+}
+
+/**
+ * Verify the first credential among selected or dropped files
+ * The other files are attached for the evidence check
+ *
+ * @param {Array<File>} files - The files
+ */
+async function processFiles(files) {
+  const credential = files.find(isCredentialFile);
+  if (!credential) {
+    showError("Please drop a JSON or JWT file");
+    return;
+  }
+  const attachments = files.filter((file) => file !== credential);
+  if (attachments.length) {
+    await addEvidenceFiles(attachments, false);
+  }
+  readAndProcessFile(credential);
+}
+
 /**
  * Handle file selection from the file input
  * @param {Event} event - The change event from file input
  */
 function handleFileSelect(event) {
-  const file = event.target.files[0];
-  if (file) {
-    readAndProcessFile(file);
+  const files = [...event.target.files];
+  if (files.length) {
+    processFiles(files);
   }
+  event.target.value = "";
 }
 
 /**
@@ -193,18 +871,14 @@ function handleDrop(event) {
   event.preventDefault();
   elements.dropZone.classList.remove("drag-over");
 
-  const file = event.dataTransfer.files[0];
-  if (!file) return;
+  const files = [...event.dataTransfer.files];
+  if (!files.length) return;
 
-  if (file.type === "application/json" || file.name.endsWith(".json")) {
-    readAndProcessFile(file);
-  } else {
-    showError("Please drop a JSON file");
-  }
+  processFiles(files);
 }
 
 /**
- * Read and parse the dropped/selected file
+ * Read the dropped/selected file and process its contents
  * @param {File} file - The file to read
  */
 function readAndProcessFile(file) {
@@ -215,12 +889,7 @@ function readAndProcessFile(file) {
 
   reader.onload = (e) => {
     elements.dropZone.classList.remove("processing");
-    try {
-      const credential = JSON.parse(e.target.result);
-      processCredential(credential);
-    } catch (error) {
-      showError("Invalid JSON file: " + error.message);
-    }
+    processInput(e.target.result);
   };
 
   reader.onerror = () => {
@@ -231,28 +900,166 @@ function readAndProcessFile(file) {
   reader.readAsText(file);
 }
 
+/**
+ * Read a file as bytes
+ * @param {File} file - The file
+ * @returns {Promise<Uint8Array>} Its contents
+ */
+function readFileBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Attach files for the evidence check
+ * A file replaces an attached file of the same name
+ *
+ * @param {Array<File>} files - The files
+ * @param {boolean} [reverify=true] - Verify the last input again
+ */
+async function addEvidenceFiles(files, reverify = true) {
+  let added;
+  try {
+    added = await Promise.all(
+      files.map(async (file) => ({
+        name: file.name,
+        bytes: await readFileBytes(file),
+      }))
+    );
+  } catch (error) {
+    showError(escapeHtml(error.message));
+    return;
+  }
+  const names = added.map((file) => file.name);
+  setEvidenceFiles(
+    [...evidenceFiles.filter((file) => !names.includes(file.name)), ...added],
+    reverify
+  );
+}
+
+/**
+ * Replace the attached files and list them
+ * @param {Array<Object>} files - Files as { name, bytes }
+ * @param {boolean} [reverify=true] - Verify the last input again, so its
+ *   evidence check reflects the new files
+ */
+function setEvidenceFiles(files, reverify = true) {
+  evidenceFiles = files;
+  elements.evidencePanel.open = files.length > 0 || elements.evidencePanel.open;
+  elements.evidenceFiles.innerHTML = files
+    .map(
+      (file) => `
+      <div class="evidence-file">
+        <div class="evidence-file-info">
+          <span class="evidence-file-name">${escapeHtml(file.name)}</span>
+          <small>${file.bytes.length} bytes</small>
+        </div>
+        <button class="btn btn-secondary" data-evidence="${escapeHtml(
+          file.name
+        )}">Remove</button>
+      </div>
+    `
+    )
+    .join("");
+  if (reverify && lastInput && !verificationController) {
+    processInput(lastInput);
+  }
+}
+
+/**
+ * Process raw text input or a parsed document: show what it is and start
+ * verification
+ * @param {string|Object} input - The file contents, pasted text or a
+ *   parsed credential
+ */
+function processInput(input) {
+  // Reset UI to clean state
+  resetUI();
+  lastInput = input;
+
+  if (!input || (typeof input === "string" && !input.trim())) {
+    showError("Please provide a credential");
+    return;
+  }
+
+  const parsed = parseDocument(input);
+  if (parsed.error) {
+    showError(`Invalid credential: ${escapeHtml(parsed.error)}`);
+    return;
+  }
+
+  let policy;
+  try {
+    policy = getPolicyOption();
+  } catch (error) {
+    showError(`Invalid verification policy: ${escapeHtml(error.message)}`);
+    return;
+  }
+
+  const options = {
+    ...getValidityOptions(),
+    timeouts: getTimeoutOptions(),
+    evidence: evidenceFiles,
+    policy,
+  };
+  if (parsed.kind === "presentation") {
+    const challenge = elements.challengeInput.value.trim();
+    if (!challenge) {
+      showError("Enter or generate the challenge the presentation must carry");
+      return;
+    }
+    options.challenge = challenge;
+    options.domain = elements.domainInput.value.trim() || undefined;
+  } else {
+    // Display credential information to user
+    displayCredentialInfo(
+      parsed.document,
+      parsed.header
+        ? `VC-JWT (${parsed.header.alg})`
+        : describeProof(parsed.document.proof)
+    );
+  }
+
+  // Start the verification process
+  verifyInput(input, parsed, options);
+}
+
 /**
  * Load the sample credential for demonstration
  */
 function loadSampleCredential() {
-  processCredential(SAMPLE_CREDENTIAL);
+  processInput(SAMPLE_CREDENTIAL);
 }
 
 /**
  * Download the sample credential as a JSON file
  */
 function downloadSampleCredential() {
-  // Convert the credential object to a formatted JSON string
-  const jsonString = JSON.stringify(SAMPLE_CREDENTIAL, null, 2);
+  downloadFile(
+    "sample-credential.json",
+    JSON.stringify(SAMPLE_CREDENTIAL, null, 2)
+  );
+}
 
-  // Create a blob with the JSON data
-  const blob = new Blob([jsonString], { type: "application/json" });
+/**
+ * Download text as a file
+ * @param {string} filename - The suggested file name
+ * @param {string} text - The file contents
+ * @param {string} [type="application/json"] - The MIME type
+ */
+function downloadFile(filename, text, type = "application/json") {
+  // Create a blob with the data
+  const blob = new Blob([text], { type });
 
   // Create a temporary download link
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
   link.href = url;
-  link.download = "sample-credential.json";
+  link.download = filename;
 
   // Trigger the download
   document.body.appendChild(link);
@@ -284,160 +1091,747 @@ function viewSampleCredential() {
 }
 
 // ============================================================================
-// CREDENTIAL PROCESSING & VALIDATION
+// TEST CREDENTIAL ISSUER
 // ============================================================================
 
 /**
- * Process a credential by validating its structure and starting verification
- * @param {Object} credential - The credential object to process
+ * Render select options for the entries of a registry
+ * @param {Object} registry - Entries with a label, keyed by value
+ * @returns {string} The option elements
  */
-function processCredential(credential) {
-  // Reset UI to clean state
-  resetUI();
+function renderOptions(registry) {
+  return Object.entries(registry)
+    .map(
+      ([value, { label }]) =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+    )
+    .join("");
+}
+
+/**
+ * Show the claims of the selected template, to be edited before issuing
+ */
+function showTemplateClaims() {
+  const template = CREDENTIAL_TEMPLATES[elements.templateSelect.value];
+  elements.claimsInput.value = JSON.stringify(
+    template.credentialSubject,
+    null,
+    2
+  );
+}
 
-  // Validate the credential has required structure
-  if (!validateCredentialStructure(credential)) {
+/**
+ * Replace the issuer key and show it
+ * Failures, e.g. an invalid did:web or key file, are shown as errors
+ * @param {Function} createKey - Resolves to the new issuer key
+ */
+async function setIssuerKey(createKey) {
+  try {
+    issuerKey = await createKey();
+  } catch (error) {
+    showError(escapeHtml(error.message));
     return;
   }
 
-  // Display credential information to user
-  displayCredentialInfo(credential);
-
-  // Start the verification process
-  verifyCredential(credential);
+  const { did, verificationMethod } = issuerKey;
+  elements.issuerKeyInfo.innerHTML = did.startsWith("did:web:")
+    ? `${escapeHtml(verificationMethod)}<br />Host the did.json at
+      ${escapeHtml(didWebToUrl(did))}`
+    : escapeHtml(verificationMethod);
+  elements.issuerDidInput.value = did.startsWith("did:web:") ? did : "";
+  elements.exportKeyBtn.disabled = false;
+  elements.issueCredentialBtn.disabled = false;
+  elements.createFixturesBtn.disabled = false;
+  elements.downloadDidDocumentBtn.disabled = !did.startsWith("did:web:");
 }
 
 /**
- * Validate that the credential has all required fields and supported proof type
- * @param {Object} credential - The credential to validate
- * @returns {boolean} True if valid, false otherwise
+ * Import the issuer key from a key file
+ * @param {Event} event - The file input change event
  */
-function validateCredentialStructure(credential) {
-  // Check if credential is a valid object
-  if (!credential || typeof credential !== "object") {
-    showError("Invalid credential: must be a JSON object");
-    return false;
+async function importKeyFile(event) {
+  const [file] = event.target.files;
+  event.target.value = "";
+  if (file) {
+    const text = await file.text();
+    setIssuerKey(() =>
+      importIssuerKey(text, {
+        did: elements.issuerDidInput.value.trim() || undefined,
+      })
+    );
   }
+}
 
-  // Check for proof field
-  if (!credential.proof || !credential.proof.type) {
-    showError("Invalid credential: missing proof");
-    return false;
+/**
+ * Expose the current issuer key under the DID entered, or as a did:key
+ */
+async function rebindIssuerKey() {
+  if (issuerKey) {
+    const exported = await exportIssuerKey(issuerKey);
+    setIssuerKey(() =>
+      importIssuerKey(
+        { ...exported, controller: undefined },
+        { did: elements.issuerDidInput.value.trim() || undefined }
+      )
+    );
   }
+}
 
-  // Check for verification method
-  if (!credential.proof.verificationMethod) {
-    showError("Invalid credential: missing verificationMethod");
-    return false;
+/**
+ * Issue a credential from the template and claims, or a set of fixtures
+ * A single credential is verified right away
+ * @param {boolean} fixtures - Create the regression fixtures instead
+ */
+async function issueTestCredentials(fixtures) {
+  let credentialSubject;
+  try {
+    credentialSubject = JSON.parse(elements.claimsInput.value);
+  } catch (error) {
+    showError(`Invalid subject claims: ${escapeHtml(error.message)}`);
+    return;
+  }
+  if (!credentialSubject || typeof credentialSubject !== "object") {
+    showError("Subject claims must be a JSON object");
+    return;
   }
 
-  // Verify proof type is supported
-  if (credential.proof.type !== "Ed25519Signature2018") {
-    showError(
-      `Unsupported proof type: ${credential.proof.type}. This verifier only supports Ed25519Signature2018`
-    );
-    return false;
+  const credential = createCredential(elements.templateSelect.value, {
+    issuer: issuerKey.did,
+    credentialSubject,
+  });
+  const options = { suite: elements.signingSuiteSelect.value };
+  try {
+    issuedCredentials = fixtures
+      ? await createFixtures(credential, issuerKey, options)
+      : [
+          {
+            name: "credential",
+            description: `Signed with ${SIGNING_SUITES[options.suite].label}`,
+            expected: null,
+            credential: await issueCredential(credential, issuerKey, options),
+          },
+        ];
+  } catch (error) {
+    showError(`Signing failed: ${escapeHtml(error.message)}`);
+    return;
   }
 
-  return true;
+  renderIssuedCredentials();
+  if (!fixtures) {
+    processInput(issuedCredentials[0].credential);
+  }
 }
 
 /**
- * Display credential information in the UI
- * @param {Object} credential - The credential to display
+ * List the credentials issued last, to verify or download
  */
-function displayCredentialInfo(credential) {
-  // Populate credential fields with safe fallbacks
-  elements.credentialId.textContent = credential.id || "Not specified";
-  elements.credentialType.textContent = Array.isArray(credential.type)
-    ? credential.type.join(", ")
-    : credential.type;
-
-  // Display issuer with clickable link for did:web
-  const issuerDid = credential.issuer || "Not specified";
-  if (issuerDid.startsWith("did:web:")) {
-    const didUrl = `https://${issuerDid
-      .replace("did:web:", "")
-      .replace(/:/g, "/")}/did.json`;
-    elements.credentialIssuer.innerHTML = `<a href="${didUrl}" target="_blank" rel="noopener">${issuerDid}</a>`;
-  } else {
-    elements.credentialIssuer.textContent = issuerDid;
+function renderIssuedCredentials() {
+  const rows = issuedCredentials.map(
+    ({ name, description, expected }, index) => `
+      <div class="issued-credential">
+        <div class="issued-credential-info">
+          <span>${escapeHtml(name)}</span>
+          <small>${escapeHtml(description)}; ${
+      expected
+        ? `should fail the ${CHECK_LABELS[expected].label} check`
+        : "should verify"
+    }</small>
+        </div>
+        <button class="btn btn-secondary" data-action="verify"
+          data-index="${index}">Verify</button>
+        <button class="btn btn-secondary" data-action="download"
+          data-index="${index}">Download</button>
+      </div>
+    `
+  );
+  if (issuedCredentials.length > 1) {
+    rows.push(`
+      <div class="issued-credential">
+        <div class="issued-credential-info">
+          <span>All fixtures</span>
+          <small>One per line, in the order above, for vc-verify</small>
+        </div>
+        <button class="btn btn-secondary" data-action="downloadAll">
+          Download JSONL</button>
+      </div>
+    `);
   }
+  elements.issuedCredentials.innerHTML = rows.join("");
+}
 
-  elements.credentialDate.textContent =
-    credential.issuanceDate || "Not specified";
-  elements.proofType.textContent = credential.proof.type;
+/**
+ * Verify or download an issued credential
+ * @param {Event} event - Click event from the issued credentials list
+ */
+function handleIssuedAction(event) {
+  const button = event.target.closest("[data-action]");
+  if (!button) {
+    return;
+  }
+
+  const { action, index } = button.dataset;
+  if (action === "downloadAll") {
+    downloadFile(
+      "fixtures.jsonl",
+      issuedCredentials
+        .map(({ credential }) => JSON.stringify(credential))
+        .join("\n") + "\n",
+      "application/jsonl"
+    );
+    return;
+  }
+
+  const { name, credential } = issuedCredentials[Number(index)];
+  if (action === "verify") {
+    processInput(credential);
+  } else if (typeof credential === "string") {
+    downloadFile(`${name}.jwt`, credential, "application/jwt");
+  } else {
+    downloadFile(`${name}.json`, JSON.stringify(credential, null, 2));
+  }
+}
+
+// ============================================================================
+// CREDENTIAL PROCESSING
+// ============================================================================
+
+/**
+ * Apply the context options to the context loader
+ * Each allowlist line holds a URL or URL prefix and an optional digestSRI
+ */
+function applyContextOptions() {
+  const allowlist = elements.remoteContextsInput.value
+    .split("\n")
+    .map((line) => line.trim().split(/\s+/))
+    .filter(([url]) => url)
+    .map(([url, digestSRI]) => ({ url, digestSRI }));
+
+  configureContextLoader({
+    strict: elements.strictContextsInput.checked,
+    allowlist,
+  });
+}
+
+/**
+ * Read the verification time and clock skew from the validity options
+ * An empty or invalid "as of" time means now
+ * @returns {Object} The `at` and `clockSkew` options for verify()
+ */
+function getValidityOptions() {
+  const asOf = elements.asOfInput.value
+    ? new Date(elements.asOfInput.value)
+    : null;
+  const clockSkew = Number(elements.clockSkewInput.value);
+
+  return {
+    at: asOf && !isNaN(asOf.getTime()) ? asOf : new Date(),
+    clockSkew:
+      Number.isFinite(clockSkew) && clockSkew >= 0
+        ? clockSkew
+        : DEFAULT_CLOCK_SKEW,
+  };
+}
+
+/**
+ * Read the verification policy from the policy options
+ * @returns {Object|undefined} The `policy` option for verify(), or
+ *   undefined if none is given
+ * @throws {Error} If the policy is not valid JSON or not a valid policy
+ */
+function getPolicyOption() {
+  const text = elements.policyInput.value.trim();
+  if (!text) {
+    return undefined;
+  }
+  let policy;
+  try {
+    policy = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`not valid JSON (${error.message})`);
+  }
+  normalizePolicy(policy);
+  return policy;
+}
+
+/**
+ * Read the per-phase timeouts from the timeout options
+ * Empty or invalid values keep the defaults
+ * @returns {Object} The `timeouts` option for verify(), in milliseconds
+ */
+function getTimeoutOptions() {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  const inputs = {
+    network: elements.networkTimeoutInput,
+    canonicalization: elements.canonicalizationTimeoutInput,
+  };
+  for (const [phase, input] of Object.entries(inputs)) {
+    const seconds = Number(input.value);
+    if (input.value && Number.isFinite(seconds) && seconds > 0) {
+      timeouts[phase] = seconds * 1000;
+    }
+  }
+  return timeouts;
+}
+
+/**
+ * Display credential information in the UI
+ * @param {Object} credential - The credential to display
+ * @param {string} proofLabel - Description of how the credential is secured
+ */
+function displayCredentialInfo(credential, proofLabel) {
+  // Populate credential fields with safe fallbacks
+  elements.credentialId.textContent = credential.id || "Not specified";
+  elements.credentialType.textContent = Array.isArray(credential.type)
+    ? credential.type.join(", ")
+    : credential.type;
+
+  // Name and description may be language maps in VC 2.0
+  setOptionalField(
+    elements.credentialName,
+    elements.credentialNameItem,
+    getLocalizedValue(credential.name)
+  );
+  setOptionalField(
+    elements.credentialDescription,
+    elements.credentialDescriptionItem,
+    getLocalizedValue(credential.description)
+  );
+
+  const dataModel = getDataModel(credential);
+  elements.dataModel.textContent = dataModel.label;
+  elements.dataModel.title = dataModel.warnings.join("\n");
+  elements.dataModel.classList.toggle(
+    "info-warning",
+    dataModel.warnings.length > 0
+  );
+
+  // Display issuer with clickable link for did:web
+  const issuer = getIssuer(credential);
+  const issuerDid = issuer.id || "Not specified";
+  let didUrl = null;
+  if (issuerDid.startsWith("did:web:")) {
+    try {
+      didUrl = didWebToUrl(issuerDid);
+    } catch (error) {
+      // Invalid did:web identifiers are shown without a link
+    }
+  }
+  const issuerHtml = didUrl
+    ? `<a href="${escapeHtml(
+        didUrl
+      )}" target="_blank" rel="noopener">${escapeHtml(issuerDid)}</a>`
+    : escapeHtml(issuerDid);
+  elements.credentialIssuer.innerHTML = issuer.name
+    ? `${escapeHtml(issuer.name)} (${issuerHtml})`
+    : issuerHtml;
+
+  // Linked domains are only known once the issuer is verified
+  setOptionalField(
+    elements.credentialDomains,
+    elements.credentialDomainsItem,
+    null
+  );
+
+  setDateField(
+    elements.credentialDate,
+    credential.validFrom || credential.issuanceDate
+  );
+  setDateField(
+    elements.credentialExpiry,
+    credential.validUntil || credential.expirationDate
+  );
+  elements.proofType.textContent = proofLabel;
+  showClaims(credential);
 
   // Show the credential info section
   elements.credentialInfo.classList.remove("hidden");
 }
 
+/**
+ * Show an info field only when the credential has a value for it
+ * @param {HTMLElement} element - The info value element
+ * @param {HTMLElement} item - The info item wrapping label and value
+ * @param {string|null} value - The text to show
+ */
+function setOptionalField(element, item, value) {
+  element.textContent = value || "";
+  item.classList.toggle("hidden", !value);
+}
+
+/**
+ * Show a credential date in the reader's locale, keeping the raw value
+ * available as a tooltip
+ * @param {HTMLElement} element - The info field
+ * @param {string} value - The date from the credential
+ */
+function setDateField(element, value) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    element.textContent = value || "Not specified";
+    element.removeAttribute("title");
+    return;
+  }
+  element.textContent = date.toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+  element.title = value;
+}
+
+/**
+ * Show every claim of a credential's subject as a collapsible tree
+ * Labels and datatypes come from the credential's contexts, which the
+ * worker loads with the current context options
+ *
+ * @param {Object} credential - The credential
+ */
+async function showClaims(credential) {
+  const request = ++claimsRequest;
+  elements.claimsNote.classList.add("hidden");
+  elements.claimsTree.innerHTML = "<p>Loading contexts...</p>";
+
+  let claims;
+  try {
+    applyContextOptions();
+    claims = await verifierWorker.describeClaims(credential);
+  } catch (error) {
+    if (request === claimsRequest) {
+      elements.claimsTree.innerHTML = `<p>Claims could not be shown: ${escapeHtml(
+        error.message
+      )}</p>`;
+    }
+    return;
+  }
+  if (request !== claimsRequest) {
+    return;
+  }
+
+  if (claims.error) {
+    elements.claimsNote.textContent = `Labelled by property name: ${claims.error}`;
+    elements.claimsNote.classList.remove("hidden");
+  }
+  const { subject } = claims;
+  elements.claimsTree.innerHTML =
+    subject.kind === "value"
+      ? `<p>${
+          subject.value === undefined
+            ? "No credentialSubject"
+            : renderClaimValue(subject)
+        }</p>`
+      : subject.children.map((claim) => renderClaim(claim, 0)).join("");
+}
+
+/**
+ * Render a claim and the claims below it
+ * Objects and arrays are collapsible; the first two levels start open
+ *
+ * @param {Object} claim - A claims tree node, see claims.js
+ * @param {number} depth - Nesting depth, 0 for properties of the subject
+ * @returns {string} HTML for the claim
+ */
+function renderClaim(claim, depth) {
+  const label = `<span class="claim-label"${
+    claim.iri ? ` title="${escapeHtml(claim.iri)}"` : ""
+  }>${escapeHtml(claim.label)}</span>`;
+
+  if (claim.kind === "value") {
+    const datatype = claim.datatype
+      ? ` <small class="claim-datatype" title="${escapeHtml(
+          claim.datatype
+        )}">${escapeHtml(claim.datatype.split(/[#/:]/).pop())}</small>`
+      : "";
+    return `<div class="claim">${label}<span class="claim-value">${renderClaimValue(
+      claim
+    )}</span>${datatype}</div>`;
+  }
+
+  const summary =
+    claim.kind === "array"
+      ? `(${claim.children.length})`
+      : claim.format === "geo"
+      ? renderClaimValue(claim)
+      : "";
+  return `
+    <details${depth < 2 ? " open" : ""}>
+      <summary>${label} <span class="claim-value">${summary}</span></summary>
+      ${claim.children.map((child) => renderClaim(child, depth + 1)).join("")}
+    </details>
+  `;
+}
+
+/**
+ * Render a claim value by its format: dates in local time, links for URLs,
+ * did:web DIDs, email addresses and coordinates
+ *
+ * @param {Object} claim - A claims tree node with a value
+ * @returns {string} HTML for the value
+ */
+function renderClaimValue({ format, value }) {
+  const link = (href, text) =>
+    `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${escapeHtml(
+      text
+    )}</a>`;
+
+  switch (format) {
+    case "date": {
+      const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+      return `<span title="${escapeHtml(value)}">${escapeHtml(
+        new Date(value).toLocaleString(
+          undefined,
+          dateOnly
+            ? { dateStyle: "medium", timeZone: "UTC" }
+            : { dateStyle: "medium", timeStyle: "short" }
+        )
+      )}</span>`;
+    }
+    case "url":
+      return link(value, value);
+    case "did":
+      if (value.startsWith("did:web:")) {
+        try {
+          return link(didWebToUrl(value.split("#")[0]), value);
+        } catch (error) {
+          // Invalid did:web identifiers are shown without a link
+        }
+      }
+      return escapeHtml(value);
+    case "email":
+      return link(
+        value.startsWith("mailto:") ? value : `mailto:${value}`,
+        value
+      );
+    case "geo": {
+      const [latitude, longitude] =
+        typeof value === "string"
+          ? value.slice(4).split(/[,;]/).map(Number)
+          : [value.latitude, value.longitude];
+      return link(
+        `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`,
+        `${latitude}, ${longitude}`
+      );
+    }
+    default:
+      return escapeHtml(value === null ? "null" : String(value));
+  }
+}
+
 // ============================================================================
 // CREDENTIAL VERIFICATION
 // ============================================================================
 
 /**
- * Main verification function that orchestrates the entire verification process
- * @param {Object} credential - The credential to verify
+ * Verify a credential or presentation and show its result
+ * Each check adds a progress step as it starts
+ *
+ * @param {string|Object} input - The input as given to processInput()
+ * @param {Object} parsed - The decoded input, from parseDocument()
+ * @param {Object} options - Options for verify()
  */
-async function verifyCredential(credential) {
+async function verifyInput(input, parsed, options) {
   // Show verification progress section
   elements.verificationProgress.classList.remove("hidden");
   elements.progressSteps.innerHTML = "";
+  verificationController = new AbortController();
+  const { signal } = verificationController;
+  elements.cancelVerificationBtn.classList.remove("hidden");
 
   try {
-    addProgressStep(
-      "Starting verification",
-      "Initializing cryptographic verification process..."
-    );
+    applyContextOptions();
+    if (parsed.kind === "presentation") {
+      addProgressStep(
+        "Starting presentation verification",
+        `Challenge: ${escapeHtml(options.challenge)}${
+          options.domain ? `, domain: ${escapeHtml(options.domain)}` : ""
+        }`
+      );
+    } else {
+      addProgressStep(
+        "Starting verification",
+        `Suite: ${escapeHtml(elements.proofType.textContent)}`
+      );
+    }
 
-    addProgressStep("Checking proof format", `Type: ${credential.proof.type}`);
-
-    // Call verification function with progress callback
-    const result = await verifyCredentialSignature(
-      credential,
-      (progress, message) => {
-        // Add progress steps for major milestones
-        switch (progress) {
-          case PROGRESS_STEPS.RESOLVE_DID:
-            addProgressStep(
-              "Resolving DID",
-              "Fetching decentralized identifier document..."
-            );
-            break;
-          case PROGRESS_STEPS.CREATE_KEY:
-            addProgressStep("Creating verification key");
-            break;
-          case PROGRESS_STEPS.VERIFY:
-            addProgressStep("Verifying signature");
-            break;
+    let result = await verifierWorker.verify(input, {
+      ...options,
+      signal,
+      onProgress: ({ check, phase, credential }) => {
+        const { step, detail } = CHECK_LABELS[check] || {};
+        // Embedded credentials are summed up in one step below
+        if (phase !== "start" || !step || credential !== undefined) {
+          return;
+        }
+        if (check === "validityPeriod") {
+          addProgressStep(
+            step,
+            `As of ${escapeHtml(options.at.toISOString())}`
+          );
+        } else if (check === "status") {
+          const count = getStatusEntries(parsed.document).length;
+          addProgressStep(
+            step,
+            `Fetching ${count} status list entr${count === 1 ? "y" : "ies"}...`
+          );
+        } else {
+          addProgressStep(step, detail);
+        }
+      },
+    });
+
+    // The service isn't subject to CORS; retry through it if it's set
+    const serviceUrl = elements.serviceUrlInput.value.trim();
+    if (serviceUrl && shouldRetryWithService(result)) {
+      addProgressStep(
+        "Retrying through the verification service",
+        escapeHtml(serviceUrl)
+      );
+      try {
+        const serviceResult = await verifyWithService(serviceUrl, input, {
+          ...options,
+          signal,
+        });
+        result = {
+          ...keepEvidenceChecks(serviceResult, result),
+          service: serviceUrl,
+        };
+      } catch (error) {
+        if (error.name === "AbortError") {
+          throw error;
         }
+        addProgressStep(
+          "Verification service unavailable",
+          `${escapeHtml(error.message)}. Showing the browser result.`
+        );
       }
-    );
+    }
 
-    // Show appropriate result
-    if (result.verified) {
-      showSuccess(credential);
-    } else if (result.errors && result.errors.includes("CORS")) {
-      showPartialSuccess(credential);
-    } else if (result.errorType === "SAFE_MODE") {
-      // Show partial success for safe mode errors
-      showPartialSuccessForSafeMode(credential, result.error);
-    } else if (result.errorType === "TIMEOUT") {
-      // Show timeout error
-      showTimeoutError(credential);
+    if (result.kind === "presentation") {
+      addProgressStep(
+        "Verifying embedded credentials",
+        `${getEmbeddedCredentials(parsed.document).length} credential(s)`
+      );
+      showPresentationResult(result);
     } else {
-      showFailure(result.error || result.errors || "Verification failed");
+      showCredentialResult(result);
+    }
+    if (parsed.format === "ldp" && parsed.document.proof) {
+      addProofInspector(parsed.document);
     }
   } catch (error) {
-    showError(error.message);
+    if (error.name === "AbortError") {
+      showResult(
+        "warning",
+        "Verification Cancelled",
+        "Verification was cancelled before it finished."
+      );
+    } else if (error.code === "timeout") {
+      const { title, message } = RESULT_OUTCOMES.timeout;
+      showResult("timeout", title, message, [], escapeHtml(error.message));
+    } else {
+      showError(escapeHtml(error.message));
+    }
+  } finally {
+    verificationController = null;
+    elements.cancelVerificationBtn.classList.add("hidden");
+  }
+  renderCacheEntries();
+}
+
+/**
+ * Put the browser's evidence checks into a result from the service
+ * Attachments are never sent to the service, so only the browser checked them
+ *
+ * @param {Object} result - The result from the verification service
+ * @param {Object} browserResult - The result of verifying in the browser
+ * @returns {Object} The service result with the browser's evidence checks
+ */
+function keepEvidenceChecks(result, browserResult) {
+  const merge = (entry, browserEntry) => {
+    const evidence =
+      browserEntry &&
+      browserEntry.checks.find((check) => check.name === "evidence");
+    if (!evidence) {
+      return entry;
+    }
+    const checks = entry.checks.map((check) =>
+      check.name === "evidence" ? evidence : check
+    );
+    return { ...entry, ...summarizeChecks(checks), checks };
+  };
+
+  if (result.kind !== "presentation") {
+    return merge(result, browserResult);
   }
+  const credentials = result.credentials.map((credential, index) =>
+    merge(credential, (browserResult.credentials || [])[index])
+  );
+  const failed = credentials.findIndex(
+    (credential) => credential.status === "failed"
+  );
+  return result.status === "failed" || failed === -1
+    ? { ...result, credentials }
+    : {
+        ...result,
+        credentials,
+        status: "failed",
+        verified: false,
+        error: { ...credentials[failed].error, credential: failed },
+      };
 }
 
 // ============================================================================
 // UI UPDATE FUNCTIONS
 // ============================================================================
 
+/**
+ * Format a duration for the cache panel
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} e.g. "3 min" or "2 h"
+ */
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) {
+    return "<1 min";
+  }
+  return minutes < 120 ? `${minutes} min` : `${Math.floor(minutes / 60)} h`;
+}
+
+/**
+ * List the cached contexts and DID documents in the cache panel
+ * Only while the panel is open, so verifying doesn't do needless DOM work
+ */
+async function renderCacheEntries() {
+  if (!elements.cachePanel.open) {
+    return;
+  }
+
+  const entries = (await verifierWorker.call("listCacheEntries")).reverse();
+  const now = Date.now();
+  if (entries.length === 0) {
+    elements.cacheEntries.innerHTML = "<p>Nothing cached.</p>";
+    return;
+  }
+
+  elements.cacheEntries.innerHTML = entries
+    .map(
+      (entry) => `
+      <div class="cache-entry">
+        <div class="cache-entry-info">
+          <span class="cache-entry-key">${escapeHtml(entry.key)}</span>
+          <small>${CACHE_LABELS[entry.cache] || escapeHtml(entry.cache)}
+            from ${escapeHtml(entry.source)}${
+        entry.restored ? " (earlier session)" : ""
+      }, cached ${formatAge(now - entry.storedAt)} ago, expires in
+            ${formatAge(entry.expiresAt - now)}</small>
+        </div>
+        <button class="btn btn-secondary" data-cache="${escapeHtml(
+          entry.cache
+        )}" data-key="${escapeHtml(entry.key)}">Evict</button>
+      </div>
+    `
+    )
+    .join("");
+}
+
 /**
  * Mark all progress steps as completed
  * Used when verification process finishes (success or failure)
@@ -501,7 +1895,7 @@ function resetUI() {
  * @param {string} type - Result type: 'success', 'partial', 'timeout', 'failure', 'error'
  * @param {string} title - Result title
  * @param {string} message - Result message
- * @param {Array} details - Array of detail items with icon and text
+ * @param {Array} details - Array of detail items with icon, text and optional children
  * @param {string} errorText - Optional error text for failure cases
  */
 function showResult(type, title, message, details = [], errorText = null) {
@@ -536,16 +1930,7 @@ function showResult(type, title, message, details = [], errorText = null) {
     details.length > 0
       ? `
     <div class="result-details">
-      ${details
-        .map(
-          (item) => `
-        <div class="detail-item">
-          <span>${item.icon}</span>
-          <span>${item.text}</span>
-        </div>
-      `
-        )
-        .join("")}
+      ${details.map(renderDetailItem).join("")}
       ${
         errorText
           ? `<p style="color: var(--error-color);">${errorText}</p>`
@@ -583,108 +1968,732 @@ function showResult(type, title, message, details = [], errorText = null) {
 }
 
 /**
- * Display successful verification result
+ * Show a verified credential as a card below the result message
+ * The card is rendered from the credential's renderMethod, or a built-in
+ * template for its type, in a sandboxed iframe
+ *
  * @param {Object} credential - The verified credential
  */
-function showSuccess(credential) {
-  showResult(
-    "success",
-    "Verification Successful",
-    "The credential signature has been cryptographically verified.",
-    [
-      { icon: "✓", text: "Digital signature is valid" },
-      { icon: "✓", text: "Issuer identity confirmed" },
-      { icon: "✓", text: "Credential has not been tampered with" },
-    ]
-  );
+async function addCredentialCard(credential) {
+  const card = document.createElement("figure");
+  card.className = "credential-card";
+  elements.resultContent.querySelector(".result-message").after(card);
+
+  let rendering;
+  try {
+    rendering = await renderCredential(credential, {
+      signal: AbortSignal.timeout(getTimeoutOptions().network),
+    });
+  } catch (error) {
+    rendering = null;
+  }
+  if (!rendering) {
+    card.remove();
+    return;
+  }
+
+  // No scripts, forms or same-origin access; the document's CSP blocks
+  // every request
+  const frame = document.createElement("iframe");
+  frame.setAttribute("sandbox", "");
+  frame.setAttribute("referrerpolicy", "no-referrer");
+  frame.title = rendering.label;
+  frame.srcdoc = rendering.document;
+
+  const sources = {
+    embedded: "embedded in the credential",
+    verified: "template matches its digest",
+    unverified: "template not covered by the signature",
+    builtIn: "built-in template",
+  };
+  const caption = document.createElement("figcaption");
+  caption.innerHTML = `${escapeHtml(rendering.label)} <small>(${
+    sources[rendering.integrity]
+  })</small>${rendering.warnings
+    .map((warning) => `<p class="card-warning">${escapeHtml(warning)}</p>`)
+    .join("")}`;
+  card.append(frame, caption);
 }
 
 /**
- * Display partial verification result for safe mode errors
- * @param {Object} credential - The credential
- * @param {string} errorMessage - The error message
+ * Add the proof inspector to the result card
+ * The proof is only inspected once the panel is opened
+ * @param {Object} signed - The credential or presentation with an LD proof
  */
-function showPartialSuccessForSafeMode(credential, errorMessage) {
-  showResult(
-    "partial",
-    "Browser Verification Limited",
-    "The credential structure is valid, but full cryptographic verification cannot be completed in the browser due to security restrictions.",
-    [
-      { icon: "✅", text: "Credential structure is valid" },
-      { icon: "✅", text: "Proof format is correct (Ed25519Signature2018)" },
-      { icon: "✅", text: "DID resolved successfully" },
-      { icon: "⚠️", text: "JSON-LD processing restricted by browser security" },
-      {
-        icon: "ℹ️",
-        text: "Server-side verification recommended for production use",
-      },
-    ]
+function addProofInspector(signed) {
+  const panel = document.createElement("details");
+  panel.className = "options-panel proof-inspector";
+  panel.innerHTML = `
+    <summary>Inspect proof</summary>
+    <div class="inspector-content"><p>Canonicalizing...</p></div>
+  `;
+  panel.addEventListener("toggle", async () => {
+    if (!panel.open || panel.dataset.loaded) {
+      return;
+    }
+    panel.dataset.loaded = "true";
+    const content = panel.querySelector(".inspector-content");
+    try {
+      content.innerHTML = renderInspection(
+        await verifierWorker.inspectProof(signed)
+      );
+    } catch (error) {
+      content.innerHTML = `<p class="inspector-error">${escapeHtml(
+        error.message
+      )}</p>`;
+    }
+  });
+
+  // Each value has a copy button above it
+  panel.addEventListener("click", async (event) => {
+    const button = event.target.closest(".inspector-copy");
+    if (button) {
+      const value = button.closest(".inspector-item").querySelector("pre");
+      await navigator.clipboard.writeText(value.textContent);
+      button.textContent = "Copied";
+    }
+  });
+
+  // Above the "Verify Another Credential" button
+  elements.resultContent.insertBefore(
+    panel,
+    elements.resultContent.lastElementChild
   );
 }
 
 /**
- * Display timeout error
- * @param {Object} credential - The credential that timed out
+ * Render the values of a proof inspection
+ * @param {Object} inspection - From inspectProof()
+ * @returns {string} The inspector HTML
  */
-function showTimeoutError(credential) {
-  showResult(
-    "timeout",
-    "Verification Timeout",
-    "The verification process took too long to complete. This may be due to network issues or complex credential processing.",
-    [
-      { icon: "✅", text: "Credential structure validated" },
-      { icon: "✅", text: "DID resolved successfully" },
-      { icon: "⏱️", text: "Cryptographic verification timed out" },
-      { icon: "ℹ️", text: "Try refreshing the page and verifying again" },
-    ]
-  );
+function renderInspection(inspection) {
+  const { jwsHeader, publicKey, signatureValid, errors } = inspection;
+  const items = [
+    ["Suite", inspection.suite],
+    ["Verification method", inspection.verificationMethod],
+    jwsHeader && ["JWS header", JSON.stringify(jwsHeader, null, 2)],
+    jwsHeader && ["Encoded JWS header", inspection.encodedHeader],
+    inspection.document && [
+      "Canonicalized document (N-Quads)",
+      inspection.document.nquads,
+    ],
+    inspection.document && [
+      "Document hash (SHA-256, hex)",
+      inspection.document.sha256,
+    ],
+    inspection.proofOptions && [
+      "Canonicalized proof options (N-Quads)",
+      inspection.proofOptions.nquads,
+    ],
+    inspection.proofOptions && [
+      "Proof options hash (SHA-256, hex)",
+      inspection.proofOptions.sha256,
+    ],
+    publicKey && ["Public key (multibase)", publicKey.multibase],
+    publicKey && ["Public key (JWK)", JSON.stringify(publicKey.jwk, null, 2)],
+    inspection.signedData && [
+      jwsHeader
+        ? 'Signed bytes (hex): encoded JWS header, ".", proof options hash, document hash'
+        : "Signed bytes (hex): proof options hash, document hash",
+      inspection.signedData,
+    ],
+    inspection.signature && ["Signature (hex)", inspection.signature],
+  ].filter(Boolean);
+
+  const verdict =
+    signatureValid === null
+      ? ""
+      : `<p class="${signatureValid ? "inspector-valid" : "inspector-error"}">${
+          signatureValid
+            ? "The signature is valid over these bytes with this key."
+            : "The signature is not valid over these bytes with this key."
+        }</p>`;
+  return `
+    ${errors
+      .map(
+        ({ step, message }) =>
+          `<p class="inspector-error">${escapeHtml(step)}: ${escapeHtml(
+            message
+          )}</p>`
+      )
+      .join("")}
+    ${verdict}
+    ${items
+      .map(
+        ([label, value]) => `
+        <div class="inspector-item">
+          <div class="inspector-label">
+            <span>${escapeHtml(label)}</span>
+            <button class="btn btn-secondary inspector-copy">Copy</button>
+          </div>
+          <pre>${escapeHtml(value)}</pre>
+        </div>
+      `
+      )
+      .join("")}
+  `;
+}
+
+/**
+ * Render a result detail item, with nested child items if present
+ * @param {Object} item - Detail item with icon, text and optional children
+ * @returns {string} The item HTML
+ */
+function renderDetailItem(item) {
+  const childrenHtml =
+    item.children && item.children.length > 0
+      ? `<div class="detail-children">${item.children
+          .map(renderDetailItem)
+          .join("")}</div>`
+      : "";
+
+  return `
+        <div class="detail-item">
+          <span>${item.icon}</span>
+          <span>${item.text}</span>
+        </div>
+        ${childrenHtml}
+      `;
 }
 
 /**
- * Display partial verification result (when CORS prevents full verification)
- * @param {Object} credential - The partially verified credential
+ * Build a result detail item for one check, with its details as children
+ * @param {Object} check - A check from a verification result
+ * @returns {Object} The detail item
  */
-function showPartialSuccess(credential) {
+function describeCheck(check) {
+  const { label } = CHECK_LABELS[check.name] || { label: check.name };
+  const timing = check.durationMs
+    ? ` <small class="detail-timing">(${Math.round(
+        check.durationMs
+      )} ms)</small>`
+    : "";
+  return {
+    icon: CHECK_ICONS[check.status],
+    text: `${escapeHtml(label)}: ${escapeHtml(check.message)}${timing}`,
+    children: describeCheckDetails(check),
+  };
+}
+
+/**
+ * Build result detail items for what a check found
+ * @param {Object} check - A check from a verification result
+ * @returns {Array<Object>} Detail items, empty if there is nothing to show
+ */
+function describeCheckDetails({ name, details }) {
+  if (!details) {
+    return [];
+  }
+  switch (name) {
+    case "contexts":
+      return describeContexts(details.entries);
+    case "coverage":
+      return describeUnprotected(details.properties);
+    case "keyBinding":
+      return describeBinding(details);
+    case "validityPeriod":
+      return describeValidity(details);
+    case "status":
+      return describeStatus(details);
+    case "schema":
+      return describeSchemas(details.entries);
+    case "evidence":
+      return describeEvidence(details);
+    case "policy":
+      return describePolicy(details);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Display the result of a credential verification
+ * @param {Object} result - The result from verify()
+ */
+function showCredentialResult(result) {
+  const details = [
+    ...describeService(result),
+    ...result.checks.map(describeCheck),
+    ...describeProfile(result.profile),
+    ...describeDomainLinkage(result.domainLinkage),
+  ];
+  const linkage = result.domainLinkage;
+  setOptionalField(
+    elements.credentialDomains,
+    elements.credentialDomainsItem,
+    linkage &&
+      linkage.domains
+        .filter((domain) => domain.status === "verified")
+        .map((domain) => new URL(domain.origin).host)
+        .join(", ")
+  );
+
+  if (result.verified) {
+    const validity = result.checks.find(
+      (check) => check.name === "validityPeriod"
+    );
+    const policy = result.checks.find((check) => check.name === "policy");
+    showResult(
+      "success",
+      "Verification Successful",
+      `The credential signature has been cryptographically verified and the credential is valid as of ${escapeHtml(
+        validity.details.at
+      )}. ${describeIssuerTrust(result.credential, policy)}`,
+      details
+    );
+    addCredentialCard(result.credential);
+    return;
+  }
+
+  const { code, message } = result.error;
+  const outcome = RESULT_OUTCOMES[code] || RESULT_OUTCOMES.invalidSignature;
+  if (outcome.type === "error") {
+    showError(escapeHtml(message));
+    return;
+  }
   showResult(
-    "partial",
-    "Partial Verification",
-    "Structure verified, but signature verification requires server-side processing.",
-    [
-      { icon: "✓", text: "Credential structure is valid" },
-      { icon: "✓", text: "Proof format is correct (Ed25519Signature2018)" },
-      { icon: "!", text: "CORS prevents DID resolution in browser" },
-      { icon: "i", text: "Full verification available via API endpoint" },
-    ]
+    outcome.type,
+    outcome.title,
+    outcome.message,
+    details,
+    escapeHtml(message)
   );
 }
 
 /**
- * Display verification failure result
- * @param {Error} error - The verification error
+ * Display the result tree of a presentation verification
+ * @param {Object} result - The result from verify() for a presentation
  */
-function showFailure(error) {
-  // Extract meaningful error message
-  let errorMessage = "Unknown verification error";
-  if (error) {
-    if (typeof error === "string") {
-      errorMessage = error;
-    } else if (error.message) {
-      errorMessage = error.message;
-    } else if (error.errors && Array.isArray(error.errors)) {
-      // Handle jsonld-signatures error format
-      errorMessage = error.errors.map((e) => e.message || e).join(", ");
+function showPresentationResult(result) {
+  const { credentials } = result;
+
+  // A malformed presentation has no tree to show
+  const structure = result.checks.find((check) => check.name === "structure");
+  if (structure.status === "fail") {
+    showError(escapeHtml(structure.message));
+    return;
+  }
+
+  const presentationNode = {
+    icon: result.checks.some((check) => check.status === "fail") ? "✗" : "✓",
+    text: `Presentation proof (${escapeHtml(result.suite || "unknown")})`,
+    children: [
+      { icon: "i", text: `Holder: ${escapeHtml(result.holder || "none")}` },
+      { icon: "i", text: `Challenge: ${escapeHtml(result.challenge || "")}` },
+    ],
+  };
+  if (result.domain) {
+    presentationNode.children.push({
+      icon: "i",
+      text: `Domain: ${escapeHtml(result.domain)}`,
+    });
+  }
+  presentationNode.children.push(...result.checks.map(describeCheck));
+
+  const credentialNodes = credentials.map((entry, index) => {
+    const children = [];
+    const issuer = entry.credential ? getIssuer(entry.credential).id : null;
+    if (issuer) {
+      children.push({ icon: "i", text: `Issuer: ${escapeHtml(issuer)}` });
     }
+    children.push(
+      ...entry.checks.map(describeCheck),
+      ...describeProfile(entry.profile),
+      ...describeDomainLinkage(entry.domainLinkage)
+    );
+    return {
+      icon: entry.verified ? "✓" : entry.status === "failed" ? "✗" : "!",
+      text: `Credential ${index + 1}${
+        entry.credential && entry.credential.id
+          ? `: ${escapeHtml(entry.credential.id)}`
+          : ""
+      }`,
+      children,
+    };
+  });
+
+  if (result.verified) {
+    showResult(
+      "success",
+      "Presentation Verified",
+      `The presentation and all ${credentials.length} credential(s) have been verified.`,
+      [...describeService(result), presentationNode, ...credentialNodes]
+    );
+  } else if (result.status === "indeterminate") {
+    showResult(
+      "partial",
+      "Partial Verification",
+      "The presentation or one of its credentials could not be fully checked.",
+      [...describeService(result), presentationNode, ...credentialNodes],
+      escapeHtml(result.error.message)
+    );
+  } else {
+    showResult(
+      "failure",
+      "Presentation Verification Failed",
+      "The presentation or one of its credentials could not be verified.",
+      [...describeService(result), presentationNode, ...credentialNodes]
+    );
   }
+}
 
-  showResult(
-    "failure",
-    "Verification Failed",
-    "The credential signature could not be verified.",
-    [],
-    errorMessage
+/**
+ * Say whether the issuer of a verified credential is trusted
+ * A valid signature only shows who the issuer is; whether to believe it
+ * is up to the verification policy
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} check - The policy check
+ * @returns {string} A sentence, as HTML
+ */
+function describeIssuerTrust(credential, check) {
+  const issuer = getIssuer(credential);
+  const name = escapeHtml(issuer.name || issuer.id);
+  if (!check || !check.details) {
+    return `The issuer, ${name}, has not been checked against a list of trusted issuers.`;
+  }
+  const { policy, trust, trustedBy, issuerName } = check.details;
+  if (trust === "trusted") {
+    return `The issuer, ${escapeHtml(
+      issuerName || issuer.name || issuer.id
+    )}, is trusted under the policy "${escapeHtml(policy)}"${
+      trustedBy === "policy" ? "" : ` (trust list ${escapeHtml(trustedBy)})`
+    }.`;
+  }
+  return `The issuer, ${name}, is not on a list of trusted issuers of the policy "${escapeHtml(
+    policy
+  )}".`;
+}
+
+/**
+ * Build a result detail item saying the result came from the service
+ * @param {Object} result - The result from verify() or the service
+ * @returns {Array<Object>} The item, or nothing for results from the browser
+ */
+function describeService(result) {
+  if (!result.service) {
+    return [];
+  }
+  return [
+    {
+      icon: "i",
+      text: `Verified by the verification service at ${escapeHtml(
+        result.service
+      )}`,
+    },
+  ];
+}
+
+/**
+ * Build result detail items for a validity period check
+ * @param {Object} validity - The result from checkValidityPeriod
+ * @returns {Array<Object>} One detail item per checked date
+ */
+function describeValidity(validity) {
+  const items = validity.checks.map((check) => ({
+    icon: check.status === "passed" ? "✓" : "✗",
+    text: escapeHtml(check.message),
+  }));
+  if (items.length === 0) {
+    items.push({ icon: "i", text: "No validity period" });
+  }
+  return items;
+}
+
+/**
+ * Build result detail items for a credential status check
+ * @param {Object} status - The result from checkCredentialStatus
+ * @returns {Array<Object>} One detail item per credentialStatus entry
+ */
+function describeStatus(status) {
+  const setLabels = { revocation: "Revoked", suspension: "Suspended" };
+  const clearLabels = {
+    revocation: "Not revoked",
+    suspension: "Not suspended",
+  };
+
+  return status.entries.map((entry) => {
+    const where = `${escapeHtml(entry.type)}, index ${escapeHtml(
+      entry.statusListIndex
+    )}`;
+    if (entry.error) {
+      return {
+        icon: "!",
+        text: `Status check failed (${where}): ${escapeHtml(entry.error)}`,
+      };
+    }
+
+    const purpose = entry.statusPurpose;
+    if (setLabels[purpose]) {
+      return {
+        icon: entry.set ? "✗" : "✓",
+        text: `${
+          entry.set ? setLabels[purpose] : clearLabels[purpose]
+        } (${where})`,
+      };
+    }
+
+    // Other purposes (e.g. message) are informational
+    return {
+      icon: "i",
+      text: `Status ${escapeHtml(purpose)}: ${escapeHtml(
+        entry.message || entry.value
+      )} (${where})`,
+    };
+  });
+}
+
+/**
+ * Build result detail items for the verification policy
+ * @param {Object} policy - The details of the policy check, from
+ *   applyPolicy
+ * @returns {Array<Object>} The policy applied, the issuer's trust, each
+ *   trust list and each violation
+ */
+function describePolicy(policy) {
+  const trustIcons = { trusted: "✓", blocked: "✗", unknown: "!" };
+  const trustLabels = {
+    trusted: `trusted${
+      policy.trustedBy === "policy" ? "" : ` by trust list ${policy.trustedBy}`
+    }`,
+    blocked: `blocked${policy.reason ? ` (${policy.reason})` : ""}`,
+    unknown: "unknown",
+  };
+  return [
+    { icon: "i", text: `Policy: ${escapeHtml(policy.policy)}` },
+    {
+      icon: trustIcons[policy.trust],
+      text: `Issuer ${escapeHtml(
+        policy.issuerName
+          ? `${policy.issuerName} (${policy.issuer})`
+          : policy.issuer || "(none)"
+      )}: ${escapeHtml(trustLabels[policy.trust])}`,
+    },
+    ...policy.trustLists.map((list) => ({
+      icon: CHECK_ICONS[list.status],
+      text: `Trust list ${escapeHtml(list.source)}: ${escapeHtml(
+        list.message
+      )}`,
+    })),
+    // Blocked issuers and failed trust lists are shown above
+    ...policy.violations
+      .filter(
+        (violation) =>
+          violation.code !== "issuerBlocked" &&
+          !policy.trustLists.some((list) => list.message === violation.message)
+      )
+      .map((violation) => ({
+        icon: "✗",
+        text: escapeHtml(violation.message),
+      })),
+  ];
+}
+
+/**
+ * Build result detail items for the credential schemas
+ * @param {Array<Object>} entries - From validateCredentialSchemas
+ * @returns {Array<Object>} One detail item per schema, with the proof of a
+ *   schema credential and each validation error, at its JSON Pointer
+ */
+function describeSchemas(entries) {
+  return entries.map((entry) => {
+    const children = [];
+    if (entry.proof) {
+      children.push({
+        icon: entry.proof.status === "verified" ? "✓" : "✗",
+        text: `Schema credential: ${escapeHtml(entry.proof.message)}`,
+      });
+    }
+    children.push(
+      ...entry.errors.map((error) => ({
+        icon: "✗",
+        text: `<code>${escapeHtml(
+          error.pointer || "(root)"
+        )}</code> ${escapeHtml(
+          error.message
+        )} <small class="detail-timing">(${escapeHtml(
+          error.schemaPointer
+        )})</small>`,
+      }))
+    );
+    return {
+      icon: CHECK_ICONS[entry.status],
+      text: `${escapeHtml(entry.id || entry.type)}${
+        entry.draft ? ` (draft ${escapeHtml(entry.draft)})` : ""
+      }${
+        // Validation errors are listed below instead
+        entry.status === "pass" || entry.errors.length
+          ? ""
+          : `: ${escapeHtml(entry.message)}`
+      }`,
+      children,
+    };
+  });
+}
+
+/**
+ * Build result detail items for the attached files
+ * @param {Object} evidence - From checkEvidenceFiles
+ * @returns {Array<Object>} One detail item per declared file, with the
+ *   hashes of its attached file, and one per file nothing declares
+ */
+function describeEvidence(evidence) {
+  const hashes = (name) => {
+    const file = evidence.files.find((entry) => entry.name === name);
+    return file
+      ? [
+          { icon: "i", text: `MD5 ${escapeHtml(file.md5)}` },
+          {
+            icon: "i",
+            text: `SHA-256 ${escapeHtml(file.sha256)}`,
+          },
+        ]
+      : [];
+  };
+
+  return [
+    ...evidence.entries.map((entry) => ({
+      icon: CHECK_ICONS[entry.status],
+      text: `${escapeHtml(entry.path)}: ${escapeHtml(entry.message)}`,
+      children: hashes(entry.file),
+    })),
+    ...evidence.unreferenced.map((name) => ({
+      icon: "!",
+      text: `${escapeHtml(name)} is not referenced by the credential`,
+      children: hashes(name),
+    })),
+  ];
+}
+
+/**
+ * Build result detail items for the profiles a credential was checked
+ * against, apart from the checks: profile issues don't affect verification
+ *
+ * @param {Object|null} [profile] - The profile result from verify()
+ * @returns {Array<Object>} One detail item per profile, with its issues as
+ *   children
+ */
+function describeProfile(profile) {
+  if (!profile) {
+    return [];
+  }
+  const icons = { valid: "✓", warnings: "!", invalid: "✗" };
+  const count = (issues, severity) => {
+    const total = issues.filter((issue) => issue.severity === severity).length;
+    return total ? [`${total} ${severity}${total === 1 ? "" : "s"}`] : [];
+  };
+  return profile.profiles.map(({ label, status, issues }) => ({
+    icon: icons[status],
+    text: `Profile (${escapeHtml(label)}): ${
+      issues.length
+        ? [...count(issues, "error"), ...count(issues, "warning")].join(", ")
+        : "all required fields present and well-formed"
+    }`,
+    children: issues.map((issue) => ({
+      icon: issue.severity === "error" ? "✗" : "!",
+      text: `${escapeHtml(issue.path)}: ${escapeHtml(issue.message)}`,
+    })),
+  }));
+}
+
+/**
+ * Build result detail items for the domains linked to the issuer's DID
+ * Each verified domain is a fact of its own: the issuer controls it
+ *
+ * @param {Object|null} linkage - From verifyDomainLinkage, null if not
+ *   checked
+ * @returns {Array<Object>} One detail item per linked domain
+ */
+function describeDomainLinkage(linkage) {
+  if (!linkage || linkage.status === "none") {
+    return [];
+  }
+  if (!linkage.domains.length) {
+    return [
+      {
+        icon: "!",
+        text: `Linked domains not checked: ${escapeHtml(linkage.message)}`,
+      },
+    ];
+  }
+  return linkage.domains.map((domain) =>
+    domain.status === "verified"
+      ? {
+          icon: "✓",
+          text: `Issuer controls <strong>${escapeHtml(
+            new URL(domain.origin).host
+          )}</strong> (DID Configuration, ${
+            domain.format === "jwt" ? "JWT" : "Linked Data proof"
+          })`,
+        }
+      : {
+          icon: domain.status === "failed" ? "✗" : "!",
+          text: `Domain linkage to ${escapeHtml(
+            domain.origin
+          )} not verified: ${escapeHtml(domain.message)}`,
+        }
   );
 }
 
+/**
+ * Build result detail items for the JSON-LD contexts used by a proof
+ * @param {Array<Object>} [contexts] - Context report entries
+ * @returns {Array<Object>} One detail item per context
+ */
+function describeContexts(contexts) {
+  return (contexts || []).map((entry) => {
+    if (entry.source === "error") {
+      return { icon: "✗", text: escapeHtml(entry.error) };
+    }
+    const where = entry.source === "bundle" ? "bundled" : "fetched";
+    return {
+      icon: entry.pinned ? "✓" : "!",
+      text: `${escapeHtml(entry.url)} (${where}, ${
+        entry.pinned ? "pinned" : "not pinned"
+      }${entry.digestSRI ? `, ${escapeHtml(entry.digestSRI)}` : ""})`,
+    };
+  });
+}
+
+/**
+ * Build result detail items for the binding of the signing key
+ * @param {Object} binding - From checkVerificationMethodBinding
+ * @returns {Array<Object>} One detail item per binding rule
+ */
+function describeBinding(binding) {
+  const icons = { passed: "✓", failed: "✗", skipped: "-" };
+  return binding.checks.map((check) => ({
+    icon: icons[check.status],
+    text: escapeHtml(check.message),
+  }));
+}
+
+/**
+ * Build result detail items for properties the signature doesn't cover
+ * @param {Array<Object>} [unprotected] - From findUnprotectedProperties
+ * @returns {Array<Object>} One detail item per property
+ */
+function describeUnprotected(unprotected) {
+  return (unprotected || []).map((property) => ({
+    icon: "!",
+    text: escapeHtml(property.message),
+  }));
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Untrusted text from a credential or presentation
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Display an error message
  * @param {string} message - The error message to display
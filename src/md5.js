@@ -0,0 +1,87 @@
+/**
+ * MD5
+ *
+ * Web Crypto has no MD5, but S3-style ETags, which issuers declare for
+ * attachments, are MD5 digests. Only used to compare files against those
+ * declarations; MD5 is not collision resistant and never used for signing.
+ */
+
+// Per-round shift amounts
+const SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5,
+  9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11,
+  16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15,
+  21,
+];
+
+// Per-round constants: floor(abs(sin(i + 1)) * 2^32)
+const CONSTANTS = Array.from(
+  { length: 64 },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0
+);
+
+/**
+ * Compute the MD5 digest of data (RFC 1321)
+ * @param {Uint8Array} bytes - The data
+ * @returns {string} The digest as lowercase hex
+ */
+export function md5(bytes) {
+  // Pad to 56 mod 64 bytes, then append the bit length (little endian)
+  const length = bytes.length;
+  const padded = new Uint8Array((((length + 8) >>> 6) + 1) * 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+  const words = new Uint32Array(16);
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) >>> 0;
+    }
+
+    a0 = (a0 + a) >>> 0;
+    b0 = (b0 + b) >>> 0;
+    c0 = (c0 + c) >>> 0;
+    d0 = (d0 + d) >>> 0;
+  }
+
+  const digest = new DataView(new ArrayBuffer(16));
+  [a0, b0, c0, d0].forEach((word, i) => digest.setUint32(i * 4, word, true));
+  return Array.from(new Uint8Array(digest.buffer), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
@@ -0,0 +1,42 @@
+/**
+ * Network Access
+ *
+ * Everything verify() loads over the network (DID documents, remote
+ * contexts, status lists, schemas, trust lists and DID configurations) is
+ * fetched with the network options of the verification:
+ * - fetch: the fetch() to use, e.g. one that refuses private addresses
+ *   (server.js) or any request at all (the CLI's offline mode); defaults to
+ *   the global fetch()
+ * - signal: cancels the request along with the verification
+ * - timeout: milliseconds to wait before giving up on the request
+ *
+ * Nothing here replaces the global fetch(), so other code in the same
+ * process or page is unaffected.
+ */
+
+/**
+ * Fetch a URL with the network options of a verification
+ *
+ * @param {string} url - The URL
+ * @param {Object} [init] - fetch() options
+ * @param {Object} [network] - Network options
+ * @param {Function} [network.fetch] - The fetch() to use
+ * @param {AbortSignal} [network.signal] - Cancels the request
+ * @param {number} [network.timeout] - Milliseconds to wait
+ * @returns {Promise<Response>} The response
+ */
+export function fetchWithOptions(
+  url,
+  init = {},
+  { fetch: fetchImpl = null, signal = null, timeout = null } = {}
+) {
+  const signals = [
+    init.signal,
+    signal,
+    timeout ? AbortSignal.timeout(timeout) : null,
+  ].filter(Boolean);
+  return (fetchImpl || globalThis.fetch)(url, {
+    ...init,
+    signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0],
+  });
+}
@@ -0,0 +1,559 @@
+/**
+ * Verification Policies
+ *
+ * A valid signature shows who issued a credential, not that the issuer
+ * should be believed. A policy says which issuers are trusted for which
+ * credential types, and what else a credential must meet:
+ *
+ *   {
+ *     "name": "Building passports",
+ *     "trustedIssuers": [{ "id": "did:web:issuer.example", "name": "Issuer",
+ *                          "types": ["DPP"] }],
+ *     "blockedIssuers": [{ "id": "did:key:z6Mk...", "reason": "Key leaked" }],
+ *     "trustLists": [{ "url": "https://example.com/trust-list.json",
+ *                      "issuer": "did:web:registry.example" }],
+ *     "maxCredentialAge": 31536000,
+ *     "requireStatus": true,
+ *     "allowedSuites": ["DataIntegrityProof", "Ed25519Signature2020"],
+ *     "allowedDidMethods": ["web", "key"]
+ *   }
+ *
+ * Trusted issuer entries without `types` trust the issuer for every type.
+ * An issuer is "trusted" if an entry for one of the credential's types (or
+ * its subjects' types) lists it, "blocked" if a blocked entry does, and
+ * otherwise "unknown". Unknown issuers fail the policy only where it lists
+ * trusted issuers for the credential's type.
+ *
+ * Trust lists are credentials, fetched from `url` or given inline as
+ * `credential` (an object or compact JWT), whose `credentialSubject` holds
+ * `trustedIssuers` and `blockedIssuers` in the same form. They are verified
+ * like any credential and only used if issued by their entry's `issuer`.
+ */
+
+import { getIssuer } from "./datamodel.js";
+import { decodeJwtCredential, isJwt } from "./jwt.js";
+import { trustListCache } from "./cache.js";
+import { fetchWithOptions } from "./network.js";
+import { INDETERMINATE_CODES } from "./checks.js";
+
+/**
+ * Create a policy error with a machine-readable code
+ *
+ * @param {string} code - invalidPolicy, trustListInvalid or networkError
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with its code in `code`
+ */
+function policyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check that a value is an array of issuer entries
+ *
+ * @param {*} entries - The value
+ * @param {string} name - Its name, for messages
+ * @returns {Array<Object>} The entries, empty if undefined
+ * @throws {Error} With code invalidPolicy
+ */
+function readIssuerEntries(entries, name) {
+  if (entries === undefined) {
+    return [];
+  }
+  if (
+    !Array.isArray(entries) ||
+    !entries.every(
+      (entry) =>
+        entry &&
+        typeof entry.id === "string" &&
+        (entry.types === undefined || Array.isArray(entry.types))
+    )
+  ) {
+    throw policyError(
+      "invalidPolicy",
+      `${name} must be a list of { id, types } entries`
+    );
+  }
+  return entries;
+}
+
+/**
+ * Check a policy and fill in its defaults
+ *
+ * @param {Object} policy - The policy
+ * @returns {Object} The policy with every property set
+ * @throws {Error} With code invalidPolicy if it is malformed
+ */
+export function normalizePolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    throw policyError("invalidPolicy", "A policy must be a JSON object");
+  }
+  const {
+    name = "Unnamed policy",
+    trustLists = [],
+    maxCredentialAge = null,
+    requireStatus = false,
+    allowedSuites = null,
+    allowedDidMethods = null,
+  } = policy;
+
+  if (
+    !Array.isArray(trustLists) ||
+    !trustLists.every(
+      (entry) =>
+        entry &&
+        typeof entry.issuer === "string" &&
+        (typeof entry.url === "string" || entry.credential)
+    )
+  ) {
+    throw policyError(
+      "invalidPolicy",
+      "trustLists must be a list of { url or credential, issuer } entries"
+    );
+  }
+  if (
+    maxCredentialAge !== null &&
+    !(typeof maxCredentialAge === "number" && maxCredentialAge >= 0)
+  ) {
+    throw policyError(
+      "invalidPolicy",
+      "maxCredentialAge must be a number of seconds"
+    );
+  }
+  for (const [key, value] of Object.entries({
+    allowedSuites,
+    allowedDidMethods,
+  })) {
+    if (
+      value !== null &&
+      !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+    ) {
+      throw policyError("invalidPolicy", `${key} must be a list of names`);
+    }
+  }
+
+  return {
+    name: String(name),
+    trustedIssuers: readIssuerEntries(policy.trustedIssuers, "trustedIssuers"),
+    blockedIssuers: readIssuerEntries(policy.blockedIssuers, "blockedIssuers"),
+    trustLists,
+    maxCredentialAge,
+    requireStatus: Boolean(requireStatus),
+    allowedSuites,
+    allowedDidMethods,
+  };
+}
+
+/**
+ * Fetch a trust list credential, or take it from the trust list cache
+ *
+ * @param {string} url - The trust list URL
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object|string>} The credential, or a compact JWT
+ * @throws {Error} With code trustListInvalid, or networkError if it could
+ *   not be fetched at all
+ */
+async function fetchTrustList(url, network) {
+  const cached = trustListCache.get(url);
+  if (cached) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await fetchWithOptions(
+      url,
+      {
+        headers: {
+          Accept: "application/vc+jwt, application/vc, application/json",
+        },
+      },
+      network
+    );
+  } catch (error) {
+    throw policyError(
+      "networkError",
+      `Could not load trust list ${url}: ${error.message}`
+    );
+  }
+  if (!response.ok) {
+    throw policyError(
+      "trustListInvalid",
+      `Could not load trust list ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const text = (await response.text()).trim();
+  let credential = text;
+  if (!isJwt(text)) {
+    try {
+      credential = JSON.parse(text);
+    } catch (error) {
+      throw policyError(
+        "trustListInvalid",
+        `Could not load trust list ${url}: not valid JSON`
+      );
+    }
+  }
+  trustListCache.set(url, credential, "network");
+  return credential;
+}
+
+/**
+ * Load and verify the trust lists of a policy
+ *
+ * @param {Array<Object>} entries - The policy's trustLists
+ * @param {Function|null} verifyCredential - Verifies trust list credentials
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Array<Object>>} { source, issuer, status, code,
+ *   message, trustedIssuers, blockedIssuers } per trust list, status being
+ *   "pass" or "fail"
+ */
+async function loadTrustLists(entries, verifyCredential, network) {
+  const lists = [];
+  for (const entry of entries) {
+    const list = {
+      source: entry.url || "inline",
+      issuer: entry.issuer,
+      status: "fail",
+      code: null,
+      message: "",
+      trustedIssuers: [],
+      blockedIssuers: [],
+    };
+    try {
+      const document =
+        entry.credential || (await fetchTrustList(entry.url, network));
+      const credential =
+        typeof document === "string"
+          ? decodeJwtCredential(document).credential
+          : document;
+      // Inline trust lists are named by their credential ID
+      if (!entry.url && credential && typeof credential.id === "string") {
+        list.source = credential.id;
+      }
+      const subject = credential && credential.credentialSubject;
+      if (!subject || typeof subject !== "object") {
+        throw policyError(
+          "trustListInvalid",
+          `Trust list ${list.source} has no credentialSubject`
+        );
+      }
+
+      const issuer = getIssuer(credential).id;
+      if (issuer !== entry.issuer) {
+        throw policyError(
+          "trustListInvalid",
+          `Trust list ${list.source} is issued by ${issuer}, not ${entry.issuer}`
+        );
+      }
+      if (verifyCredential) {
+        const verified = await verifyCredential(document);
+        if (!verified.verified) {
+          throw policyError(
+            verified.status === "failed"
+              ? "trustListInvalid"
+              : verified.error.code,
+            `Trust list ${list.source} did not verify: ${verified.error.message}`
+          );
+        }
+      }
+
+      list.trustedIssuers = readIssuerEntries(
+        subject.trustedIssuers,
+        "trustedIssuers"
+      );
+      list.blockedIssuers = readIssuerEntries(
+        subject.blockedIssuers,
+        "blockedIssuers"
+      );
+      list.status = "pass";
+      list.message = `${list.trustedIssuers.length} trusted and ${list.blockedIssuers.length} blocked issuers`;
+    } catch (error) {
+      list.code =
+        error.code === "invalidPolicy"
+          ? "trustListInvalid"
+          : error.code || "trustListInvalid";
+      list.message = error.message;
+    }
+    lists.push(list);
+  }
+  return lists;
+}
+
+/**
+ * Get the types of a credential and its subjects
+ * @param {Object} credential - The credential
+ * @returns {Array<string>} The types
+ */
+function getTypes(credential) {
+  return [
+    credential.type,
+    ...[]
+      .concat(credential.credentialSubject || [])
+      .map((subject) => subject && subject.type),
+  ].flatMap((type) => [].concat(type || []));
+}
+
+/**
+ * Describe a number of seconds in the largest whole unit
+ * @param {number} seconds - The duration
+ * @returns {string} e.g. "3 days" or "1 hour"
+ */
+function formatDuration(seconds) {
+  const units = [
+    ["day", 86400],
+    ["hour", 3600],
+    ["minute", 60],
+    ["second", 1],
+  ];
+  const [unit, size] =
+    units.find(([, length]) => seconds >= length) || units[units.length - 1];
+  const count = Math.floor(seconds / size);
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Get the time a credential was issued
+ * @param {Object} credential - The credential
+ * @returns {Date|null} validFrom, issuanceDate or the proof's created date
+ */
+function getIssuedAt(credential) {
+  const proof = [].concat(credential.proof || [])[0];
+  const value =
+    credential.validFrom ||
+    credential.issuanceDate ||
+    (proof && proof.created) ||
+    null;
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Get the names a policy's allowedSuites can match a credential's proof by
+ *
+ * @param {Object} credential - The credential
+ * @param {string|null} suite - The suite label from verification
+ * @param {string} format - "ldp" or "jwt"
+ * @returns {Array<string>} Proof types, cryptosuites, the suite label, and
+ *   "jwt" for JWT credentials
+ */
+function getSuiteNames(credential, suite, format) {
+  const names = suite ? [suite] : [];
+  if (format === "jwt") {
+    names.push("jwt");
+  }
+  for (const proof of [].concat(credential.proof || [])) {
+    if (proof && proof.type) {
+      names.push(proof.type);
+    }
+    if (proof && proof.cryptosuite) {
+      names.push(proof.cryptosuite);
+    }
+  }
+  return names;
+}
+
+/**
+ * Decide whether an issuer is trusted for a credential
+ *
+ * @param {string} issuer - The issuer ID
+ * @param {Array<string>} types - The credential's and its subjects' types
+ * @param {Array<Object>} sources - { source, trustedIssuers,
+ *   blockedIssuers } per list, the policy itself first
+ * @returns {Object} { trust, entry, source, covered }: trust is "trusted",
+ *   "blocked" or "unknown", and covered says whether any list names trusted
+ *   issuers for these types
+ */
+function findIssuerTrust(issuer, types, sources) {
+  const applies = (entry) =>
+    !entry.types || entry.types.some((type) => types.includes(type));
+
+  for (const { source, blockedIssuers } of sources) {
+    const entry = blockedIssuers.find(
+      (candidate) => candidate.id === issuer && applies(candidate)
+    );
+    if (entry) {
+      return { trust: "blocked", entry, source, covered: true };
+    }
+  }
+  let covered = false;
+  for (const { source, trustedIssuers } of sources) {
+    const applicable = trustedIssuers.filter(applies);
+    covered = covered || applicable.length > 0;
+    const entry = applicable.find((candidate) => candidate.id === issuer);
+    if (entry) {
+      return { trust: "trusted", entry, source, covered: true };
+    }
+  }
+  return { trust: "unknown", entry: null, source: null, covered };
+}
+
+/**
+ * Apply a verification policy to a verified credential
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} policy - The policy, see above
+ * @param {Object} context - What verification found
+ * @param {string|null} context.suite - The suite label
+ * @param {string} context.format - "ldp" or "jwt"
+ * @param {Array<Object>} context.checks - The checks recorded so far
+ * @param {Date} [context.at] - Verification time, defaults to now
+ * @param {Function} [context.verifyCredential] - Verifies trust list
+ *   credentials, given as an object or compact JWT; returns a verify()
+ *   result
+ * @param {Function} [context.fetch] - The fetch() to load trust lists with
+ * @param {AbortSignal} [context.signal] - Cancels loading
+ * @param {number} [context.timeout] - Milliseconds to wait for each trust
+ *   list
+ * @returns {Promise<Object>} { status, code, message, details }, details
+ *   being { policy, issuer, issuerName, trust, trustedBy, reason,
+ *   violations, trustLists }; status is "fail" with the code of the first
+ *   definite violation
+ */
+export async function applyPolicy(
+  credential,
+  policy,
+  {
+    suite = null,
+    format = "ldp",
+    checks = [],
+    at = new Date(),
+    verifyCredential = null,
+    fetch = null,
+    signal = null,
+    timeout = null,
+  } = {}
+) {
+  const rules = normalizePolicy(policy);
+  const issuer = getIssuer(credential).id;
+  const types = getTypes(credential);
+  const violations = [];
+
+  const trustLists = await loadTrustLists(rules.trustLists, verifyCredential, {
+    fetch,
+    signal,
+    timeout,
+  });
+  const { trust, entry, source, covered } = findIssuerTrust(issuer, types, [
+    { source: "policy", ...rules },
+    ...trustLists.filter((list) => list.status === "pass"),
+  ]);
+
+  if (trust === "blocked") {
+    violations.push({
+      code: "issuerBlocked",
+      message: `Issuer ${issuer} is blocked${
+        entry.reason ? `: ${entry.reason}` : ""
+      }`,
+    });
+  } else if (trust === "unknown") {
+    // Without a trust list, it isn't known whether the issuer is on it
+    const failedList = trustLists.find((list) => list.status === "fail");
+    if (failedList) {
+      violations.push({ code: failedList.code, message: failedList.message });
+    } else if (covered) {
+      violations.push({
+        code: "issuerNotTrusted",
+        message: `Issuer ${issuer} is not trusted for ${
+          types.filter((type) => type !== "VerifiableCredential").join(", ") ||
+          "VerifiableCredential"
+        } credentials`,
+      });
+    }
+  }
+
+  if (rules.allowedDidMethods) {
+    const method =
+      typeof issuer === "string" && issuer.startsWith("did:")
+        ? issuer.split(":")[1]
+        : null;
+    if (!rules.allowedDidMethods.includes(method)) {
+      violations.push({
+        code: "didMethodNotAllowed",
+        message: method
+          ? `DID method ${method} is not allowed (allowed: ${rules.allowedDidMethods.join(
+              ", "
+            )})`
+          : `Issuer ${issuer} is not a DID`,
+      });
+    }
+  }
+
+  if (rules.allowedSuites) {
+    const names = getSuiteNames(credential, suite, format);
+    if (!names.some((name) => rules.allowedSuites.includes(name))) {
+      violations.push({
+        code: "suiteNotAllowed",
+        message: `Proof suite ${
+          suite || "(none)"
+        } is not allowed (allowed: ${rules.allowedSuites.join(", ")})`,
+      });
+    }
+  }
+
+  if (rules.maxCredentialAge !== null) {
+    const issuedAt = getIssuedAt(credential);
+    const age = issuedAt ? (at.getTime() - issuedAt.getTime()) / 1000 : null;
+    if (age === null || age > rules.maxCredentialAge) {
+      violations.push({
+        code: "credentialTooOld",
+        message: issuedAt
+          ? `Credential was issued ${formatDuration(
+              age
+            )} ago, more than the ${formatDuration(
+              rules.maxCredentialAge
+            )} allowed`
+          : "Credential has no issuance date to check its age against",
+      });
+    }
+  }
+
+  if (rules.requireStatus) {
+    const status = checks.find((check) => check.name === "status");
+    if (!credential.credentialStatus || !status || status.status !== "pass") {
+      violations.push({
+        code: "statusRequired",
+        message: credential.credentialStatus
+          ? "Credential status must be checked and valid"
+          : "Credential has no credentialStatus, which the policy requires",
+      });
+    }
+  }
+
+  const details = {
+    policy: rules.name,
+    issuer,
+    issuerName: entry && entry.name ? entry.name : null,
+    trust,
+    trustedBy: source,
+    reason: entry && entry.reason ? entry.reason : null,
+    violations,
+    trustLists: trustLists.map(
+      ({ trustedIssuers, blockedIssuers, ...list }) => list
+    ),
+  };
+  if (violations.length) {
+    // A trust list that couldn't be loaded doesn't hide a definite failure
+    const decisive =
+      violations.find(
+        (violation) => !INDETERMINATE_CODES.includes(violation.code)
+      ) || violations[0];
+    return {
+      status: "fail",
+      code: decisive.code,
+      message: violations.map((violation) => violation.message).join("; "),
+      details,
+    };
+  }
+  return {
+    status: "pass",
+    message: `${rules.name}: issuer ${
+      trust === "trusted"
+        ? `trusted${source === "policy" ? "" : ` by trust list ${source}`}`
+        : "unknown"
+    }`,
+    details,
+  };
+}
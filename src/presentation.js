@@ -0,0 +1,185 @@
+/**
+ * Verifiable Presentation Helpers
+ *
+ * W3C Verifiable Presentations produced by wallets are verified by
+ * verifier.js:
+ * 1. Verify the presentation proof with an authentication purpose, bound to
+ *    the challenge and domain the verifier expects
+ * 2. Check that the proof was made by an authentication key of the
+ *    presentation holder (see binding.js)
+ * 3. Verify every embedded credential (Linked Data proof or JWT, also as a
+ *    VC 2.0 EnvelopedVerifiableCredential)
+ * 4. Check that the holder is the subject of each credential (holder binding)
+ * 5. Check the validity period of the presentation and each credential
+ * 6. Check the revocation and suspension status of each credential
+ *
+ * This file holds what is specific to presentations: recognising them,
+ * challenges, embedded credentials and the holder binding check.
+ */
+
+import { isJwt } from "./jwt.js";
+
+// Media types of enveloped credentials secured as a compact JWT
+const ENVELOPED_JWT_TYPES = [
+  "application/vc+jwt",
+  "application/vc-ld+jwt",
+  "application/jwt",
+];
+
+/**
+ * Check whether a parsed document is a Verifiable Presentation
+ * @param {Object} document - The parsed JSON document
+ * @returns {boolean} True if the document is typed as a presentation
+ */
+export function isPresentation(document) {
+  if (!document || typeof document !== "object") {
+    return false;
+  }
+  const types = Array.isArray(document.type) ? document.type : [document.type];
+  return types.includes("VerifiablePresentation");
+}
+
+/**
+ * Generate a random challenge for a presentation request
+ * @returns {string} A UUID to be signed into the presentation proof
+ */
+export function generateChallenge() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Check whether an embedded credential is a VC 2.0 enveloped credential
+ * @param {*} entry - An entry of verifiableCredential
+ * @returns {boolean} True if typed EnvelopedVerifiableCredential
+ */
+export function isEnvelopedCredential(entry) {
+  return (
+    Boolean(entry) &&
+    typeof entry === "object" &&
+    [].concat(entry.type || []).includes("EnvelopedVerifiableCredential")
+  );
+}
+
+/**
+ * Decode the compact JWT in an enveloped credential's `data:` URL id
+ *
+ * @param {Object} entry - The EnvelopedVerifiableCredential
+ * @returns {Object} { token }, or { code, message } if it holds no JWT:
+ *   unsupportedProof for other media types, invalidPresentation otherwise
+ */
+export function decodeEnvelopedCredential(entry) {
+  const match =
+    typeof entry.id === "string" &&
+    entry.id.match(/^data:([^,;]*)((?:;[^,;]*)*),(.*)$/s);
+  if (!match) {
+    return {
+      code: "invalidPresentation",
+      message: "Enveloped credential id is not a data: URL",
+    };
+  }
+  const [, mediaType, parameters, data] = match;
+  if (!ENVELOPED_JWT_TYPES.includes(mediaType.trim().toLowerCase())) {
+    return {
+      code: "unsupportedProof",
+      message: `Enveloped credentials of type ${
+        mediaType || "(none)"
+      } are not supported`,
+    };
+  }
+
+  let token = null;
+  try {
+    token = (
+      parameters.split(";").includes("base64")
+        ? atob(decodeURIComponent(data))
+        : decodeURIComponent(data)
+    ).trim();
+  } catch (error) {
+    // Reported below
+  }
+  if (!token || !isJwt(token)) {
+    return {
+      code: "invalidPresentation",
+      message: "Enveloped credential data: URL holds no compact JWT",
+    };
+  }
+  return { token };
+}
+
+/**
+ * Get the list of credentials embedded in a presentation
+ * Enveloped credentials are replaced by the compact JWT they hold; ones
+ * that hold none are left as they are
+ *
+ * @param {Object} presentation - The presentation
+ * @returns {Array<Object|string>} Credentials as objects or compact JWTs
+ */
+export function getEmbeddedCredentials(presentation) {
+  const { verifiableCredential } = presentation;
+  if (!verifiableCredential) {
+    return [];
+  }
+  return []
+    .concat(verifiableCredential)
+    .map((entry) =>
+      isEnvelopedCredential(entry)
+        ? decodeEnvelopedCredential(entry).token || entry
+        : entry
+    );
+}
+
+/**
+ * Check that the holder controls every subject of a credential
+ * Bearer credentials (subjects without an id) need no binding unless the
+ * credential is marked nonTransferable
+ *
+ * @param {Object} credential - The embedded credential
+ * @param {string} holder - The presentation holder
+ * @returns {Object} { status: pass|fail|skip, code, message } for the
+ *   holderBinding check
+ */
+export function checkHolderBinding(credential, holder) {
+  const subjects = Array.isArray(credential.credentialSubject)
+    ? credential.credentialSubject
+    : [credential.credentialSubject || {}];
+  const subjectIds = subjects.map((subject) => subject.id).filter(Boolean);
+
+  if (subjectIds.length === 0) {
+    if (credential.nonTransferable) {
+      return {
+        status: "fail",
+        code: "holderMismatch",
+        message:
+          "Credential is nonTransferable but its subject has no id to bind",
+      };
+    }
+    return {
+      status: "skip",
+      message: "Bearer credential: subject has no id",
+    };
+  }
+
+  if (!holder) {
+    return {
+      status: "fail",
+      code: "holderMismatch",
+      message: "Presentation has no holder to bind to the credential subject",
+    };
+  }
+
+  const unbound = subjectIds.filter((id) => id !== holder);
+  if (unbound.length > 0) {
+    return {
+      status: "fail",
+      code: "holderMismatch",
+      message: `Holder ${holder} is not the credential subject (${unbound.join(
+        ", "
+      )})`,
+    };
+  }
+
+  return {
+    status: "pass",
+    message: `Holder ${holder} is the credential subject`,
+  };
+}
@@ -0,0 +1,418 @@
+/**
+ * Credential Profiles
+ *
+ * A signature only shows that the issuer said something, not that what it
+ * said is complete. Profiles describe what the subject of a kind of
+ * credential must contain, e.g. the owner and address of a building-asset
+ * Digital Product Passport, and report what is missing or malformed:
+ *
+ *   { path: "credentialSubject.latitude", severity: "error",
+ *     message: "latitude is not a number between -90 and 90: \"north\"" }
+ *
+ * A profile applies to credentials that have one of its types (as the
+ * credential's or a subject's `type`) and use one of its contexts; either
+ * condition may be left out. Issues are "error" when the credential does
+ * not meet the profile and "warning" when it is merely incomplete. They are
+ * reported apart from the checks of verify() and don't affect its status.
+ */
+
+import { getLocalizedValue } from "./datamodel.js";
+
+// Registered profiles, most recently registered first
+const profiles = [];
+
+// Value formats fields can require, with what a violation says
+const FORMATS = {
+  string: {
+    test: (value) => typeof value === "string" && value.trim() !== "",
+    message: "is not a non-empty string",
+  },
+  email: {
+    test: (value) =>
+      typeof value === "string" &&
+      /^(mailto:)?[^\s@]+@[^\s@]+\.[^\s@]+$/i.test(value),
+    message: "is not an email address",
+  },
+  phone: {
+    test: (value) =>
+      typeof value === "string" &&
+      /^\+?[\d\s().-]{7,}$/.test(value) &&
+      value.replace(/\D/g, "").length >= 7,
+    message: "is not a phone number",
+  },
+  latitude: {
+    test: (value) => isInRange(value, 90),
+    message: "is not a number between -90 and 90",
+  },
+  longitude: {
+    test: (value) => isInRange(value, 180),
+    message: "is not a number between -180 and 180",
+  },
+  mediaType: {
+    test: (value) =>
+      typeof value === "string" &&
+      /^[a-z0-9][\w.+-]*\/[a-z0-9][\w.+-]*$/i.test(value),
+    message: "is not a media type, e.g. application/pdf",
+  },
+  etag: {
+    // An MD5 digest, or a multipart upload ETag ("<md5>-<parts>")
+    test: (value) =>
+      typeof value === "string" &&
+      /^(W\/)?"?[0-9a-f]{32}(-\d+)?"?$/i.test(value),
+    message: "is not an MD5 ETag",
+  },
+  did: {
+    test: (value) =>
+      typeof value === "string" && /^did:[a-z0-9]+:\S+$/.test(value),
+    message: "is not a DID",
+  },
+  usState: {
+    test: (value) => typeof value === "string" && /^[A-Z]{2}$/.test(value),
+    message: "is not a two-letter state code",
+  },
+  usZipCode: {
+    test: (value) =>
+      typeof value === "string" && /^\d{5}(-\d{4})?$/.test(value),
+    message: "is not a ZIP code",
+  },
+};
+
+/**
+ * Check whether a value is a decimal number within ±limit
+ * Numbers given as strings are accepted, as JSON-LD templates often keep
+ * coordinates as literals
+ *
+ * @param {*} value - The value
+ * @param {number} limit - The largest absolute value allowed
+ * @returns {boolean} True if the value is in range
+ */
+function isInRange(value, limit) {
+  if (typeof value === "string" && !/^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+    return false;
+  }
+  const number = typeof value === "string" ? Number(value) : value;
+  return (
+    typeof number === "number" &&
+    Number.isFinite(number) &&
+    Math.abs(number) <= limit
+  );
+}
+
+/**
+ * Read a dotted path below an object
+ * @param {Object} data - The object
+ * @param {string} path - e.g. "proofOfOwnership.name"
+ * @returns {*} The value, or undefined
+ */
+function readPath(data, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value && typeof value === "object" ? value[key] : undefined,
+      data
+    );
+}
+
+/**
+ * Turn a field path into a label for messages
+ * @param {string} path - e.g. "proofOfOwnership.etag"
+ * @returns {string} e.g. "proofOfOwnership etag"
+ */
+function getFieldLabel(path) {
+  return path.split(".").join(" ");
+}
+
+/**
+ * Register a profile
+ * A profile registered with the id of an existing one replaces it
+ *
+ * @param {Object} profile - The profile
+ * @param {string} profile.id - Identifier, e.g. "building-asset"
+ * @param {string} profile.label - Human readable name
+ * @param {Array<string>} [profile.types] - Credential or subject types the
+ *   profile applies to
+ * @param {Array<string|RegExp>} [profile.contexts] - Context URLs the
+ *   profile applies to; a RegExp matches any version of a template
+ * @param {Array<Object>} [profile.fields] - Field rules, { path, presence,
+ *   format, severity }: path is dotted below the subject, presence is
+ *   "required" (missing is an error), "recommended" (missing is a warning)
+ *   or "optional", format is a key of FORMATS, and severity that of a value
+ *   in the wrong format, "error" by default
+ * @param {Function} [profile.validate] - Further checks, called with
+ *   (subject, credential); returns issues as { path, severity, message },
+ *   with path below the subject
+ */
+export function registerProfile({
+  id,
+  label,
+  types = [],
+  contexts = [],
+  fields = [],
+  validate = null,
+}) {
+  if (!id || (!types.length && !contexts.length)) {
+    throw new Error("A profile needs an id and types or contexts to match");
+  }
+  const unknown = fields.find(
+    (field) => field.format && !FORMATS[field.format]
+  );
+  if (unknown) {
+    throw new Error(`Unknown field format: ${unknown.format}`);
+  }
+  const index = profiles.findIndex((profile) => profile.id === id);
+  if (index !== -1) {
+    profiles.splice(index, 1);
+  }
+  profiles.unshift({
+    id,
+    label: label || id,
+    types,
+    contexts,
+    fields,
+    validate,
+  });
+}
+
+/**
+ * List the registered profiles
+ * @returns {Array<Object>} { id, label, types, contexts } per profile
+ */
+export function getRegisteredProfiles() {
+  return profiles.map(({ id, label, types, contexts }) => ({
+    id,
+    label,
+    types,
+    contexts,
+  }));
+}
+
+/**
+ * Get the subjects of a credential with their paths
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} { path, subject } per object subject
+ */
+function getSubjects(credential) {
+  const { credentialSubject } = credential;
+  if (Array.isArray(credentialSubject)) {
+    return credentialSubject
+      .map((subject, index) => ({
+        path: `credentialSubject[${index}]`,
+        subject,
+      }))
+      .filter(({ subject }) => subject && typeof subject === "object");
+  }
+  return credentialSubject && typeof credentialSubject === "object"
+    ? [{ path: "credentialSubject", subject: credentialSubject }]
+    : [];
+}
+
+/**
+ * Get the profiles that apply to a credential
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} The matching registered profiles
+ */
+function getMatchingProfiles(credential) {
+  const types = [
+    credential.type,
+    ...getSubjects(credential).map(({ subject }) => subject.type),
+  ].flatMap((type) => [].concat(type || []));
+  const contexts = []
+    .concat(credential["@context"] || [])
+    .filter((context) => typeof context === "string");
+
+  return profiles.filter(
+    (profile) =>
+      (!profile.types.length ||
+        profile.types.some((type) => types.includes(type))) &&
+      (!profile.contexts.length ||
+        profile.contexts.some((pattern) =>
+          contexts.some((context) =>
+            pattern instanceof RegExp
+              ? pattern.test(context)
+              : pattern === context
+          )
+        ))
+  );
+}
+
+/**
+ * Check one subject against a profile's field rules
+ *
+ * @param {Object} profile - The profile
+ * @param {Object} subject - The subject
+ * @param {Object} credential - The credential
+ * @param {string} subjectPath - The subject's path in the credential
+ * @returns {Array<Object>} Issues as { path, severity, message }
+ */
+function validateSubject(profile, subject, credential, subjectPath) {
+  const issues = [];
+  for (const {
+    path,
+    presence = "optional",
+    format,
+    severity,
+  } of profile.fields) {
+    const value = readPath(subject, path);
+    const label = getFieldLabel(path);
+    if (value === undefined || value === null || value === "") {
+      if (presence !== "optional") {
+        issues.push({
+          path: `${subjectPath}.${path}`,
+          severity: presence === "required" ? "error" : "warning",
+          message: `${label} is ${
+            presence === "required" ? "required" : "missing"
+          }`,
+        });
+      }
+      continue;
+    }
+    const rule = format && FORMATS[format];
+    // Language maps and value objects are checked by their value
+    const text = getLocalizedValue(value);
+    if (rule && !rule.test(typeof text === "string" ? text : value)) {
+      issues.push({
+        path: `${subjectPath}.${path}`,
+        severity: severity || "error",
+        message: `${label} ${rule.message}: ${JSON.stringify(value)}`,
+      });
+    }
+  }
+
+  if (profile.validate) {
+    for (const issue of profile.validate(subject, credential)) {
+      issues.push({
+        ...issue,
+        path: issue.path ? `${subjectPath}.${issue.path}` : subjectPath,
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Sum up issues into a status
+ * @param {Array<Object>} issues - Issues as { severity }
+ * @returns {string} "invalid" with errors, "warnings" with only warnings,
+ *   else "valid"
+ */
+function getStatus(issues) {
+  if (issues.some((issue) => issue.severity === "error")) {
+    return "invalid";
+  }
+  return issues.length ? "warnings" : "valid";
+}
+
+/**
+ * Check a credential against the profiles that apply to it
+ *
+ * @param {Object} credential - The credential
+ * @returns {Object} { status, profiles }: status is "valid", "warnings",
+ *   "invalid", or "none" if no profile applies; profiles are { id, label,
+ *   status, issues } per applied profile, with issues as { path, severity,
+ *   message }
+ */
+export function validateProfiles(credential) {
+  if (!credential || typeof credential !== "object") {
+    return { status: "none", profiles: [] };
+  }
+  const credentialTypes = [].concat(credential.type || []);
+  const results = getMatchingProfiles(credential).map((profile) => {
+    // A profile of a subject type applies to the subjects of that type
+    const hasType = (types) =>
+      profile.types.some((type) => [].concat(types || []).includes(type));
+    const subjects = getSubjects(credential).filter(
+      ({ subject }) =>
+        !profile.types.length ||
+        hasType(credentialTypes) ||
+        hasType(subject.type)
+    );
+    const issues = subjects.length
+      ? subjects.flatMap(({ path, subject }) =>
+          validateSubject(profile, subject, credential, path)
+        )
+      : [
+          {
+            path: "credentialSubject",
+            severity: "error",
+            message: "The credential has no subject",
+          },
+        ];
+    return {
+      id: profile.id,
+      label: profile.label,
+      status: getStatus(issues),
+      issues,
+    };
+  });
+
+  return {
+    status: results.length
+      ? getStatus(results.flatMap((result) => result.issues))
+      : "none",
+    profiles: results,
+  };
+}
+
+// Building assets of the DPP templates (building-asset-<version>.jsonld)
+registerProfile({
+  id: "building-asset",
+  label: "Building asset passport",
+  types: ["DPP"],
+  contexts: [/\/building-asset-\d+(-\d+)*\.jsonld$/],
+  fields: [
+    { path: "id", presence: "recommended", format: "did", severity: "warning" },
+    { path: "name", presence: "required", format: "string" },
+    { path: "ownerName", presence: "required", format: "string" },
+    { path: "ownerEmail", presence: "required", format: "email" },
+    {
+      path: "ownerPhone",
+      presence: "recommended",
+      format: "phone",
+      severity: "warning",
+    },
+    { path: "streetAddress", presence: "required", format: "string" },
+    { path: "city", presence: "required", format: "string" },
+    {
+      path: "state",
+      presence: "required",
+      format: "usState",
+      severity: "warning",
+    },
+    {
+      path: "zipCode",
+      presence: "required",
+      format: "usZipCode",
+      severity: "warning",
+    },
+    { path: "latitude", presence: "required", format: "latitude" },
+    { path: "longitude", presence: "required", format: "longitude" },
+    { path: "proofOfOwnership", presence: "recommended" },
+    { path: "proofOfOwnership.name", format: "string" },
+    { path: "proofOfOwnership.type", format: "mediaType" },
+    { path: "proofOfOwnership.etag", format: "etag" },
+  ],
+  validate(subject) {
+    // An attachment needs a name to be found and an ETag to be checked
+    const attachment = subject.proofOfOwnership;
+    if (!attachment) {
+      return [];
+    }
+    if (typeof attachment !== "object" || Array.isArray(attachment)) {
+      return [
+        {
+          path: "proofOfOwnership",
+          severity: "error",
+          message: "proofOfOwnership is not an attachment object",
+        },
+      ];
+    }
+    return ["name", "type", "etag"]
+      .filter((key) => attachment[key] === undefined)
+      .map((key) => ({
+        path: `proofOfOwnership.${key}`,
+        severity: "error",
+        message: `proofOfOwnership ${key} is required`,
+      }));
+  },
+});
@@ -0,0 +1,500 @@
+/**
+ * Credential Rendering
+ *
+ * Renders a credential as a visual card, following the VC Render Method
+ * draft (https://w3c-ccg.github.io/vc-render-method/). A `renderMethod`
+ * entry names a template that is filled in with the credential's values:
+ * - `SvgRenderingTemplate` (and `SvgRenderingTemplate2023`): an SVG
+ *   template, embedded in `template` or referenced by `id`
+ * - `TemplateRenderMethod`: a `template` string or { id, mediaType,
+ *   digestMultibase } object, with `renderSuite` "svg-mustache" or a
+ *   `text/html` media type
+ *
+ * Templates use Mustache variables such as `{{credentialSubject.name}}`;
+ * every value is escaped. A referenced template is only used if it matches
+ * its `digestMultibase`; without one it isn't covered by the signature,
+ * which the card notes. Credentials without a usable render method fall
+ * back to a built-in template for their type.
+ *
+ * Rendered cards are shown in a sandboxed iframe: no scripts, no forms, a
+ * unique origin, and a Content Security Policy that blocks every request.
+ */
+
+import { matchesDigestMultibase } from "./contexts.js";
+import { getIssuer, getLocalizedValue } from "./datamodel.js";
+
+const SVG = "image/svg+xml";
+const HTML = "text/html";
+
+// Largest template that is loaded, in bytes
+const MAX_TEMPLATE_SIZE = 1024 * 1024;
+
+// URL schemes templates may be loaded from
+const TEMPLATE_SCHEMES = ["https:", "http:", "data:"];
+
+// Policy of the sandboxed card: inline styles and data: images only
+const SANDBOX_POLICY =
+  "default-src 'none'; img-src data:; font-src data:; style-src 'unsafe-inline'";
+
+/**
+ * Registered fallback templates, most recently registered first
+ * @type {Array<Object>}
+ */
+const templates = [];
+
+/**
+ * Create a rendering error
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with code "renderError"
+ */
+function renderError(message) {
+  const error = new Error(message);
+  error.code = "renderError";
+  return error;
+}
+
+/**
+ * Escape text for HTML and SVG markup
+ * @param {*} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Read a value by its dotted path, e.g. "credentialSubject.address.city"
+ * Array items are addressed by index
+ *
+ * @param {Object} data - The credential
+ * @param {string} path - The path
+ * @returns {string} The value as text; empty if there is none
+ */
+function readPath(data, path) {
+  let value = data;
+  for (const key of path.split(".")) {
+    if (value === null || typeof value !== "object") {
+      return "";
+    }
+    value = value[key];
+  }
+
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value !== "object") {
+    return String(value);
+  }
+  if (
+    Array.isArray(value) &&
+    value.every((item) => item === null || typeof item !== "object")
+  ) {
+    return value.join(", ");
+  }
+  const text = getLocalizedValue(value);
+  if (text !== null) {
+    return text;
+  }
+  return value.id || "";
+}
+
+/**
+ * Fill in the Mustache variables of a template
+ * `{{path}}` and `{{{path}}}` are both escaped; sections aren't supported
+ *
+ * @param {string} template - The template
+ * @param {Object} credential - The credential
+ * @returns {string} The markup
+ */
+function fillTemplate(template, credential) {
+  return template.replace(/\{\{\{?\s*([^{}\s]+)\s*\}?\}\}/g, (match, path) =>
+    escapeMarkup(readPath(credential, path))
+  );
+}
+
+/**
+ * Wrap rendered markup in the document shown in the sandboxed iframe
+ *
+ * @param {string} markup - SVG or HTML markup
+ * @returns {string} The HTML document, for the iframe's `srcdoc`
+ */
+function toSandboxDocument(markup) {
+  // An XML declaration or doctype is not valid inside HTML
+  const body = markup
+    .replace(/^\s*<\?xml[^>]*\?>/, "")
+    .replace(/^\s*<!DOCTYPE[^>]*>/i, "");
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta http-equiv="Content-Security-Policy" content="${SANDBOX_POLICY}"><style>html,body{margin:0}body>svg{display:block;width:100%;height:auto}</style></head><body>${body}</body></html>`;
+}
+
+/**
+ * Register a fallback template for credentials of a type
+ * Later registrations for the same type replace earlier ones
+ *
+ * @param {Object} definition - The template definition
+ * @param {string} definition.type - The credential or credentialSubject
+ *   type it renders
+ * @param {string} definition.label - Human readable name shown with the card
+ * @param {string|Function} definition.template - A Mustache template, or a
+ *   function that returns the markup for a credential
+ * @param {string} [definition.mediaType="image/svg+xml"] - "image/svg+xml"
+ *   or "text/html"
+ */
+export function registerRenderTemplate({
+  type,
+  label,
+  template,
+  mediaType = SVG,
+}) {
+  if (!type || !template) {
+    throw new Error("A render template needs a type and a template");
+  }
+  const index = templates.findIndex((entry) => entry.type === type);
+  if (index !== -1) {
+    templates.splice(index, 1);
+  }
+  templates.unshift({ type, label, template, mediaType });
+}
+
+/**
+ * List the types of a credential and its subjects
+ * @param {Object} credential - The credential
+ * @returns {Array<string>} Types, the credential's most specific first
+ */
+function getTypes(credential) {
+  const subjects = [].concat(credential.credentialSubject || []);
+  return [
+    ...[].concat(credential.type || []).reverse(),
+    ...subjects.flatMap((subject) =>
+      subject && typeof subject === "object"
+        ? [].concat(subject.type || [])
+        : []
+    ),
+  ];
+}
+
+/**
+ * Find the fallback template for a credential
+ * The credential's own types are matched first, then its subjects' types,
+ * then the VerifiableCredential template
+ *
+ * @param {Object} credential - The credential
+ * @returns {Object|null} The template definition
+ */
+function getRenderTemplate(credential) {
+  const types = getTypes(credential).filter(
+    (type) => type !== "VerifiableCredential"
+  );
+  for (const type of [...types, "VerifiableCredential"]) {
+    const match = templates.find((entry) => entry.type === type);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * List the render methods of a credential
+ *
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} { type, name, id, template, mediaType,
+ *   digestMultibase, supported } per entry, where template is the embedded
+ *   template or null and id the URL of a referenced one
+ */
+export function getRenderMethods(credential) {
+  return []
+    .concat(credential.renderMethod || [])
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const types = [].concat(entry.type || []);
+      const reference =
+        entry.template && typeof entry.template === "object"
+          ? entry.template
+          : entry;
+      const svg =
+        types.includes("SvgRenderingTemplate") ||
+        types.includes("SvgRenderingTemplate2023");
+      const mediaType =
+        svg || entry.renderSuite === "svg-mustache"
+          ? SVG
+          : reference.mediaType === HTML
+          ? HTML
+          : null;
+      return {
+        type: types.join(", "),
+        name: getLocalizedValue(entry.name),
+        id: typeof reference.id === "string" ? reference.id : null,
+        template: typeof entry.template === "string" ? entry.template : null,
+        mediaType,
+        digestMultibase: reference.digestMultibase || null,
+        supported:
+          (svg || types.includes("TemplateRenderMethod")) && mediaType !== null,
+      };
+    });
+}
+
+/**
+ * Load the template of a render method and check its integrity
+ *
+ * @param {Object} method - From getRenderMethods()
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { template, integrity }, where integrity is
+ *   "embedded", "verified" or "unverified"
+ * @throws {Error} With code "renderError" if the template can't be loaded
+ *   or doesn't match its digest
+ */
+async function loadTemplate(method, { signal }) {
+  let bytes;
+  // A data: URL is part of the credential, so the proof covers it
+  let embedded = method.template !== null;
+  if (embedded) {
+    bytes = new TextEncoder().encode(method.template);
+  } else {
+    let url;
+    try {
+      url = new URL(method.id);
+    } catch (error) {
+      throw renderError(`Template ${method.id} is not a URL`);
+    }
+    if (!TEMPLATE_SCHEMES.includes(url.protocol)) {
+      throw renderError(`Template ${method.id} can't be loaded`);
+    }
+    embedded = url.protocol === "data:";
+
+    let response;
+    try {
+      response = await fetch(url.href, { signal });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+      throw renderError(
+        `Could not load template ${method.id}: ${error.message}`
+      );
+    }
+    if (!response.ok) {
+      throw renderError(
+        `Could not load template ${method.id}: ${response.status} ${response.statusText}`
+      );
+    }
+    bytes = new Uint8Array(await response.arrayBuffer());
+  }
+
+  if (bytes.length > MAX_TEMPLATE_SIZE) {
+    throw renderError(
+      `Template ${method.id || "(embedded)"} is larger than ${
+        MAX_TEMPLATE_SIZE / 1024
+      } KB`
+    );
+  }
+  if (
+    method.digestMultibase &&
+    !(await matchesDigestMultibase(bytes, method.digestMultibase))
+  ) {
+    throw renderError(
+      `Template ${method.id || "(embedded)"} does not match its digestMultibase`
+    );
+  }
+
+  return {
+    template: new TextDecoder().decode(bytes),
+    integrity: embedded
+      ? "embedded"
+      : method.digestMultibase
+      ? "verified"
+      : "unverified",
+  };
+}
+
+/**
+ * Render a credential as a card
+ * The first render method that can be loaded is used; otherwise the
+ * built-in template for the credential's type
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Cancels loading templates
+ * @returns {Promise<Object|null>} { source: "renderMethod"|"builtIn",
+ *   label, id, mediaType, integrity, markup, document, warnings }, where
+ *   document is the sandboxed HTML and warnings say why render methods
+ *   were passed over; null if there is nothing to render with
+ */
+export async function renderCredential(credential, { signal = null } = {}) {
+  const warnings = [];
+
+  for (const method of getRenderMethods(credential)) {
+    if (!method.supported) {
+      warnings.push(`Render method ${method.type} is not supported`);
+      continue;
+    }
+    try {
+      const { template, integrity } = await loadTemplate(method, { signal });
+      if (integrity === "unverified") {
+        warnings.push(
+          `Template ${method.id} has no digestMultibase, so the issuer's signature doesn't cover it`
+        );
+      }
+      const markup = fillTemplate(template, credential);
+      return {
+        source: "renderMethod",
+        label: method.name || method.type,
+        id: method.id,
+        mediaType: method.mediaType,
+        integrity,
+        markup,
+        document: toSandboxDocument(markup),
+        warnings,
+      };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+      warnings.push(error.message);
+    }
+  }
+
+  const fallback = getRenderTemplate(credential);
+  if (!fallback) {
+    return null;
+  }
+  const markup =
+    typeof fallback.template === "function"
+      ? fallback.template(credential)
+      : fillTemplate(fallback.template, credential);
+  return {
+    source: "builtIn",
+    label: fallback.label,
+    id: null,
+    mediaType: fallback.mediaType,
+    integrity: "builtIn",
+    markup,
+    document: toSandboxDocument(markup),
+    warnings,
+  };
+}
+
+/**
+ * Shorten text to fit a line of a card
+ * @param {string} text - The text
+ * @param {number} length - Maximum length
+ * @returns {string} The text, with an ellipsis if it was cut
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Built-in card for any credential: its name or type, issuer, validity
+ * and the first few claims about its subject
+ *
+ * @param {Object} credential - The credential
+ * @returns {string} SVG markup
+ */
+function renderGenericCard(credential) {
+  const types = [].concat(credential.type || []);
+  const title =
+    getLocalizedValue(credential.name) ||
+    types.filter((type) => type !== "VerifiableCredential").pop() ||
+    "Verifiable Credential";
+  const issuer = getIssuer(credential);
+  const subject = [].concat(credential.credentialSubject || [])[0] || {};
+  const claims = Object.entries(subject)
+    .filter(
+      ([key, value]) =>
+        !["id", "type"].includes(key) &&
+        value !== null &&
+        (typeof value !== "object" || getLocalizedValue(value) !== null)
+    )
+    .slice(0, 4)
+    .map(([key, value]) => [
+      key,
+      typeof value === "object" ? getLocalizedValue(value) : String(value),
+    ]);
+  const validFrom = credential.validFrom || credential.issuanceDate || "";
+
+  const text = (x, y, value, attributes = "") =>
+    `<text x="${x}" y="${y}" ${attributes}>${escapeMarkup(value)}</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 480 300" font-family="system-ui, sans-serif">
+  <rect width="480" height="300" rx="16" fill="#f8fafc" stroke="#cbd5e1"/>
+  <rect width="480" height="64" rx="16" fill="#1e293b"/>
+  <rect y="48" width="480" height="16" fill="#1e293b"/>
+  ${text(
+    24,
+    40,
+    truncate(title, 36),
+    'font-size="20" font-weight="600" fill="#fff"'
+  )}
+  ${text(24, 92, "Subject", 'font-size="11" fill="#64748b"')}
+  ${text(
+    24,
+    110,
+    truncate(subject.id || "—", 60),
+    'font-size="12" fill="#0f172a"'
+  )}
+  ${claims
+    .map(
+      ([key, value], index) =>
+        `${text(
+          24,
+          140 + index * 22,
+          key,
+          'font-size="11" fill="#64748b"'
+        )}${text(
+          170,
+          140 + index * 22,
+          truncate(value, 40),
+          'font-size="12" fill="#0f172a"'
+        )}`
+    )
+    .join("")}
+  ${text(24, 252, "Issuer", 'font-size="11" fill="#64748b"')}
+  ${text(
+    24,
+    270,
+    truncate(issuer.name || issuer.id || "—", 60),
+    'font-size="12" fill="#0f172a"'
+  )}
+  ${text(
+    456,
+    270,
+    validFrom.slice(0, 10),
+    'font-size="12" fill="#0f172a" text-anchor="end"'
+  )}
+</svg>`;
+}
+
+// Built-in card for building-asset Digital Product Passports
+const DPP_TEMPLATE = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 480 300" font-family="system-ui, sans-serif">
+  <rect width="480" height="300" rx="16" fill="#f0fdf4" stroke="#86efac"/>
+  <rect width="480" height="64" rx="16" fill="#14532d"/>
+  <rect y="48" width="480" height="16" fill="#14532d"/>
+  <text x="24" y="28" font-size="11" fill="#bbf7d0" letter-spacing="1">DIGITAL PRODUCT PASSPORT · BUILDING ASSET</text>
+  <text x="24" y="50" font-size="20" font-weight="600" fill="#fff">{{credentialSubject.name}}</text>
+  <text x="24" y="96" font-size="11" fill="#4d7c0f">Address</text>
+  <text x="24" y="114" font-size="14" fill="#052e16">{{credentialSubject.streetAddress}}</text>
+  <text x="24" y="132" font-size="14" fill="#052e16">{{credentialSubject.city}}, {{credentialSubject.state}} {{credentialSubject.zipCode}}</text>
+  <text x="24" y="164" font-size="11" fill="#4d7c0f">Owner</text>
+  <text x="24" y="182" font-size="14" fill="#052e16">{{credentialSubject.ownerName}}</text>
+  <text x="24" y="200" font-size="12" fill="#052e16">{{credentialSubject.ownerEmail}}</text>
+  <text x="300" y="164" font-size="11" fill="#4d7c0f">Coordinates</text>
+  <text x="300" y="182" font-size="12" fill="#052e16">{{credentialSubject.latitude}}</text>
+  <text x="300" y="200" font-size="12" fill="#052e16">{{credentialSubject.longitude}}</text>
+  <text x="24" y="252" font-size="11" fill="#4d7c0f">Issued</text>
+  <text x="24" y="270" font-size="12" fill="#052e16">{{issuanceDate}}{{validFrom}}</text>
+</svg>`;
+
+registerRenderTemplate({
+  type: "VerifiableCredential",
+  label: "Credential card",
+  template: renderGenericCard,
+});
+registerRenderTemplate({
+  type: "DPP",
+  label: "Building asset passport",
+  template: DPP_TEMPLATE,
+});
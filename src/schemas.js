@@ -0,0 +1,366 @@
+/**
+ * Credential Schemas
+ *
+ * Credentials can declare JSON Schemas they conform to in
+ * `credentialSchema`:
+ * - `JsonSchema` (VC JSON Schema) and `JsonSchemaValidator2018` (VC 1.1)
+ *   point at a JSON Schema document
+ * - `JsonSchemaCredential` points at a credential whose
+ *   `credentialSubject.jsonSchema` is the schema; the issuer of the schema
+ *   signs it, so its proof is verified as well
+ *
+ * The credential is validated against each schema with the draft the
+ * schema names in `$schema` (2020-12, 2019-09, draft-07 or draft-04;
+ * 2020-12 if it names none). A schema in another draft can't be checked,
+ * which fails with unsupportedSchema, an indeterminate code (checks.js). Errors point at the offending value with a
+ * JSON Pointer (RFC 6901), e.g. "/credentialSubject/age".
+ *
+ * Schemas registered with registerSchema() are used in place of the
+ * network, e.g. offline. DID URLs are dereferenced by the DID resolver and
+ * other URLs fetched and kept in the schema cache (cache.js).
+ */
+
+import { Validator } from "@cfworker/json-schema";
+import { createDocumentLoader } from "./verification.js";
+import { decodeJwtCredential } from "./jwt.js";
+import { schemaCache } from "./cache.js";
+
+// Schema types, by whether they reference a schema or a schema credential
+const SCHEMA_TYPES = {
+  JsonSchema: "schema",
+  JsonSchemaValidator2018: "schema",
+  JsonSchemaCredential: "credential",
+};
+
+// Accept header for schemas and schema credentials
+const SCHEMA_ACCEPT =
+  "application/schema+json, application/vc+jwt, application/vc, application/json";
+
+// JSON Schema drafts by their meta-schema URI, without scheme or "#"
+const DRAFTS = {
+  "json-schema.org/draft/2020-12/schema": "2020-12",
+  "json-schema.org/draft/2019-09/schema": "2019-09",
+  "json-schema.org/draft-07/schema": "7",
+  "json-schema.org/draft-04/schema": "4",
+};
+
+// Keywords that only say a subschema failed; the subschema's own errors
+// say why
+const APPLICATOR_KEYWORDS = [
+  "properties",
+  "patternProperties",
+  "additionalProperties",
+  "items",
+  "prefixItems",
+  "additionalItems",
+  "allOf",
+  "$ref",
+  "$dynamicRef",
+  "$recursiveRef",
+  "dependentSchemas",
+  "dependencies",
+  "unevaluatedProperties",
+  "unevaluatedItems",
+];
+
+// Schemas used in place of the network, by URL
+const localSchemas = new Map();
+
+/**
+ * Create a schema error with a machine-readable code
+ *
+ * @param {string} code - schemaLoadFailed, networkError or
+ *   unsupportedSchema
+ * @param {string} message - Human readable description naming the schema
+ * @returns {Error} The error, with its code in `code`
+ */
+function schemaError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Use a schema, or a schema credential, in place of loading it
+ *
+ * @param {string} url - The URL credentials reference it by
+ * @param {Object|string|null} document - A JSON Schema, a schema
+ *   credential as an object or compact JWT, or null to remove it
+ */
+export function registerSchema(url, document) {
+  if (document === null) {
+    localSchemas.delete(url);
+  } else {
+    localSchemas.set(url, document);
+  }
+}
+
+/**
+ * List the schemas a credential declares
+ *
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} { id, type, supported } per credentialSchema
+ *   entry, where supported is false for types other than SCHEMA_TYPES
+ */
+export function getCredentialSchemas(credential) {
+  if (!credential || typeof credential !== "object") {
+    return [];
+  }
+  return []
+    .concat(credential.credentialSchema || [])
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const type = [].concat(entry.type || []).join(", ");
+      return {
+        id: typeof entry.id === "string" ? entry.id : null,
+        type,
+        supported: Boolean(SCHEMA_TYPES[type] && typeof entry.id === "string"),
+      };
+    });
+}
+
+/**
+ * Load a schema or schema credential
+ * DID URLs are dereferenced by the DID resolver and HTTP(S) URLs fetched
+ * through the document loader, which keeps them in the schema cache
+ *
+ * @param {string} url - The schema URL
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} { document, source }, source being "local",
+ *   "did" or "network"; document is JSON, or the text of a compact JWT
+ * @throws {Error} With code schemaLoadFailed, or networkError if the
+ *   schema could not be fetched at all
+ */
+async function loadSchemaDocument(url, network) {
+  if (localSchemas.has(url)) {
+    return { document: localSchemas.get(url), source: "local" };
+  }
+  const source = url.startsWith("did:") ? "did" : "network";
+  if (source === "network" && !/^https?:\/\//.test(url)) {
+    throw schemaError("schemaLoadFailed", `Schema ${url} is not a URL`);
+  }
+
+  const documentLoader = createDocumentLoader({
+    network,
+    documents: { cache: schemaCache, accept: SCHEMA_ACCEPT },
+  });
+  try {
+    const { document } = await documentLoader(url);
+    return { document, source };
+  } catch (error) {
+    throw schemaError(
+      error.code === "networkError" ? "networkError" : "schemaLoadFailed",
+      `Could not load schema ${url}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Get the schema a schema credential carries
+ *
+ * @param {Object|string} document - The schema credential, as an object or
+ *   compact JWT
+ * @param {string} url - Where it was loaded from, for messages
+ * @returns {Object} The schema
+ * @throws {Error} With code schemaLoadFailed if there is none
+ */
+function getCredentialJsonSchema(document, url) {
+  let credential = document;
+  if (typeof document === "string") {
+    try {
+      ({ credential } = decodeJwtCredential(document));
+    } catch (error) {
+      throw schemaError(
+        "schemaLoadFailed",
+        `Schema credential ${url} can't be decoded: ${error.message}`
+      );
+    }
+  }
+  const subject = credential && credential.credentialSubject;
+  const schema = subject && !Array.isArray(subject) && subject.jsonSchema;
+  if (!schema || typeof schema !== "object") {
+    throw schemaError(
+      "schemaLoadFailed",
+      `Schema credential ${url} has no credentialSubject.jsonSchema`
+    );
+  }
+  return schema;
+}
+
+/**
+ * Get the JSON Schema draft a schema is written in
+ *
+ * @param {Object} schema - The schema
+ * @returns {string} The draft, as the validator names it
+ * @throws {Error} With code unsupportedSchema for other drafts
+ */
+function getDraft(schema) {
+  if (schema.$schema === undefined) {
+    return "2020-12";
+  }
+  const draft =
+    typeof schema.$schema === "string" &&
+    DRAFTS[schema.$schema.replace(/^https?:\/\//, "").replace(/#$/, "")];
+  if (!draft) {
+    throw schemaError(
+      "unsupportedSchema",
+      `JSON Schema ${schema.$schema} is not a supported draft`
+    );
+  }
+  return draft;
+}
+
+/**
+ * Turn a validator location ("#/a/b") into a JSON Pointer ("/a/b")
+ * @param {string} location - The location, a URI fragment
+ * @returns {string} The JSON Pointer; "" is the whole document
+ */
+function toPointer(location) {
+  return decodeURIComponent(location.replace(/^#/, ""));
+}
+
+/**
+ * Validate a credential against a schema
+ *
+ * @param {Object} schema - The JSON Schema
+ * @param {Object} credential - The credential
+ * @returns {Object} { draft, errors }, errors as { pointer, keyword,
+ *   schemaPointer, message }
+ */
+function validateAgainstSchema(schema, credential) {
+  const draft = getDraft(schema);
+  const { errors } = new Validator(schema, draft, false).validate(credential);
+
+  // Keep the most specific errors: those of applicators repeat them
+  const found = errors.filter(
+    (error) =>
+      !APPLICATOR_KEYWORDS.includes(error.keyword) ||
+      !errors.some((other) =>
+        other.keywordLocation.startsWith(`${error.keywordLocation}/`)
+      )
+  );
+  return {
+    draft,
+    errors: found.map((error) => ({
+      pointer: toPointer(error.instanceLocation),
+      keyword: error.keyword,
+      schemaPointer: toPointer(error.keywordLocation),
+      message: error.error,
+    })),
+  };
+}
+
+/**
+ * Check one credentialSchema entry
+ *
+ * @param {Object} entry - From getCredentialSchemas()
+ * @param {Object} credential - The credential
+ * @param {Function|null} verifyCredential - Verifies schema credentials
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} The entry with { status, code, message, source,
+ *   draft, errors, proof }
+ */
+async function checkSchema(entry, credential, verifyCredential, network) {
+  const result = {
+    ...entry,
+    status: "skip",
+    code: null,
+    message: "",
+    source: null,
+    draft: null,
+    errors: [],
+    proof: null,
+  };
+  if (!entry.supported) {
+    result.message = entry.id
+      ? `Schema type ${entry.type || "(none)"} is not supported`
+      : "Schema has no id";
+    return result;
+  }
+
+  try {
+    const { document, source } = await loadSchemaDocument(entry.id, network);
+    result.source = source;
+
+    let schema = document;
+    if (SCHEMA_TYPES[entry.type] === "credential") {
+      schema = getCredentialJsonSchema(document, entry.id);
+      if (verifyCredential) {
+        const verified = await verifyCredential(document);
+        result.proof = {
+          status: verified.status,
+          message: verified.error
+            ? verified.error.message
+            : `Signed by ${verified.suite}`,
+        };
+        if (!verified.verified) {
+          result.status = "fail";
+          result.code =
+            verified.status === "failed"
+              ? "schemaProofInvalid"
+              : verified.error.code;
+          result.message = `Schema credential ${entry.id} did not verify: ${verified.error.message}`;
+          return result;
+        }
+      }
+    } else if (!schema || typeof schema !== "object") {
+      throw schemaError(
+        "schemaLoadFailed",
+        `Schema ${entry.id} is not a JSON Schema`
+      );
+    }
+
+    const { draft, errors } = validateAgainstSchema(schema, credential);
+    result.draft = draft;
+    result.errors = errors;
+    if (errors.length) {
+      const [first] = errors;
+      result.status = "fail";
+      result.code = "schemaInvalid";
+      result.message = `${errors.length} error${
+        errors.length === 1 ? "" : "s"
+      } against ${entry.id}, first at ${
+        first.pointer || "the document root"
+      }: ${first.message}`;
+    } else {
+      result.status = "pass";
+      result.message = `Valid against ${entry.id} (draft ${draft})`;
+    }
+  } catch (error) {
+    result.status = "fail";
+    result.code = error.code || "schemaLoadFailed";
+    result.message = error.message;
+  }
+  return result;
+}
+
+/**
+ * Validate a credential against the schemas it declares
+ * Schema credentials are verified with `verifyCredential`, if given; it
+ * takes the credential as an object or compact JWT and returns a verify()
+ * result
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} [options] - Options
+ * @param {Function} [options.verifyCredential] - Verifies schema
+ *   credentials
+ * @param {Function} [options.fetch] - The fetch() to load schemas with
+ * @param {AbortSignal} [options.signal] - Cancels loading
+ * @param {number} [options.timeout] - Milliseconds to wait for each schema
+ * @returns {Promise<Array<Object>>} One result per credentialSchema entry:
+ *   { id, type, supported, status, code, message, source, draft, errors,
+ *   proof }, status being "pass", "fail" or "skip"
+ */
+export async function validateCredentialSchemas(
+  credential,
+  { verifyCredential = null, fetch = null, signal = null, timeout = null } = {}
+) {
+  const network = { fetch, signal, timeout };
+  const results = [];
+  for (const entry of getCredentialSchemas(credential)) {
+    results.push(
+      await checkSchema(entry, credential, verifyCredential, network)
+    );
+  }
+  return results;
+}
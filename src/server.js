@@ -0,0 +1,413 @@
+/**
+ * Verification Service
+ *
+ * A small Node HTTP service running the headless verifier (verifier.js)
+ * server-side, where CORS doesn't stop DID documents, contexts and status
+ * lists from loading. The web UI retries through it when the browser can't
+ * fetch something (see service.js); bin/vc-verify-server.js starts it.
+ *
+ * Endpoints:
+ * - POST /verify: body { input, options }, where input is the credential or
+ *   presentation (object, JSON text or compact JWT) and options are those of
+ *   verify(). A text/plain or application/jwt body is the input itself.
+ *   Responds with the verify() result, whatever its status.
+ * - POST /resolve/:did: resolves the URL-encoded DID and responds with the
+ *   DID resolution result, with the HTTP status of the DID Resolution HTTP(S)
+ *   binding (404 for notFound, 400 for invalidDid, ...).
+ *
+ * Bad requests get { error: { code, message } } with a 4xx status.
+ *
+ * No CORS headers are sent unless an origin is allowed, so other websites
+ * the user visits can't call a local service. The service fetches whatever
+ * URLs its input names (status lists, trust lists, did:web documents), so
+ * it refuses to connect to loopback, private and link-local addresses
+ * unless private network access is allowed.
+ */
+
+import { createServer, request as httpRequest } from "node:http";
+import { request as httpsRequest } from "node:https";
+import { lookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
+import { Readable } from "node:stream";
+import { verify } from "./verifier.js";
+import { resolveDid } from "./did/index.js";
+import { normalizePolicy } from "./policy.js";
+
+// Largest accepted request body, in bytes
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+// HTTP status per DID resolution error, from the DID Resolution HTTP(S) binding
+const RESOLUTION_STATUS = {
+  invalidDid: 400,
+  notFound: 404,
+  representationNotSupported: 406,
+  methodNotSupported: 501,
+  // The DID document's server could not be reached
+  networkError: 502,
+};
+
+// Addresses the service doesn't fetch from unless allowed; the IPv4 rules
+// also cover IPv4-mapped IPv6 addresses
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// Redirects followed per outbound request
+const MAX_REDIRECTS = 5;
+
+// Headers describing a request body, dropped when a redirect drops the body
+const BODY_HEADERS = [
+  "content-encoding",
+  "content-language",
+  "content-location",
+  "content-type",
+  "content-length",
+];
+
+/**
+ * Check whether an IP address is loopback, private, link-local or reserved
+ * @param {string} address - The IPv4 or IPv6 address
+ * @returns {boolean} True if the service must not connect to it
+ */
+function isPrivateAddress(address) {
+  const family = isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, `ipv${family}`);
+}
+
+/**
+ * Create the error for a refused outbound request
+ *
+ * @param {string} host - The host of the request
+ * @param {string} address - The address it resolved to
+ * @returns {Error} The error, with code privateAddress
+ */
+function privateAddressError(host, address) {
+  const error = new Error(
+    `Refusing to connect to ${host} (${address}): private network access is not allowed`
+  );
+  error.code = "privateAddress";
+  return error;
+}
+
+/**
+ * DNS lookup for outbound requests that rejects private addresses
+ * Checked when connecting, so a host can't resolve differently later
+ *
+ * @param {string} hostname - The host name
+ * @param {Object} options - dns.lookup() options
+ * @param {Function} callback - Called as dns.lookup() calls it
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = (
+      Array.isArray(address) ? address : [{ address, family }]
+    ).find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(privateAddressError(hostname, blocked.address));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * fetch() that only connects to public addresses
+ * Enough of fetch for the verifier's GET requests: method, headers, body
+ * and signal are supported, and redirects are followed and checked too.
+ * Like fetch, a 301, 302 or 303 to anything but GET or HEAD is followed
+ * with a GET without the body.
+ *
+ * @param {string|URL} resource - The URL
+ * @param {Object} [init] - fetch() options
+ * @param {number} [redirects=0] - Redirects followed so far
+ * @returns {Promise<Response>} The response
+ * @throws {TypeError} Like fetch() if the request fails or is refused
+ */
+async function publicFetch(resource, init = {}, redirects = 0) {
+  const url = new URL(resource instanceof Request ? resource.url : resource);
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new TypeError(`fetch failed: unsupported protocol ${url.protocol}`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host) && isPrivateAddress(host)) {
+    throw new TypeError("fetch failed", {
+      cause: privateAddressError(host, host),
+    });
+  }
+
+  const response = await new Promise((resolve, reject) => {
+    const request = (url.protocol === "https:" ? httpsRequest : httpRequest)(
+      url,
+      {
+        method: init.method || "GET",
+        headers: Object.fromEntries(new Headers(init.headers || {})),
+        lookup: publicLookup,
+        signal: init.signal,
+      },
+      resolve
+    );
+    request.on("error", (error) =>
+      reject(
+        error.name === "AbortError"
+          ? error
+          : new TypeError("fetch failed", { cause: error })
+      )
+    );
+    request.end(init.body);
+  });
+
+  const { location } = response.headers;
+  if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+    response.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new TypeError("fetch failed: too many redirects");
+    }
+    const method = (init.method || "GET").toUpperCase();
+    const asGet =
+      [301, 302, 303].includes(response.statusCode) &&
+      method !== "GET" &&
+      method !== "HEAD";
+    if (!asGet) {
+      return publicFetch(new URL(location, url), init, redirects + 1);
+    }
+    const headers = new Headers(init.headers || {});
+    BODY_HEADERS.forEach((name) => headers.delete(name));
+    return publicFetch(
+      new URL(location, url),
+      {
+        ...init,
+        method: "GET",
+        headers,
+        body: undefined,
+      },
+      redirects + 1
+    );
+  }
+
+  const headers = new Headers();
+  for (let i = 0; i < response.rawHeaders.length; i += 2) {
+    headers.append(response.rawHeaders[i], response.rawHeaders[i + 1]);
+  }
+  const hasBody = ![101, 204, 205, 304].includes(response.statusCode);
+  if (!hasBody) {
+    response.resume();
+  }
+  return new Response(hasBody ? Readable.toWeb(response) : null, {
+    status: response.statusCode,
+    statusText: response.statusMessage,
+    headers,
+  });
+}
+
+/**
+ * Create an error for a bad request
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} code - Error code for the response body
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with `status` and `code`
+ */
+function requestError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - The response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body, up to a size limit
+ *
+ * @param {IncomingMessage} req - The request
+ * @param {number} maxBodySize - Largest accepted body, in bytes
+ * @returns {Promise<string>} The body text
+ */
+async function readBody(req, maxBodySize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      throw requestError(
+        413,
+        "payloadTooLarge",
+        `Request body exceeds ${maxBodySize} bytes`
+      );
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Turn a /verify request body into verify() arguments
+ * Dates arrive as strings and are converted back
+ *
+ * @param {string} body - The body text
+ * @param {string} contentType - The request Content-Type
+ * @returns {Object} { input, options }
+ */
+function parseVerifyRequest(body, contentType) {
+  if (!/^application\/(?:[\w.+-]+\+)?json/.test(contentType)) {
+    return { input: body, options: {} };
+  }
+
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    throw requestError(400, "invalidRequest", `Invalid JSON: ${error.message}`);
+  }
+  if (!request || typeof request !== "object" || !("input" in request)) {
+    throw requestError(
+      400,
+      "invalidRequest",
+      'Request body must be { "input": ..., "options": {...} }'
+    );
+  }
+
+  const { at, clockSkew, challenge, domain, requireHolderBinding, policy } =
+    request.options || {};
+  const options = { clockSkew, challenge, domain, requireHolderBinding };
+  if (policy !== undefined) {
+    try {
+      normalizePolicy(policy);
+    } catch (error) {
+      throw requestError(400, error.code, `Invalid policy: ${error.message}`);
+    }
+    options.policy = policy;
+  }
+  if (at !== undefined) {
+    options.at = new Date(at);
+    if (isNaN(options.at.getTime())) {
+      throw requestError(400, "invalidRequest", `Invalid date in at: ${at}`);
+    }
+  }
+  return { input: request.input, options };
+}
+
+/**
+ * Create the verification service
+ *
+ * Unless `allowPrivateNetwork` is set, verification and DID resolution
+ * fetch with a fetch() that refuses loopback, private and link-local
+ * addresses; the process's own fetch() is left alone
+ *
+ * @param {Object} [options] - Service options
+ * @param {string} [options.allowOrigin=null] - Value of the
+ *   Access-Control-Allow-Origin header, or null to send none
+ * @param {boolean} [options.allowPrivateNetwork=false] - Let verification
+ *   fetch from loopback and private addresses
+ * @param {number} [options.maxBodySize] - Largest accepted request body,
+ *   in bytes (default 1 MB)
+ * @returns {Server} The HTTP server, not yet listening
+ */
+export function createVerifierServer({
+  allowOrigin = null,
+  allowPrivateNetwork = false,
+  maxBodySize = DEFAULT_MAX_BODY_SIZE,
+} = {}) {
+  const fetch = allowPrivateNetwork ? null : publicFetch;
+  return createServer(async (req, res) => {
+    if (allowOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+      res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    }
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+
+      const { pathname } = new URL(req.url, "http://localhost");
+      const route =
+        pathname === "/verify"
+          ? "verify"
+          : pathname.startsWith("/resolve/")
+          ? "resolve"
+          : null;
+      if (!route) {
+        throw requestError(404, "notFound", `No endpoint at ${pathname}`);
+      }
+      if (req.method !== "POST") {
+        res.setHeader("Allow", "POST, OPTIONS");
+        throw requestError(
+          405,
+          "methodNotAllowed",
+          `${pathname} only accepts POST`
+        );
+      }
+
+      const body = await readBody(req, maxBodySize);
+
+      if (route === "verify") {
+        const { input, options } = parseVerifyRequest(
+          body,
+          req.headers["content-type"] || ""
+        );
+        sendJson(res, 200, await verify(input, { ...options, fetch }));
+        return;
+      }
+
+      let did;
+      try {
+        did = decodeURIComponent(pathname.slice("/resolve/".length));
+      } catch (error) {
+        throw requestError(400, "invalidRequest", "Malformed DID in the path");
+      }
+      const result = await resolveDid(did, { fetch });
+      const { error } = result.didResolutionMetadata;
+      sendJson(res, error ? RESOLUTION_STATUS[error] || 500 : 200, result);
+    } catch (error) {
+      if (!error.status) {
+        // A bug rather than a bad request; don't leak details
+        console.error(error);
+      }
+      sendJson(res, error.status || 500, {
+        error: {
+          code: error.code || "internalError",
+          message: error.status ? error.message : "Internal server error",
+        },
+      });
+    }
+  });
+}
@@ -0,0 +1,99 @@
+/**
+ * Verification Service Client
+ *
+ * The browser can't load DID documents, contexts or status lists from
+ * servers that don't send CORS headers, and verification then ends with a
+ * network failure. The verification service (server.js) runs the same
+ * checks server-side; the UI retries through it when that happens.
+ */
+
+// Check codes that usually mean the browser wasn't allowed to fetch
+const RETRY_CODES = ["networkError", "contextLoadFailed", "statusUnavailable"];
+
+/**
+ * Check whether a result failed on something the service may be able to load
+ * @param {Object} result - The result from verify()
+ * @returns {boolean} True if retrying through the service may help
+ */
+export function shouldRetryWithService(result) {
+  const results = [result, ...(result.credentials || [])];
+  return results.some((entry) =>
+    entry.checks.some(
+      (check) => check.status === "fail" && RETRY_CODES.includes(check.code)
+    )
+  );
+}
+
+/**
+ * Verify a credential or presentation through the verification service
+ *
+ * @param {string} serviceUrl - Base URL of the service, e.g. "/api"
+ * @param {Object|string} input - The input as given to verify()
+ * @param {Object} [options] - Options for verify(); onProgress is not sent,
+ *   nor are evidence files, which never leave the browser, and the signal
+ *   cancels the request
+ * @returns {Promise<Object>} The verify() result from the service
+ * @throws {Error} With code "serviceUnavailable" if the service can't be
+ *   reached or rejects the request, or an AbortError if cancelled
+ */
+export async function verifyWithService(serviceUrl, input, options = {}) {
+  const {
+    at,
+    clockSkew,
+    challenge,
+    domain,
+    requireHolderBinding,
+    policy,
+    signal,
+  } = options;
+  let response;
+  try {
+    response = await fetch(`${serviceUrl.replace(/\/$/, "")}/verify`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        input,
+        options: {
+          at,
+          clockSkew,
+          challenge,
+          domain,
+          requireHolderBinding,
+          policy,
+        },
+      }),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw error;
+    }
+    throw serviceError(`Verification service unreachable: ${error.message}`);
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not JSON, e.g. a proxy error page
+  }
+  if (!response.ok || !body || !Array.isArray(body.checks)) {
+    throw serviceError(
+      body && body.error
+        ? `Verification service error: ${body.error.message}`
+        : `Verification service error: ${response.status} ${response.statusText}`
+    );
+  }
+  return body;
+}
+
+/**
+ * Create a verification service error
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with code "serviceUnavailable"
+ */
+function serviceError(message) {
+  const error = new Error(message);
+  error.code = "serviceUnavailable";
+  return error;
+}
@@ -0,0 +1,428 @@
+/**
+ * Credential Status Checks
+ *
+ * This file checks `credentialStatus` entries that point into a status list:
+ * - StatusList2021Entry (https://www.w3.org/TR/2023/WD-vc-status-list-20230427/)
+ * - BitstringStatusListEntry (https://www.w3.org/TR/vc-bitstring-status-list/)
+ *
+ * For each entry:
+ * 1. Load the status list credential through the document loader
+ * 2. Check that the credential's issuer issued it and that it is within its
+ *    validity period
+ * 3. Verify the status list credential's own proof
+ * 4. Decode the GZIP compressed, base64url encoded bitstring
+ * 5. Read the status at `statusListIndex` for the entry's `statusPurpose`
+ *
+ * A set `revocation` bit means the credential is revoked, a set
+ * `suspension` bit means it is suspended.
+ *
+ * Entries that can't be checked carry an error code: statusUnavailable if
+ * the list could not be loaded or its issuer resolved, which leaves the
+ * status unknown, statusListIssuerMismatch if someone other than the
+ * credential's issuer issued the list, and statusListInvalid if the list
+ * or the entry is otherwise unusable.
+ */
+
+import * as base64url from "base64url-universal";
+import {
+  createDocumentLoader,
+  verifyCredentialSignature,
+} from "./verification.js";
+import { checkValidityPeriod } from "./validity.js";
+import { getIssuer } from "./datamodel.js";
+import { statusListCache } from "./cache.js";
+import { INDETERMINATE_CODES } from "./checks.js";
+
+// Status entry types and the status list credential/subject types they use
+const STATUS_LIST_TYPES = {
+  StatusList2021Entry: {
+    credentialType: "StatusList2021Credential",
+    subjectType: "StatusList2021",
+    multibase: false,
+  },
+  BitstringStatusListEntry: {
+    credentialType: "BitstringStatusListCredential",
+    subjectType: "BitstringStatusList",
+    multibase: true,
+  },
+};
+
+// Multibase header for base64url (no padding)
+const MULTIBASE_BASE64URL_HEADER = "u";
+
+// Accept header for status list credentials
+const STATUS_LIST_ACCEPT = "application/vc+ld+json, application/json";
+
+/**
+ * Create a status error with a machine-readable code
+ *
+ * @param {string} code - statusUnavailable, statusListIssuerMismatch or
+ *   statusListInvalid
+ * @param {string} message - Human readable description
+ * @returns {Error} The error, with its code in `code`
+ */
+function statusError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the credentialStatus entries of a credential
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} Status entries, empty if the credential has none
+ */
+export function getStatusEntries(credential) {
+  const { credentialStatus } = credential || {};
+  if (!credentialStatus) {
+    return [];
+  }
+  return Array.isArray(credentialStatus)
+    ? credentialStatus
+    : [credentialStatus];
+}
+
+/**
+ * Check whether a value lists a type
+ * @param {string|Array<string>} types - A `type` property value
+ * @param {string} type - The type to look for
+ * @returns {boolean} True if the type is present
+ */
+function hasType(types, type) {
+  return Array.isArray(types) ? types.includes(type) : types === type;
+}
+
+/**
+ * Decompress GZIP data
+ * @param {Uint8Array} bytes - The compressed bytes
+ * @returns {Promise<Uint8Array>} The decompressed bytes
+ */
+async function gunzip(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decode the `encodedList` of a status list into its bitstring
+ *
+ * @param {string} encodedList - The encoded list from the status list subject
+ * @param {boolean} multibase - Whether the list has a multibase header
+ * @returns {Promise<Uint8Array>} The uncompressed bitstring
+ */
+async function decodeStatusList(encodedList, multibase) {
+  if (typeof encodedList !== "string" || !encodedList) {
+    throw statusError("statusListInvalid", "Status list has no encodedList");
+  }
+
+  let encoded = encodedList;
+  if (multibase) {
+    if (!encoded.startsWith(MULTIBASE_BASE64URL_HEADER)) {
+      throw statusError(
+        "statusListInvalid",
+        "Status list encodedList is not base64url multibase"
+      );
+    }
+    encoded = encoded.slice(1);
+  }
+
+  try {
+    return await gunzip(base64url.decode(encoded));
+  } catch (error) {
+    throw statusError(
+      "statusListInvalid",
+      "Status list encodedList could not be decompressed"
+    );
+  }
+}
+
+/**
+ * Read a status value from a bitstring
+ * Index 0 is the left-most bit of the first byte
+ *
+ * @param {Uint8Array} bitstring - The uncompressed status list
+ * @param {number} index - The status list index
+ * @param {number} size - Number of bits per status
+ * @returns {number} The status value
+ */
+function readStatus(bitstring, index, size) {
+  const start = index * size;
+  if (start + size > bitstring.length * 8) {
+    throw statusError(
+      "statusListInvalid",
+      `Status list index ${index} is out of range (list has ${Math.floor(
+        (bitstring.length * 8) / size
+      )} entries)`
+    );
+  }
+
+  let value = 0;
+  for (let bit = start; bit < start + size; bit++) {
+    const set = (bitstring[bit >> 3] >> (7 - (bit % 8))) & 1;
+    value = value * 2 + set;
+  }
+  return value;
+}
+
+/**
+ * Load, verify and decode a status list credential
+ *
+ * @param {string} url - The statusListCredential URL
+ * @param {Object} listType - Expected types from STATUS_LIST_TYPES
+ * @param {Function} documentLoader - Loader used to fetch the status list
+ * @param {Object} expected - { issuer, at, clockSkew }: the credential's
+ *   issuer, which must have issued the list, and the verification time
+ * @param {Object} network - { fetch, signal, timeout } for verifying the
+ *   list's proof, see network.js
+ * @returns {Promise<Object>} The status list credential and its bitstring
+ */
+async function loadStatusList(
+  url,
+  listType,
+  documentLoader,
+  expected,
+  network
+) {
+  let statusListCredential;
+  try {
+    ({ document: statusListCredential } = await documentLoader(url));
+  } catch (error) {
+    throw statusError(
+      "statusUnavailable",
+      `Could not load status list ${url}: ${error.message}`
+    );
+  }
+
+  if (
+    !statusListCredential ||
+    !hasType(statusListCredential.type, listType.credentialType)
+  ) {
+    throw statusError(
+      "statusListInvalid",
+      `Status list ${url} is not a ${listType.credentialType}`
+    );
+  }
+
+  const subject = statusListCredential.credentialSubject || {};
+  if (!hasType(subject.type, listType.subjectType)) {
+    throw statusError(
+      "statusListInvalid",
+      `Status list ${url} subject is not a ${listType.subjectType}`
+    );
+  }
+
+  // Anyone can publish a list; only the credential's issuer speaks for it
+  const issuer = getIssuer(statusListCredential).id;
+  if (issuer !== expected.issuer) {
+    throw statusError(
+      "statusListIssuerMismatch",
+      `Status list ${url} is issued by ${issuer}, not by the credential's issuer ${expected.issuer}`
+    );
+  }
+
+  // An expired list no longer says anything about the current status
+  const validity = checkValidityPeriod(statusListCredential, {
+    at: expected.at,
+    clockSkew: expected.clockSkew,
+  });
+  if (!validity.verified) {
+    throw statusError(
+      "statusListInvalid",
+      `Status list ${url} is not valid: ${validity.error}`
+    );
+  }
+
+  // The status list is only trusted if its own proof verifies; a proof
+  // that couldn't be checked leaves the status unknown
+  const result = await verifyCredentialSignature(statusListCredential, network);
+  if (!result.verified) {
+    let reason = "its proof is invalid";
+    if (result.error && result.error.code === "networkError") {
+      reason = "its issuer DID could not be resolved";
+    } else if (result.error) {
+      reason = result.error.message;
+    }
+    throw statusError(
+      result.status === "indeterminate"
+        ? "statusUnavailable"
+        : "statusListInvalid",
+      `Status list ${url} could not be verified: ${reason}`
+    );
+  }
+
+  return {
+    statusListCredential,
+    subject,
+    suite: result.suite,
+    bitstring: await decodeStatusList(subject.encodedList, listType.multibase),
+  };
+}
+
+/**
+ * Check one credentialStatus entry
+ *
+ * @param {Object} entry - The credentialStatus entry
+ * @param {Function} getStatusList - Loads a status list once per URL
+ * @returns {Promise<Object>} The entry result
+ */
+async function checkStatusEntry(entry, getStatusList) {
+  const result = {
+    id: entry.id,
+    type: entry.type,
+    statusPurpose: entry.statusPurpose,
+    statusListIndex: entry.statusListIndex,
+    statusListCredential: entry.statusListCredential,
+    checked: false,
+    set: false,
+  };
+
+  const listType = STATUS_LIST_TYPES[entry.type];
+  if (!listType) {
+    return {
+      ...result,
+      code: "statusUnavailable",
+      error: `Unsupported credentialStatus type: ${entry.type}`,
+    };
+  }
+
+  const index = Number(entry.statusListIndex);
+  if (!/^\d+$/.test(String(entry.statusListIndex)) || !entry.statusPurpose) {
+    return {
+      ...result,
+      code: "statusListInvalid",
+      error:
+        "credentialStatus needs a statusPurpose and a numeric statusListIndex",
+    };
+  }
+
+  const size = Number(entry.statusSize || 1);
+  if (!Number.isInteger(size) || size < 1) {
+    return {
+      ...result,
+      code: "statusListInvalid",
+      error: `Invalid statusSize: ${entry.statusSize}`,
+    };
+  }
+
+  try {
+    const statusList = await getStatusList(
+      entry.statusListCredential,
+      listType
+    );
+
+    // A list published for one purpose can't answer for another
+    if (!hasType(statusList.subject.statusPurpose, entry.statusPurpose)) {
+      throw statusError(
+        "statusListInvalid",
+        `Status list purpose ${statusList.subject.statusPurpose} does not match ${entry.statusPurpose}`
+      );
+    }
+
+    const value = readStatus(statusList.bitstring, index, size);
+    const message = (entry.statusMessage || []).find(
+      (statusMessage) => parseInt(statusMessage.status, 16) === value
+    );
+
+    return {
+      ...result,
+      checked: true,
+      set: value !== 0,
+      value,
+      message: message ? message.message : null,
+      suite: statusList.suite,
+    };
+  } catch (error) {
+    return {
+      ...result,
+      code: error.code || "statusUnavailable",
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Check the revocation and suspension status of a credential
+ *
+ * @param {Object} credential - The credential, after its proof has been verified
+ * @param {Object} options - Check options
+ * @param {Function} [options.documentLoader] - Loader used to fetch status lists,
+ *   e.g. to serve a local fixture; defaults to the document loader, which
+ *   keeps them in the status list cache
+ * @param {Function} [options.fetch] - The fetch() to load status lists and
+ *   their issuers' DID documents with
+ * @param {AbortSignal} [options.signal] - Cancels loading
+ * @param {number} [options.timeout] - Milliseconds to wait for each request
+ * @param {Date} [options.at] - Verification time for the status lists'
+ *   validity periods, defaults to now
+ * @param {number} [options.clockSkew] - Tolerance in seconds
+ * @returns {Promise<Object>} Status result: `status` is none, valid, revoked,
+ *   suspended or error, `entries` holds one result per credentialStatus entry,
+ *   and `code` and `error` describe the failure deciding an error
+ */
+export async function checkCredentialStatus(
+  credential,
+  {
+    documentLoader = null,
+    at,
+    clockSkew,
+    fetch = null,
+    signal = null,
+    timeout = null,
+  } = {}
+) {
+  const statusEntries = getStatusEntries(credential);
+  if (statusEntries.length === 0) {
+    return { status: "none", verified: true, entries: [] };
+  }
+
+  // Several entries often share one status list; load and verify it once
+  const statusLists = new Map();
+  const expected = { issuer: getIssuer(credential).id, at, clockSkew };
+  const network = { fetch, signal, timeout };
+  const loader =
+    documentLoader ||
+    createDocumentLoader({
+      network,
+      documents: { cache: statusListCache, accept: STATUS_LIST_ACCEPT },
+    });
+  const getStatusList = (url, listType) => {
+    if (!statusLists.has(url)) {
+      statusLists.set(
+        url,
+        loadStatusList(url, listType, loader, expected, network)
+      );
+    }
+    return statusLists.get(url);
+  };
+
+  const entries = [];
+  for (const entry of statusEntries) {
+    entries.push(await checkStatusEntry(entry || {}, getStatusList));
+  }
+
+  const isSet = (purpose) =>
+    entries.some((entry) => entry.statusPurpose === purpose && entry.set);
+  // A definite problem with a list outweighs one that couldn't be checked
+  const failures = entries.filter((entry) => entry.error);
+  const failed =
+    failures.find((entry) => !INDETERMINATE_CODES.includes(entry.code)) ||
+    failures[0];
+
+  let status = "valid";
+  if (isSet("revocation")) {
+    status = "revoked";
+  } else if (isSet("suspension")) {
+    status = "suspended";
+  } else if (failed) {
+    status = "error";
+  }
+
+  return {
+    status,
+    verified: status === "valid",
+    entries,
+    code: failed ? failed.code : null,
+    error: failed ? failed.error : null,
+  };
+}
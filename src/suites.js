@@ -0,0 +1,214 @@
+/**
+ * Proof Suite Registry
+ *
+ * This file maps Linked Data proof types to the libraries that verify them.
+ * Each registered suite describes:
+ * - how to recognise a proof it can verify (`type` and optional `cryptosuite`)
+ * - the JSON-LD contexts it needs, bundled so they never hit the network
+ * - how to build a jsonld-signatures suite from a resolved public key
+ *
+ * Supported out of the box:
+ * - Ed25519Signature2018 (detached JWS in `proof.jws`)
+ * - Ed25519Signature2020 (multibase `proof.proofValue`)
+ * - DataIntegrityProof with the eddsa-rdfc-2022 cryptosuite
+ *
+ * Adding a suite only requires a call to registerSuite(); the verifier and
+ * the UI both look suites up through this module.
+ */
+
+import {
+  Ed25519Signature2018,
+  suiteContext as ed25519Signature2018Context,
+} from "@digitalbazaar/ed25519-signature-2018";
+import {
+  Ed25519Signature2020,
+  suiteContext as ed25519Signature2020Context,
+} from "@digitalbazaar/ed25519-signature-2020";
+import { Ed25519VerificationKey2018 } from "@digitalbazaar/ed25519-verification-key-2018";
+import * as Ed25519Multikey from "@digitalbazaar/ed25519-multikey";
+import * as base58btc from "base58-universal";
+import { DataIntegrityProof } from "@digitalbazaar/data-integrity";
+import { cryptosuite as eddsaRdfc2022CryptoSuite } from "@digitalbazaar/eddsa-rdfc-2022-cryptosuite";
+import dataIntegrityContext from "@digitalbazaar/data-integrity-context";
+import multikeyContext from "@digitalbazaar/multikey-context";
+
+/**
+ * Registered suites, in lookup order
+ * @type {Array<Object>}
+ */
+const suites = [];
+
+/**
+ * Contexts that define each supported verification method (key) type
+ * DID documents rarely give keys their own context, so one is added before
+ * a key is handed to a suite
+ * @const {Object}
+ */
+const KEY_CONTEXTS = {
+  Ed25519VerificationKey2018: ed25519Signature2018Context.CONTEXT_URL,
+  Ed25519VerificationKey2020: ed25519Signature2020Context.CONTEXT_URL,
+  Multikey: multikeyContext.CONTEXT_URL,
+};
+
+/**
+ * Register a proof suite with the verifier
+ *
+ * @param {Object} definition - The suite definition
+ * @param {string} definition.type - The `proof.type` this suite verifies
+ * @param {string} [definition.cryptosuite] - The `proof.cryptosuite` this suite verifies
+ * @param {string} definition.label - Human readable name shown in the UI
+ * @param {Map<string, Object>} [definition.contexts] - Bundled JSON-LD contexts keyed by URL
+ * @param {Function} definition.createSuite - Builds a jsonld-signatures suite from a public key (may be async);
+ *   called with null when the suite only canonicalizes, e.g. in the proof inspector
+ */
+export function registerSuite(definition) {
+  if (!definition || !definition.type || !definition.createSuite) {
+    throw new Error(
+      "A suite definition needs a type and a createSuite function"
+    );
+  }
+
+  // Replace an existing registration for the same proof type/cryptosuite
+  const index = suites.findIndex(
+    (suite) =>
+      suite.type === definition.type &&
+      suite.cryptosuite === definition.cryptosuite
+  );
+  if (index !== -1) {
+    suites.splice(index, 1);
+  }
+
+  suites.push({ contexts: new Map(), ...definition });
+}
+
+/**
+ * Find the registered suite that can verify a proof
+ *
+ * @param {Object} proof - The proof object from a credential
+ * @returns {Object|null} The suite definition or null if none matches
+ */
+export function getSuiteForProof(proof) {
+  if (!proof || !proof.type) {
+    return null;
+  }
+
+  return (
+    suites.find(
+      (suite) =>
+        suite.type === proof.type &&
+        (!suite.cryptosuite || suite.cryptosuite === proof.cryptosuite)
+    ) || null
+  );
+}
+
+/**
+ * List the labels of all registered suites
+ * @returns {Array<string>} Suite labels in lookup order
+ */
+export function getSupportedSuites() {
+  return suites.map((suite) => suite.label);
+}
+
+/**
+ * Describe a proof's suite for display, whether or not it is supported
+ *
+ * @param {Object} proof - The proof object from a credential
+ * @returns {string} The suite label, or the raw type/cryptosuite pair
+ */
+export function describeProof(proof) {
+  const suite = getSuiteForProof(proof);
+  if (suite) {
+    return suite.label;
+  }
+  if (!proof || !proof.type) {
+    return "Unknown";
+  }
+  return proof.cryptosuite
+    ? `${proof.type} (${proof.cryptosuite})`
+    : proof.type;
+}
+
+/**
+ * Look up a JSON-LD context bundled with any registered suite
+ *
+ * @param {string} url - The context URL
+ * @returns {Object|null} The context document or null if not bundled
+ */
+export function getSuiteContext(url) {
+  for (const suite of suites) {
+    if (suite.contexts.has(url)) {
+      return suite.contexts.get(url);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the context URL defining a verification method type
+ *
+ * @param {string} keyType - The verification method `type`
+ * @returns {string|null} The context URL or null for unknown key types
+ */
+export function getKeyContextUrl(keyType) {
+  return KEY_CONTEXTS[keyType] || null;
+}
+
+// ============================================================================
+// BUILT-IN SUITES
+// ============================================================================
+
+/**
+ * Convert any Ed25519 verification method to an Ed25519VerificationKey2018
+ * DID documents such as did:key and did:jwk describe keys as Multikey or
+ * JsonWebKey2020, which the 2018 suite can't read directly
+ *
+ * @param {Object} publicKey - The verification method from the DID document
+ * @returns {Promise<Ed25519VerificationKey2018>} The 2018 key
+ */
+async function toEd25519VerificationKey2018(publicKey) {
+  if (publicKey.type === "Ed25519VerificationKey2018") {
+    return new Ed25519VerificationKey2018(publicKey);
+  }
+
+  const key = await Ed25519Multikey.from(publicKey);
+  const { publicKey: publicKeyBytes } = await key.export({ raw: true });
+  return new Ed25519VerificationKey2018({
+    id: publicKey.id,
+    controller: publicKey.controller,
+    publicKeyBase58: base58btc.encode(publicKeyBytes),
+  });
+}
+
+registerSuite({
+  type: "Ed25519Signature2018",
+  label: "Ed25519Signature2018",
+  contexts: new Map(ed25519Signature2018Context.contexts),
+  createSuite: async (publicKey) =>
+    publicKey
+      ? new Ed25519Signature2018({
+          key: await toEd25519VerificationKey2018(publicKey),
+          verificationMethod: publicKey.id,
+        })
+      : new Ed25519Signature2018(),
+});
+
+registerSuite({
+  type: "Ed25519Signature2020",
+  label: "Ed25519Signature2020",
+  contexts: new Map(ed25519Signature2020Context.contexts),
+  // The suite dereferences proof.verificationMethod through the document
+  // loader, which serves the already resolved public key
+  createSuite: () => new Ed25519Signature2020(),
+});
+
+registerSuite({
+  type: "DataIntegrityProof",
+  cryptosuite: eddsaRdfc2022CryptoSuite.name,
+  label: "DataIntegrityProof (eddsa-rdfc-2022)",
+  contexts: new Map([
+    ...dataIntegrityContext.contexts,
+    ...multikeyContext.contexts,
+  ]),
+  createSuite: () =>
+    new DataIntegrityProof({ cryptosuite: eddsaRdfc2022CryptoSuite }),
+});
@@ -0,0 +1,191 @@
+/**
+ * Temporal Validity Checks
+ *
+ * This file checks a credential's validity period at a given verification
+ * time ("as of"), independently of its signature:
+ * - VC 1.1: issuanceDate and expirationDate
+ * - VC 2.0: validFrom and validUntil
+ * - VC-JOSE payloads: the nbf and exp claims
+ * - Every proof: created (not in the future, not after the credential
+ *   expired) and expires
+ *
+ * A clock skew tolerance is applied in both directions, so credentials
+ * issued by a server whose clock runs slightly ahead still verify.
+ */
+
+// Default clock skew tolerance, in seconds
+export const DEFAULT_CLOCK_SKEW = 60;
+
+// Check messages per kind of date: "start" and "created" dates must have
+// passed, "end" dates must not have
+const MESSAGES = {
+  start: { passed: "Valid from", failed: "Not valid before" },
+  created: { passed: "Proof created", failed: "Proof created in the future," },
+  end: { passed: "Valid until", failed: "Expired on" },
+};
+
+// Outcomes in order of precedence: a malformed date beats an expired one
+const FAILURE_ORDER = ["invalid", "expired", "notYetValid"];
+
+/**
+ * Parse an XML Schema dateTime or a JWT NumericDate
+ * @param {string|number} value - The date value
+ * @returns {Date|null} The date, or null if the value isn't a valid date
+ */
+function parseDate(value) {
+  if (typeof value === "number") {
+    return new Date(value * 1000);
+  }
+  // Require at least a full date and time, as dateTime does
+  if (
+    typeof value !== "string" ||
+    !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)
+  ) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the proofs of a credential
+ * @param {Object} credential - The credential
+ * @returns {Array<Object>} Proofs, empty if the credential has none
+ */
+function getProofs(credential) {
+  if (!credential.proof) {
+    return [];
+  }
+  return Array.isArray(credential.proof)
+    ? credential.proof
+    : [credential.proof];
+}
+
+/**
+ * Check the validity period of a credential and its proofs
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} options - Check options
+ * @param {Date} [options.at] - Verification time, defaults to now
+ * @param {number} [options.clockSkew] - Tolerance in seconds
+ * @returns {Object} Validity result: `status` is valid, expired, notYetValid
+ *   or invalid, and `checks` lists each date that was checked
+ */
+export function checkValidityPeriod(
+  credential,
+  { at = new Date(), clockSkew = DEFAULT_CLOCK_SKEW } = {}
+) {
+  const skew = clockSkew * 1000;
+  const now = at.getTime();
+  const checks = [];
+
+  /**
+   * Record a check of one date property
+   * @param {string} name - The property name shown to the user
+   * @param {*} value - The raw property value
+   * @param {string} kind - "start", "created" or "end", see MESSAGES
+   * @returns {Date|null} The parsed date, if it's valid
+   */
+  const checkDate = (name, value, kind) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const date = parseDate(value);
+    if (!date) {
+      checks.push({
+        name,
+        value,
+        status: "failed",
+        failure: "invalid",
+        message: `${name} is not a valid date: ${value}`,
+      });
+      return null;
+    }
+
+    const iso = date.toISOString();
+    let failure = null;
+    if (kind === "end" && date.getTime() < now - skew) {
+      failure = "expired";
+    } else if (kind !== "end" && date.getTime() > now + skew) {
+      failure = "notYetValid";
+    }
+
+    checks.push({
+      name,
+      value: iso,
+      status: failure ? "failed" : "passed",
+      failure,
+      message: `${
+        MESSAGES[kind][failure ? "failed" : "passed"]
+      } ${iso} (${name})`,
+    });
+    return date;
+  };
+
+  /**
+   * Record a failed consistency check between two dates
+   * @param {string} name - The check name
+   * @param {string} message - What is wrong
+   */
+  const inconsistent = (name, message) => {
+    checks.push({ name, status: "failed", failure: "invalid", message });
+  };
+
+  // Credential validity period, in VC 1.1, VC 2.0 and JWT form
+  const issued = checkDate("issuanceDate", credential.issuanceDate, "start");
+  const validFrom = checkDate("validFrom", credential.validFrom, "start");
+  const notBefore = checkDate("nbf", credential.nbf, "start");
+  const expires = checkDate("expirationDate", credential.expirationDate, "end");
+  const validUntil = checkDate("validUntil", credential.validUntil, "end");
+  const expiresClaim = checkDate("exp", credential.exp, "end");
+
+  // The period is the intersection of all the dates that were given
+  const starts = [validFrom, issued, notBefore].filter(Boolean);
+  const ends = [validUntil, expires, expiresClaim].filter(Boolean);
+  const start = starts.length
+    ? new Date(Math.max(...starts.map((date) => date.getTime())))
+    : null;
+  const end = ends.length
+    ? new Date(Math.min(...ends.map((date) => date.getTime())))
+    : null;
+
+  if (start && end && start > end) {
+    inconsistent(
+      "validityPeriod",
+      `Validity period starts (${start.toISOString()}) after it ends (${end.toISOString()})`
+    );
+  }
+
+  // Proof dates
+  for (const proof of getProofs(credential)) {
+    const created = checkDate("proof.created", proof.created, "created");
+    checkDate("proof.expires", proof.expires, "end");
+
+    if (created && end && created.getTime() > end.getTime() + skew) {
+      inconsistent(
+        "proof.created",
+        `Proof was created (${created.toISOString()}) after the credential expired (${end.toISOString()})`
+      );
+    }
+  }
+
+  const failures = checks
+    .filter((check) => check.status === "failed")
+    .sort(
+      (a, b) =>
+        FAILURE_ORDER.indexOf(a.failure) - FAILURE_ORDER.indexOf(b.failure)
+    );
+  const status = failures.length ? failures[0].failure : "valid";
+
+  return {
+    status,
+    verified: status === "valid",
+    at: at.toISOString(),
+    clockSkew,
+    validFrom: start ? start.toISOString() : null,
+    validUntil: end ? end.toISOString() : null,
+    checks,
+    error: failures.length ? failures[0].message : null,
+  };
+}
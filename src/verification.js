@@ -2,436 +2,650 @@
  * Verification Logic for W3C Verifiable Credentials
  *
  * This file contains the core verification logic for validating
- * W3C Verifiable Credentials with Ed25519Signature2018 proofs.
+ * W3C Verifiable Credentials with Ed25519 Linked Data proofs.
  *
  * Libraries used:
  * - jsonld: For JSON-LD processing
  * - jsonld-signatures (jsigs): For cryptographic signature verification
  * - @digitalbazaar/ed25519-verification-key-2018: For Ed25519 key handling
- * - @digitalbazaar/ed25519-signature-2018: For Ed25519 signature verification
+ * - @digitalbazaar/ed25519-signature-2018: For Ed25519Signature2018 proofs
+ * - @digitalbazaar/ed25519-signature-2020: For Ed25519Signature2020 proofs
+ * - @digitalbazaar/data-integrity: For DataIntegrityProof proofs
+ * - @digitalbazaar/eddsa-rdfc-2022-cryptosuite: For eddsa-rdfc-2022 proofs
  *
- * The verification process:
- * 1. Parse the credential and extract the proof
- * 2. Resolve the DID to get the public key
- * 3. Create a verification key from the public key
- * 4. Set up the verification suite with the key
- * 5. Verify the cryptographic signature
+ * The suites themselves are registered in suites.js, and JSON-LD contexts
+ * are bundled, pinned and allowlisted in contexts.js.
+ *
+ * The verification process, each step recorded as a check (see checks.js):
+ * 1. structure: check the proof and select the suite matching its type
+ * 2. contexts: load every JSON-LD context the document uses
+ * 3. coverage: find properties the signature doesn't cover (coverage.js)
+ * 4. didResolution: resolve the DID of the verification method
+ * 5. keyBinding: check the key is bound to the issuer (binding.js)
+ * 6. signature: verify the cryptographic signature
  */
 
 import jsonld from "jsonld";
 import jsigs from "jsonld-signatures";
-import { Ed25519VerificationKey2018 } from "@digitalbazaar/ed25519-verification-key-2018";
-import { Ed25519Signature2018 } from "@digitalbazaar/ed25519-signature-2018";
-
-// Progress step percentages for UI updates
-export const PROGRESS_STEPS = {
-  START: 10,
-  CHECK_PROOF: 25,
-  RESOLVE_DID: 50,
-  CREATE_KEY: 65,
-  SETUP_SUITE: 80,
-  VERIFY: 100,
-};
-
-// Cache for loaded documents to avoid redundant network requests
-const documentCache = new Map();
-
-// Predefined contexts to avoid CORS issues
-const CONTEXTS = {
-  W3C_CREDENTIALS_V1: {
-    "@version": 1.1,
-    id: "@id",
-    type: "@type",
-    VerifiableCredential: {
-      "@id": "https://www.w3.org/2018/credentials#VerifiableCredential",
-      "@context": {
-        "@version": 1.1,
-        id: "@id",
-        type: "@type",
-        credentialSubject: {
-          "@id": "https://www.w3.org/2018/credentials#credentialSubject",
-        },
-        issuer: {
-          "@id": "https://www.w3.org/2018/credentials#issuer",
-        },
-        issuanceDate: {
-          "@id": "https://www.w3.org/2018/credentials#issuanceDate",
-          "@type": "http://www.w3.org/2001/XMLSchema#dateTime",
-        },
-        proof: {
-          "@id": "https://w3id.org/security#proof",
-          "@container": "@graph",
-        },
-      },
-    },
-  },
-  W3C_SECURITY: {
-    id: "@id",
-    type: "@type",
-    dc: "http://purl.org/dc/terms/",
-    sec: "https://w3id.org/security#",
-    xsd: "http://www.w3.org/2001/XMLSchema#",
-    Ed25519Signature2018: "sec:Ed25519Signature2018",
-    Ed25519VerificationKey2018: "sec:Ed25519VerificationKey2018",
-    assertionMethod: {
-      "@id": "sec:assertionMethod",
-      "@type": "@id",
-      "@container": "@set",
-    },
-    authentication: {
-      "@id": "sec:authentication",
-      "@type": "@id",
-      "@container": "@set",
-    },
-    created: { "@id": "dc:created", "@type": "xsd:dateTime" },
-    creator: { "@id": "dc:creator", "@type": "@id" },
-    domain: "sec:domain",
-    expires: { "@id": "sec:expiration", "@type": "xsd:dateTime" },
-    jws: "sec:jws",
-    nonce: "sec:nonce",
-    proof: {
-      "@id": "sec:proof",
-      "@type": "@id",
-      "@container": "@graph",
-    },
-    proofPurpose: { "@id": "sec:proofPurpose", "@type": "@vocab" },
-    proofValue: "sec:proofValue",
-    publicKey: { "@id": "sec:publicKey", "@type": "@id" },
-    publicKeyBase58: "sec:publicKeyBase58",
-    publicKeyPem: "sec:publicKeyPem",
-    challenge: "sec:challenge",
-    controller: { "@id": "sec:controller", "@type": "@id" },
-    verificationMethod: {
-      "@id": "sec:verificationMethod",
-      "@type": "@id",
-    },
-  },
-  FALLBACK: {
-    "@vocab": "https://example.org/undefined#",
-  },
-};
+import {
+  describeProof,
+  getKeyContextUrl,
+  getSuiteForProof,
+  getSupportedSuites,
+} from "./suites.js";
+import { dereferenceDidUrl } from "./did/index.js";
+import {
+  createContextReport,
+  getRelatedResourceDigests,
+  loadContext,
+} from "./contexts.js";
+import { findUnprotectedProperties } from "./coverage.js";
+import { checkVerificationMethodBinding } from "./binding.js";
+import { createCheckList, summarizeChecks } from "./checks.js";
+import { didDocumentCache } from "./cache.js";
+import { isJwt } from "./jwt.js";
+import { fetchWithOptions } from "./network.js";
 
 /**
- * Custom document loader that handles JSON-LD contexts and DID documents
- * Caches results to improve performance and reduce network requests
- *
- * @param {string} url - The URL to load
- * @returns {Promise<Object>} The loaded document with contextUrl and document properties
+ * Get an identifier from a string or object-valued property
+ * @param {string|Object} value - The property value, e.g. issuer or holder
+ * @returns {string|null} The identifier
  */
-export async function loadUrlDocument(url) {
-  // Handle non-string URLs (already loaded documents)
-  if (typeof url !== "string") {
-    return {
-      contextUrl: null,
-      document: url,
-      documentUrl: url.id || "",
-    };
-  }
+function getId(value) {
+  return (
+    (typeof value === "object" && value !== null ? value.id : value) || null
+  );
+}
 
-  // Check cache first
-  if (documentCache.has(url)) {
-    return documentCache.get(url);
-  }
+/**
+ * Create an error for a document that could not be loaded
+ *
+ * @param {string} code - networkError if it could not be fetched at all,
+ *   documentLoadFailed otherwise
+ * @param {string} message - Human readable description naming the document
+ * @returns {Error} The error, with its code in `code`
+ */
+function documentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
-  try {
-    // For URNs and non-web DIDs, return the URL as the document ID
-    // This prevents null document errors during verification
-    if (
-      url.startsWith("urn:") ||
-      (url.startsWith("did:") && !url.startsWith("did:web:"))
-    ) {
-      const result = {
+/**
+ * Create a JSON-LD document loader
+ * DIDs and DID URLs go through the DID resolver; everything else is a
+ * context, served by contexts.js from the pinned bundle or the allowlisted
+ * network, unless `documents` says to load data documents instead.
+ * Nothing falls back silently: failures throw an error naming the document
+ * that couldn't be loaded.
+ *
+ * @param {Object} options - Loader options
+ * @param {Map<string, Object>} [options.relatedResource] - Expected context
+ *   digests, from getRelatedResourceDigests()
+ * @param {Object} [options.report] - Context report from createContextReport()
+ * @param {Object} [options.network] - { fetch, signal, timeout } for
+ *   everything loaded over the network, see network.js
+ * @param {Object} [options.documents] - Load HTTP(S) URLs as data
+ *   documents, e.g. status lists, rather than contexts: { cache, accept }
+ *   with the cache (cache.js) to keep them in and the Accept header to
+ *   request them with
+ * @returns {Function} A jsonld document loader
+ */
+export function createDocumentLoader({
+  relatedResource = new Map(),
+  report = null,
+  network = {},
+  documents = null,
+} = {}) {
+  return async (url) => {
+    // Handle non-string URLs (objects passed directly)
+    if (typeof url !== "string") {
+      return {
         contextUrl: null,
-        document: { "@id": url }, // Return minimal document instead of null
-        documentUrl: url,
+        document: url,
+        documentUrl: null,
       };
-      documentCache.set(url, result);
-      return result;
     }
 
-    // Handle did:web URLs by converting to HTTPS
-    if (url.startsWith("did:web:")) {
-      // Convert to HTTPS and fetch - ensure proper URL format
-      const didParts = url.replace("did:web:", "");
-      const httpsUrl = `https://${didParts.replace(/:/g, "/")}/did.json`;
-      try {
-        const response = await fetch(httpsUrl);
-        if (!response.ok) {
-          throw new Error(
-            `Failed to load DID document: ${response.statusText}`
-          );
-        }
-        const document = await response.json();
-        const result = {
-          contextUrl: null,
-          document: document,
-          documentUrl: url,
-        };
-        documentCache.set(url, result);
-        return result;
-      } catch (error) {
-        // Return minimal document on error (likely CORS)
-        const result = {
-          contextUrl: null,
-          document: { "@id": url },
-          documentUrl: url,
-        };
-        documentCache.set(url, result);
-        return result;
-      }
-    }
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to load document: ${response.statusText}`);
+    if (url.startsWith("did:")) {
+      return loadDidDocument(url, network);
     }
 
-    const document = await response.json();
-    const result = {
-      contextUrl: null,
-      document: document,
-      documentUrl: url,
-    };
-
-    // Cache the result
-    documentCache.set(url, result);
-    return result;
-  } catch (error) {
-    // For known contexts, return inline versions to avoid CORS issues
-    if (url === "https://www.w3.org/2018/credentials/v1") {
-      const result = {
+    // For URNs, return the URL as the document ID
+    // This prevents null document errors during verification
+    if (url.startsWith("urn:")) {
+      return {
         contextUrl: null,
-        document: { "@context": CONTEXTS.W3C_CREDENTIALS_V1 },
+        document: { "@id": url },
         documentUrl: url,
       };
-      documentCache.set(url, result);
-      return result;
     }
 
-    // Handle W3C security context
-    if (
-      url === "https://w3id.org/security/v2" ||
-      url === "https://w3id.org/security/v1"
-    ) {
-      const result = {
+    if (documents) {
+      return loadDataDocument(url, documents, network);
+    }
+
+    try {
+      const loaded = await loadContext(url, relatedResource.get(url), network);
+      if (report) {
+        report.record(url, loaded);
+      }
+      return {
         contextUrl: null,
-        document: { "@context": CONTEXTS.W3C_SECURITY },
+        document: loaded.document,
         documentUrl: url,
       };
-      documentCache.set(url, result);
-      return result;
+    } catch (error) {
+      if (report) {
+        report.record(url, { error: error.message, code: error.code });
+      }
+      throw error;
     }
-
-    // For any failed URL, return a simple valid response to prevent hanging
-    const result = {
-      contextUrl: null,
-      document: { "@context": CONTEXTS.FALLBACK },
-      documentUrl: url,
-    };
-    documentCache.set(url, result);
-    return result;
-  }
+  };
 }
 
 /**
- * Extract the public key from a DID document for a given verification method
- * Handles both embedded keys and referenced keys
+ * Fetch a data document, or take it from its cache
+ * JSON documents are parsed; a compact JWT is returned as its text.
+ * Error messages give the reason only; callers name the document.
  *
- * @param {string} verificationMethod - The verification method ID from the proof
- * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Object|null>} The public key object or null if not found
+ * @param {string} url - The document URL
+ * @param {Object} documents - { cache, accept }, see createDocumentLoader()
+ * @param {Object} network - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} A jsonld remote document
+ * @throws {Error} With code documentLoadFailed, or networkError if the
+ *   document could not be fetched at all
  */
-export async function getPublicKeyFromDID(
-  verificationMethod,
-  progressCallback
-) {
-  try {
-    if (progressCallback) {
-      progressCallback(
-        PROGRESS_STEPS.RESOLVE_DID,
-        `Resolving verification method: ${verificationMethod}`
-      );
-    }
-
-    // Extract the DID from the verification method
-    const did = verificationMethod.split("#")[0];
+async function loadDataDocument(url, { cache, accept }, network) {
+  const cached = cache.get(url);
+  if (cached) {
+    return cached;
+  }
+  if (!/^https?:\/\//.test(url)) {
+    throw documentError("documentLoadFailed", "not an HTTP(S) URL");
+  }
 
-    // Resolve the DID document using the document loader
-    const response = await loadUrlDocument(did);
-    const didDocument = response.document;
+  let response;
+  try {
+    response = await fetchWithOptions(
+      url,
+      { headers: { Accept: accept } },
+      network
+    );
+  } catch (error) {
+    throw documentError("networkError", error.message);
+  }
+  if (!response.ok) {
+    throw documentError(
+      "documentLoadFailed",
+      `${response.status} ${response.statusText}`
+    );
+  }
 
-    if (!didDocument || didDocument["@id"] === did) {
-      // Document couldn't be loaded (likely CORS)
-      throw new Error("Failed to fetch DID document");
+  const text = (await response.text()).trim();
+  let document = text;
+  if (!isJwt(text)) {
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw documentError("documentLoadFailed", "not valid JSON");
     }
+  }
 
-    // Find the specific verification method in the document
-    let publicKey = null;
-
-    // Check in various possible locations
-    const possibleArrays = [
-      didDocument.verificationMethod,
-      didDocument.authentication,
-      didDocument.assertionMethod,
-      didDocument.publicKey, // Legacy location
-    ];
-
-    for (const array of possibleArrays) {
-      if (array && Array.isArray(array)) {
-        const key = array.find(
-          (method) =>
-            method.id === verificationMethod ||
-            method.id === `#${verificationMethod.split("#")[1]}`
-        );
-        if (key) {
-          publicKey = key;
-          break;
-        }
-      }
-    }
+  const result = { contextUrl: null, document, documentUrl: url };
+  cache.set(url, result, "network");
+  return result;
+}
 
-    if (!publicKey) {
-      throw new Error(
-        `Verification method ${verificationMethod} not found in DID document`
-      );
-    }
+/**
+ * Dereference a DID or DID URL through the DID resolver
+ * Failures throw an error with the DID Resolution error code in `code`,
+ * which drivers set to networkError when the DID document could not be
+ * fetched
+ *
+ * @param {string} url - The DID URL
+ * @param {Object} network - Network options for the DID driver
+ * @returns {Promise<Object>} A jsonld remote document
+ */
+async function loadDidDocument(url, network) {
+  const cached = didDocumentCache.get(url);
+  if (cached) {
+    return cached;
+  }
 
-    return publicKey;
-  } catch (error) {
-    // Check if it's a CORS error
-    if (error.message.includes("Failed to fetch")) {
-      return null;
-    }
+  const { dereferencingMetadata, contentStream } = await dereferenceDidUrl(
+    url,
+    network
+  );
+  if (dereferencingMetadata.error) {
+    const { error: code, message } = dereferencingMetadata;
+    const error = new Error(
+      message
+        ? `DID resolution failed (${code}): ${message}`
+        : `DID resolution failed (${code})`
+    );
+    error.code = code;
     throw error;
   }
+
+  // Service endpoint URLs are loaded like any other URL
+  if (typeof contentStream === "string") {
+    return createDocumentLoader({ network })(contentStream);
+  }
+
+  const result = {
+    contextUrl: null,
+    document: contentStream,
+    documentUrl: url,
+  };
+  // Failures aren't cached, so a transient network error is retried
+  didDocumentCache.set(url, result, `did:${url.split(":")[1]} resolver`);
+  return result;
 }
 
 /**
- * Main function to verify a W3C Verifiable Credential
- * @param {Object} credential - The credential object to verify
- * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<Object>} Verification result object
+ * Default document loader, used wherever no context report is needed
+ * @type {Function}
+ */
+export const loadUrlDocument = createDocumentLoader();
+
+/**
+ * Resolve the DID document of a verification method
+ *
+ * @param {string} verificationMethod - The verification method ID from the proof
+ * @param {Object} [network] - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} The DID document
+ * @throws {Error} With a DID Resolution error code in `code`, or networkError
+ *   if the document could not be fetched (usually CORS)
  */
-export async function verifyCredentialSignature(
-  credential,
-  progressCallback = null
+export async function resolveDidDocument(verificationMethod, network = {}) {
+  const did = verificationMethod.split("#")[0];
+  const { document } = await loadDidDocument(did, network);
+  return document;
+}
+
+/**
+ * Run the DID resolution and key binding checks for a verification method
+ * The key must be authorized for the proof's relationship by the expected
+ * controller: the issuer of a credential or the holder of a presentation
+ *
+ * @param {string} verificationMethod - The verification method ID
+ * @param {Object} bindingOptions - { relationship, controller, role } for
+ *   checkVerificationMethodBinding
+ * @param {Object} checkList - From createCheckList()
+ * @param {Object} [network] - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object|null>} The bound public key, or null
+ */
+export async function checkVerificationMethod(
+  verificationMethod,
+  bindingOptions,
+  checkList,
+  network = {}
 ) {
-  try {
-    // Validate structure
-    if (!credential || !credential.proof) {
-      return {
-        verified: false,
-        error: "Invalid credential structure: missing proof",
-      };
-    }
+  const did = verificationMethod.split("#")[0];
+
+  // A key from another DID, or with no one to speak for, can't speak for
+  // the issuer; don't resolve it
+  if (did !== bindingOptions.controller) {
+    checkList.skip(
+      "didResolution",
+      bindingOptions.controller
+        ? `Not resolved: ${did} is not ${bindingOptions.role} ${bindingOptions.controller}`
+        : `Not resolved: there is no ${bindingOptions.role}`
+    );
+    const binding = checkVerificationMethodBinding(
+      null,
+      verificationMethod,
+      bindingOptions
+    );
+    checkList.record("keyBinding", describeBinding(binding));
+    return null;
+  }
 
-    if (progressCallback)
-      progressCallback(PROGRESS_STEPS.START, "Starting verification");
+  let didDocument = null;
+  const resolution = await checkList.run("didResolution", async () => {
+    didDocument = await resolveDidDocument(verificationMethod, network);
+    return {
+      status: "pass",
+      message: `Resolved ${did}`,
+      details: { did, didDocument },
+    };
+  });
+  if (resolution.status !== "pass") {
+    checkList.skip("keyBinding", "Not checked: the DID could not be resolved");
+    return null;
+  }
 
-    const { proof } = credential;
+  let binding = null;
+  await checkList.run("keyBinding", async () => {
+    binding = checkVerificationMethodBinding(
+      didDocument,
+      verificationMethod,
+      bindingOptions
+    );
+    return describeBinding(binding);
+  });
+  return binding && binding.bound ? binding.publicKey : null;
+}
 
-    // Check proof type
-    if (proof.type !== "Ed25519Signature2018") {
+/**
+ * Turn a key binding result into a check outcome
+ * @param {Object} binding - From checkVerificationMethodBinding
+ * @returns {Object} { status, code, message, details }
+ */
+function describeBinding(binding) {
+  return {
+    status: binding.bound ? "pass" : "fail",
+    code: binding.errorCode,
+    message: binding.bound
+      ? `Key bound to ${binding.controller || "signer"} via ${
+          binding.relationship
+        }`
+      : binding.error,
+    details: binding,
+  };
+}
+
+/**
+ * Create a document loader that serves the resolved public key
+ * Suites dereference proof.verificationMethod through the document loader,
+ * so the key found in the DID document is returned with the context for its
+ * key type; everything else goes through the given loader
+ *
+ * @param {Object} publicKey - The verification method from the DID document
+ * @param {Function} documentLoader - Loader for all other URLs
+ * @returns {Function} A jsonld document loader
+ */
+function createKeyDocumentLoader(publicKey, documentLoader) {
+  const keyContextUrl = getKeyContextUrl(publicKey.type);
+  const keyDocument = keyContextUrl
+    ? { "@context": keyContextUrl, ...publicKey }
+    : publicKey;
+
+  return async (url) => {
+    if (url === publicKey.id) {
       return {
-        verified: false,
-        error: `Unsupported proof type: ${proof.type}. Only Ed25519Signature2018 is supported.`,
+        contextUrl: null,
+        document: keyDocument,
+        documentUrl: url,
       };
     }
+    return documentLoader(url);
+  };
+}
 
-    if (progressCallback)
-      progressCallback(
-        PROGRESS_STEPS.CHECK_PROOF,
-        `Checking proof format: ${proof.type}`
-      );
+/**
+ * Find a property the VC Data Model requires that a document lacks
+ * Every credential and presentation needs `@context` and a `type` naming
+ * what it is; credentials also need an `issuer` and a `credentialSubject`
+ *
+ * @param {Object} document - The credential or presentation
+ * @returns {string|null} What is missing, or null
+ */
+function findMissingProperty(document) {
+  const types = [].concat(document.type || []);
+  if (!document["@context"]) {
+    return "Missing @context";
+  }
+  if (types.includes("VerifiablePresentation")) {
+    return null;
+  }
+  if (!types.includes("VerifiableCredential")) {
+    return "type must include VerifiableCredential or VerifiablePresentation";
+  }
+  if (!getId(document.issuer)) {
+    return "Missing issuer";
+  }
+  const subjects = [].concat(document.credentialSubject || []);
+  if (
+    !subjects.length ||
+    subjects.some((subject) => !subject || typeof subject !== "object")
+  ) {
+    return "Missing credentialSubject";
+  }
+  return null;
+}
 
-    // Resolve the DID
-    const publicKey = await getPublicKeyFromDID(
-      proof.verificationMethod,
-      progressCallback
-    );
+/**
+ * Check that a document is a credential or presentation with a proof this
+ * verifier can check
+ *
+ * @param {Object} document - The signed credential or presentation
+ * @returns {Object|null} { code, message } describing the problem, or null
+ */
+export function checkProofStructure(document) {
+  if (!document || typeof document !== "object") {
+    return { code: "invalidStructure", message: "Must be a JSON object" };
+  }
+  const missing = findMissingProperty(document);
+  if (missing) {
+    return { code: "invalidStructure", message: missing };
+  }
+  const { proof } = document;
+  if (Array.isArray(proof)) {
+    return {
+      code: "unsupportedProof",
+      message: "Proof sets with more than one proof are not supported",
+    };
+  }
+  if (!proof || !proof.type) {
+    return { code: "missingProof", message: "Missing proof" };
+  }
+  if (!proof.verificationMethod) {
+    return {
+      code: "invalidStructure",
+      message: "Missing proof.verificationMethod",
+    };
+  }
+  if (!getSuiteForProof(proof)) {
+    return {
+      code: "unsupportedProof",
+      message: `Unsupported proof type: ${describeProof(
+        proof
+      )}. Supported suites: ${getSupportedSuites().join(", ")}.`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Describe why jsonld-signatures rejected a proof
+ * @param {Object} error - The error from a jsigs result, or one it threw
+ * @returns {Object} { code, message } for the signature check
+ */
+function describeProofError(error) {
+  if (!error) {
+    return { code: "invalidSignature", message: "Invalid signature" };
+  }
+  // jsonld-signatures wraps the underlying errors
+  const errors =
+    Array.isArray(error.errors) && error.errors.length > 0
+      ? error.errors
+      : [error];
+
+  // Canonicalization runs in safe mode and rejects anything it would drop
+  const safeMode = errors.some((e) => e && e.name === "jsonld.ValidationError");
+  return {
+    code: safeMode ? "safeMode" : "invalidSignature",
+    message: errors.map((e) => (e && e.message) || String(e)).join(", "),
+  };
+}
 
-    if (!publicKey) {
+/**
+ * Check the Linked Data proof on a document for a given proof purpose
+ * Shared by credentials (assertionMethod) and presentations (authentication).
+ * Records the contexts, coverage, didResolution, keyBinding and signature
+ * checks; the proof structure must already have been checked with
+ * checkProofStructure()
+ *
+ * @param {Object} document - The signed document with an embedded proof
+ * @param {Object} purpose - The jsonld-signatures proof purpose to check
+ * @param {Object} [checkList] - From createCheckList(), to add the checks to
+ * @param {Object} [network] - { fetch, signal, timeout } for the contexts
+ *   and DID documents loaded, see network.js
+ * @returns {Promise<Object>} { verified, suite, checks, error }
+ */
+export async function verifyLinkedDataProof(
+  document,
+  purpose,
+  checkList = createCheckList(),
+  network = {}
+) {
+  const { proof } = document;
+  const suiteDefinition = getSuiteForProof(proof);
+  const checksBefore = checkList.checks.length;
+
+  // Contexts: expand the document, loading every context it uses from the
+  // pinned bundle or the allowlist. Digests the document declares in
+  // relatedResource are checked too.
+  const contextReport = createContextReport();
+  const contextLoader = createDocumentLoader({
+    relatedResource: getRelatedResourceDigests(document),
+    report: contextReport,
+    network,
+  });
+
+  const contexts = await checkList.run("contexts", async () => {
+    try {
+      await jsonld.expand(document, { documentLoader: contextLoader });
+    } catch (error) {
       return {
-        verified: false,
-        error: "Could not resolve verification method",
-        errors: ["CORS"],
+        status: "fail",
+        code: error.code || "invalidJsonLd",
+        message: error.message,
+        details: { entries: contextReport.entries },
       };
     }
-
-    // Create verification key
-    if (progressCallback)
-      progressCallback(PROGRESS_STEPS.CREATE_KEY, "Creating verification key");
-
-    const verificationKey = new Ed25519VerificationKey2018(publicKey);
-
-    // Set up verification suite
-    if (progressCallback)
-      progressCallback(
-        PROGRESS_STEPS.SETUP_SUITE,
-        "Setting up verification suite"
+    const remote = contextReport.entries.filter(
+      (entry) => entry.source === "network"
+    ).length;
+    return {
+      status: "pass",
+      message: `${
+        contextReport.entries.length - remote
+      } from bundle, ${remote} from network`,
+      details: { entries: contextReport.entries },
+    };
+  });
+
+  // Coverage: properties the signature doesn't protect
+  if (contexts.status !== "pass") {
+    checkList.skip("coverage", "Not checked: contexts could not be loaded");
+  } else {
+    await checkList.run("coverage", async () => {
+      const properties = await findUnprotectedProperties(
+        document,
+        contextLoader
       );
-
-    const suite = new Ed25519Signature2018({
-      key: verificationKey,
-      verificationMethod: publicKey.id,
+      const dropped = properties.filter(
+        (property) =>
+          property.reason === "dropped" || property.reason === "relativeType"
+      );
+      return {
+        status: dropped.length ? "fail" : "pass",
+        code: "unprotectedProperties",
+        message: dropped.length
+          ? `Properties not protected by the signature: ${dropped
+              .map((property) => property.path)
+              .join(", ")}`
+          : properties.length
+          ? `${properties.length} ${
+              properties.length === 1 ? "property" : "properties"
+            } mapped to an undefined vocabulary`
+          : "All properties are protected by the signature",
+        details: { properties },
+      };
     });
+  }
 
-    // Perform verification
-    if (progressCallback)
-      progressCallback(PROGRESS_STEPS.VERIFY, "Verifying signature");
-
-    try {
-      // Create a timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(
-          () => reject(new Error("Verification timeout after 10 seconds")),
-          10000
-        );
-      });
+  // DID resolution and key binding
+  const isPresentation = purpose.term === "authentication";
+  const publicKey = await checkVerificationMethod(
+    proof.verificationMethod,
+    {
+      relationship: purpose.term,
+      controller: getId(isPresentation ? document.holder : document.issuer),
+      role: isPresentation ? "holder" : "issuer",
+    },
+    checkList,
+    network
+  );
+
+  // Signature, only once everything it depends on has passed
+  const blocked = checkList.checks
+    .slice(checksBefore)
+    .find((check) => check.status !== "pass");
+  if (!publicKey || blocked) {
+    checkList.skip(
+      "signature",
+      `Not checked: ${blocked ? blocked.name : "keyBinding"} did not pass`
+    );
+  } else {
+    await checkList.run("signature", async () => {
+      const suite = await suiteDefinition.createSuite(publicKey);
+      const documentLoader = createKeyDocumentLoader(publicKey, contextLoader);
 
-      // Race between verification and timeout
-      const result = await Promise.race([
-        jsigs.verify(credential, {
+      // The check list times out canonicalization that runs too long
+      let result;
+      try {
+        result = await jsigs.verify(document, {
           suite,
-          purpose: new jsigs.purposes.AssertionProofPurpose(),
-          documentLoader: loadUrlDocument,
-        }),
-        timeoutPromise,
-      ]);
-
-      return result;
-    } catch (verifyError) {
-      // Check if it's a timeout
-      if (verifyError.message.includes("timeout")) {
-        return {
-          verified: false,
-          error:
-            "Verification timed out. This may be due to network issues or complex credential processing.",
-          errorType: "TIMEOUT",
-        };
+          purpose,
+          documentLoader,
+        });
+      } catch (error) {
+        result = { verified: false, error };
       }
 
-      throw verifyError;
-    }
-  } catch (error) {
-    // Check for specific error types
-    if (
-      error.name === "jsonld.ValidationError" &&
-      error.message.includes("Safe mode")
-    ) {
-      // For safe mode errors, return a more informative result
+      if (!result.verified) {
+        // A context that failed to load is the real cause of the failure
+        const failedContext = contextReport.entries.find(
+          (entry) => entry.source === "error"
+        );
+        if (failedContext) {
+          return {
+            status: "fail",
+            code: failedContext.code || "contextLoadFailed",
+            message: failedContext.error,
+          };
+        }
+        return { status: "fail", ...describeProofError(result.error) };
+      }
       return {
-        verified: false,
-        error:
-          "JSON-LD safe mode validation error. This typically occurs when the credential contains certain URL patterns that trigger browser security restrictions. In a production environment, this verification would be performed server-side.",
-        errorType: "SAFE_MODE",
-        originalError: error.message,
+        status: "pass",
+        message: `Signature is valid (${suiteDefinition.label})`,
       };
-    }
+    });
+  }
 
-    return {
-      verified: false,
-      error: error.message || error,
-    };
+  const checks = checkList.checks.slice(checksBefore);
+  return {
+    ...summarizeChecks(checks),
+    suite: suiteDefinition.label,
+    checks,
+  };
+}
+
+/**
+ * Verify the proof of a credential with the assertionMethod purpose
+ * Used where only the issuer's signature matters, e.g. for status lists
+ *
+ * @param {Object} credential - The credential object to verify
+ * @param {Object} [network] - { fetch, signal, timeout }, see network.js
+ * @returns {Promise<Object>} { verified, status, suite, checks, error }
+ */
+export async function verifyCredentialSignature(credential, network = {}) {
+  const problem = checkProofStructure(credential);
+  if (problem) {
+    const checkList = createCheckList();
+    checkList.record("structure", { status: "fail", ...problem });
+    return { ...summarizeChecks(checkList.checks), checks: checkList.checks };
   }
+
+  return verifyLinkedDataProof(
+    credential,
+    new jsigs.purposes.AssertionProofPurpose(),
+    createCheckList(),
+    network
+  );
 }
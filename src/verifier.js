@@ -0,0 +1,744 @@
+/**
+ * Headless Verifier
+ *
+ * This file is the entry point for verifying without the UI, in Node or
+ * the browser. verify() takes a credential or presentation as an object, a
+ * JSON string or a compact JWT and returns a structured result:
+ *
+ *   {
+ *     kind: "credential",          // or "presentation"
+ *     format: "ldp",               // or "jwt"
+ *     status: "verified",          // or "failed", "indeterminate"
+ *     verified: true,
+ *     error: null,                 // { check, code, message } on failure
+ *     suite: "Ed25519Signature2020",
+ *     credential: {...},
+ *     checks: [{ name, status, code, message, durationMs, details }],
+ *     profile: { status: "valid", profiles: [...] },
+ *     domainLinkage: { status: "verified", domains: [...] },
+ *     durationMs: 42
+ *   }
+ *
+ * Files given in `evidence` are checked against the hashes the credential
+ * declares for its attachments (evidence.js), and the credential against
+ * the JSON Schemas it declares (schemas.js). A `policy` decides whether
+ * the issuer is trusted and what else the credential must meet
+ * (policy.js).
+ *
+ * `profile` is the credential checked against the profiles that apply to
+ * its type (profiles.js). Profile issues are reported there, not as
+ * checks, and don't change `status`. Neither does `domainLinkage`: the
+ * web domains the issuer's DID is verifiably linked to (linkage.js), or
+ * null if not checked.
+ *
+ * Checks run in the order listed in checks.js, network and canonicalization
+ * checks against per-phase timeouts. Everything loaded over the network is
+ * fetched with the `fetch`, `signal` and network timeout given
+ * (network.js). Presentations add `holder`,
+ * `challenge`, `domain` and one credential result per embedded credential
+ * in `credentials`, each with its own holderBinding check. A failed
+ * credential fails the presentation, and `error.credential` is its index.
+ */
+
+import jsigs from "jsonld-signatures";
+import { checkProofStructure, verifyLinkedDataProof } from "./verification.js";
+import { decodeJwtCredential, isJwt, verifyJwtCredential } from "./jwt.js";
+import { describeProof } from "./suites.js";
+import { checkCredentialStatus } from "./status.js";
+import { checkValidityPeriod } from "./validity.js";
+import { checkEvidenceFiles, getDeclaredEvidence } from "./evidence.js";
+import { validateProfiles } from "./profiles.js";
+import { getCredentialSchemas, validateCredentialSchemas } from "./schemas.js";
+import { applyPolicy } from "./policy.js";
+import { verifyDomainLinkage } from "./linkage.js";
+import { getIssuer } from "./datamodel.js";
+import {
+  checkHolderBinding,
+  decodeEnvelopedCredential,
+  getEmbeddedCredentials,
+  isEnvelopedCredential,
+  isPresentation,
+} from "./presentation.js";
+import {
+  DEFAULT_TIMEOUTS,
+  INDETERMINATE_CODES,
+  createCheckList,
+  summarizeChecks,
+} from "./checks.js";
+
+// Check codes per validity period outcome
+const VALIDITY_CODES = {
+  expired: "expired",
+  notYetValid: "notYetValid",
+  invalid: "invalidValidityPeriod",
+};
+
+/**
+ * Milliseconds since an arbitrary origin, for timings
+ * @returns {number} The current time
+ */
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Get an identifier from a string or object-valued property
+ * @param {string|Object} value - The property value
+ * @returns {string|null} The identifier
+ */
+function getId(value) {
+  return (
+    (typeof value === "object" && value !== null ? value.id : value) || null
+  );
+}
+
+/**
+ * Create a check list with the progress, abort and timeout options
+ * @param {Object} options - Verification options, see verify()
+ * @param {number} [credential] - Index of the credential in a presentation;
+ *   its progress events carry it in `credential`
+ * @returns {Object} The check list
+ */
+function createOptionsCheckList(options, credential) {
+  const { onProgress = null, signal = null, timeouts = {} } = options;
+  const report =
+    onProgress && credential !== undefined
+      ? (event) => onProgress({ ...event, credential })
+      : onProgress;
+  return createCheckList(report, { signal, timeouts });
+}
+
+/**
+ * Get the network options of a verification
+ * @param {Object} options - Verification options, see verify()
+ * @returns {Object} { fetch, signal, timeout } for everything loaded over
+ *   the network, see network.js
+ */
+function getNetworkOptions(options) {
+  const { fetch = null, signal = null, timeouts = {} } = options;
+  return {
+    fetch,
+    signal,
+    timeout: timeouts.network || DEFAULT_TIMEOUTS.network,
+  };
+}
+
+/**
+ * Verify a credential the verified credential refers to, e.g. a schema or
+ * trust list credential
+ * It is verified with the same time, fetch, signal and timeouts, but
+ * without schema and domain linkage checks, so references can't chain
+ *
+ * @param {Object|string} document - The credential or compact JWT
+ * @param {Object} options - Verification options, see verify()
+ * @returns {Promise<Object>} The verify() result
+ */
+function verifyReferencedCredential(document, options) {
+  const { at, clockSkew, fetch, signal, timeouts } = options;
+  return verify(document, {
+    at,
+    clockSkew,
+    fetch,
+    signal,
+    timeouts,
+    checkSchemas: false,
+    checkDomainLinkage: false,
+  });
+}
+
+/**
+ * Turn the input into a document or a compact JWT
+ *
+ * @param {Object|string} input - A parsed document, JSON text or compact JWT
+ * @returns {Object} { document } or { token }, or { error } if the input
+ *   can't be parsed
+ */
+function parseInput(input) {
+  let value = input;
+  if (typeof input === "string") {
+    const text = input.trim();
+    if (isJwt(text)) {
+      return { token: text };
+    }
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return { document: value };
+  }
+  return {
+    error: "Input must be a JSON object, JSON text or a compact JWT",
+  };
+}
+
+/**
+ * Record the validity period check
+ *
+ * @param {Object} document - The credential or presentation
+ * @param {Object} validityOptions - { at, clockSkew }
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object>} The recorded check
+ */
+function checkValidity(document, validityOptions, checkList) {
+  return checkList.run("validityPeriod", async () => {
+    const validity = checkValidityPeriod(document, validityOptions);
+    return {
+      status: validity.verified ? "pass" : "fail",
+      code: VALIDITY_CODES[validity.status],
+      message: validity.verified
+        ? `Valid as of ${validity.at}`
+        : validity.error,
+      details: validity,
+    };
+  });
+}
+
+/**
+ * Record the revocation and suspension status check
+ * Status only matters once the issuer's signature is known to be good
+ *
+ * @param {Object} credential - The credential
+ * @param {boolean} signed - Whether the signature check passed
+ * @param {Object} options - Verification options, see verify(); at and
+ *   clockSkew apply to the status lists too
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object>} The recorded check
+ */
+function checkStatus(credential, signed, options, checkList) {
+  if (!credential.credentialStatus) {
+    return checkList.skip("status", "Credential has no credentialStatus");
+  }
+  if (!signed) {
+    return checkList.skip("status", "Not checked: signature did not pass");
+  }
+
+  return checkList.run("status", async () => {
+    const status = await checkCredentialStatus(credential, {
+      at: options.at,
+      clockSkew: options.clockSkew,
+      ...getNetworkOptions(options),
+    });
+    const outcomes = {
+      valid: { status: "pass", message: "Not revoked or suspended" },
+      revoked: {
+        status: "fail",
+        code: "revoked",
+        message: "Credential has been revoked",
+      },
+      suspended: {
+        status: "fail",
+        code: "suspended",
+        message: "Credential is suspended",
+      },
+      error: {
+        status: "fail",
+        code: status.code,
+        message:
+          status.code === "statusUnavailable"
+            ? `Status could not be checked: ${status.error}`
+            : status.error,
+      },
+    };
+    return { ...outcomes[status.status], details: status };
+  });
+}
+
+/**
+ * Record the check of the credential against its credentialSchema entries
+ * Schema credentials are verified with verifyReferencedCredential(), so
+ * not against schemas of their own
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} options - Verification options, see verify()
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object>} The recorded check
+ */
+function checkSchemas(credential, options, checkList) {
+  if (!getCredentialSchemas(credential).length) {
+    return checkList.skip("schema", "Credential declares no credentialSchema");
+  }
+  if (options.checkSchemas === false) {
+    return checkList.skip("schema", "Not checked: schema checks are off");
+  }
+
+  return checkList.run("schema", async () => {
+    const entries = await validateCredentialSchemas(credential, {
+      verifyCredential: (document) =>
+        verifyReferencedCredential(document, options),
+      ...getNetworkOptions(options),
+    });
+    const failed = entries.filter((entry) => entry.status === "fail");
+    const passed = entries.filter((entry) => entry.status === "pass");
+    if (failed.length) {
+      const decisive =
+        failed.find((entry) => !INDETERMINATE_CODES.includes(entry.code)) ||
+        failed[0];
+      return {
+        status: "fail",
+        code: decisive.code,
+        message: failed.map((entry) => entry.message).join("; "),
+        details: { entries },
+      };
+    }
+    return {
+      status: passed.length ? "pass" : "skip",
+      message: (passed.length ? passed : entries)
+        .map((entry) => entry.message)
+        .join("; "),
+      details: { entries },
+    };
+  });
+}
+
+/**
+ * Record the check of attached files against the credential's hashes
+ *
+ * @param {Object} credential - The credential
+ * @param {Array<Object>} files - Attached files as { name, bytes }
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object>} The recorded check
+ */
+function checkEvidence(credential, files, checkList) {
+  const declared = getDeclaredEvidence(credential).length;
+  if (!declared) {
+    return checkList.skip(
+      "evidence",
+      files.length
+        ? "Credential declares no file hashes to check the attached files against"
+        : "Credential declares no file hashes"
+    );
+  }
+  if (!files.length) {
+    return checkList.skip(
+      "evidence",
+      `Credential declares ${declared} file hash${
+        declared === 1 ? "" : "es"
+      }; attach the files to check them`
+    );
+  }
+
+  return checkList.run("evidence", async () => {
+    const evidence = await checkEvidenceFiles(credential, files);
+    const failed = evidence.entries.filter((entry) => entry.status === "fail");
+    const passed = evidence.entries.filter((entry) => entry.status === "pass");
+    if (failed.length) {
+      return {
+        status: "fail",
+        code: "evidenceMismatch",
+        message: failed.map((entry) => entry.message).join("; "),
+        details: evidence,
+      };
+    }
+    return {
+      status: passed.length ? "pass" : "skip",
+      message: passed.length
+        ? `${passed.length} of ${declared} declared file${
+            declared === 1 ? "" : "s"
+          } attached and matching`
+        : "No attached file matches a declared file",
+      details: evidence,
+    };
+  });
+}
+
+/**
+ * Record the check of the credential against the verification policy
+ * Trust list credentials are verified with verifyReferencedCredential(),
+ * so without the policy
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} context - { suite, format } of the verification
+ * @param {Object} options - Verification options, see verify()
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object>} The recorded check
+ */
+function checkPolicy(credential, { suite, format }, options, checkList) {
+  if (!options.policy) {
+    return checkList.skip(
+      "policy",
+      "No verification policy: the issuer is not checked against a trust list"
+    );
+  }
+  const signature = checkList.checks.find(
+    (check) => check.name === "signature"
+  );
+  if (!signature || signature.status !== "pass") {
+    return checkList.skip("policy", "Not checked: signature did not pass");
+  }
+
+  return checkList.run("policy", () =>
+    applyPolicy(credential, options.policy, {
+      suite,
+      format,
+      checks: checkList.checks,
+      at: options.at ? new Date(options.at) : new Date(),
+      verifyCredential: (document) =>
+        verifyReferencedCredential(document, options),
+      ...getNetworkOptions(options),
+    })
+  );
+}
+
+/**
+ * Verify the domains the issuer's DID is linked to
+ * Only done once the signature is valid, as the issuer is otherwise not
+ * known. Linkage credentials are verified without linkage of their own,
+ * as their issuer is the same DID.
+ *
+ * @param {Object} credential - The credential
+ * @param {Object} options - Verification options, see verify()
+ * @param {Object} checkList - From createCheckList()
+ * @returns {Promise<Object|null>} From verifyDomainLinkage(), or null if
+ *   not checked
+ */
+async function checkDomainLinkage(credential, options, checkList) {
+  const issuer = getIssuer(credential).id;
+  const signature = checkList.checks.find(
+    (check) => check.name === "signature"
+  );
+  if (
+    options.checkDomainLinkage === false ||
+    typeof issuer !== "string" ||
+    !issuer.startsWith("did:") ||
+    !signature ||
+    signature.status !== "pass"
+  ) {
+    return null;
+  }
+
+  return verifyDomainLinkage(issuer, {
+    verifyCredential: (document) =>
+      verifyReferencedCredential(document, options),
+    ...getNetworkOptions(options),
+  });
+}
+
+/**
+ * Verify a credential and record its checks
+ *
+ * @param {Object} parsed - { document } or { token } from parseInput()
+ * @param {Object} options - Verification options, see verify()
+ * @param {Object} checkList - From createCheckList()
+ * @param {Function} [holderCheck] - Records extra checks after the signature,
+ *   e.g. holder binding for credentials in a presentation
+ * @returns {Promise<Object>} The credential result
+ */
+async function verifyCredentialInput(
+  parsed,
+  options,
+  checkList,
+  holderCheck = null
+) {
+  const start = now();
+  const format = parsed.token ? "jwt" : "ldp";
+  let credential = null;
+  let suite = null;
+  let domainLinkage = null;
+
+  if (parsed.token) {
+    const result = await verifyJwtCredential(
+      parsed.token,
+      checkList,
+      getNetworkOptions(options)
+    );
+    ({ credential, suite } = result);
+  } else {
+    credential = parsed.document;
+    const problem = checkProofStructure(credential);
+    checkList.record(
+      "structure",
+      problem
+        ? { status: "fail", ...problem }
+        : {
+            status: "pass",
+            message: `Proof type: ${describeProof(credential.proof)}`,
+          }
+    );
+    if (!problem) {
+      const result = await verifyLinkedDataProof(
+        credential,
+        new jsigs.purposes.AssertionProofPurpose(),
+        checkList,
+        getNetworkOptions(options)
+      );
+      suite = result.suite;
+    }
+  }
+
+  // Without a decoded credential there is nothing left to check
+  if (credential) {
+    if (holderCheck) {
+      holderCheck(credential);
+    }
+    await checkValidity(credential, options, checkList);
+    const signature = checkList.checks.find(
+      (check) => check.name === "signature"
+    );
+    await checkStatus(
+      credential,
+      Boolean(signature && signature.status === "pass"),
+      options,
+      checkList
+    );
+    await checkSchemas(credential, options, checkList);
+    await checkEvidence(credential, options.evidence || [], checkList);
+    await checkPolicy(credential, { suite, format }, options, checkList);
+    domainLinkage = await checkDomainLinkage(credential, options, checkList);
+  }
+
+  return {
+    kind: "credential",
+    format,
+    ...summarizeChecks(checkList.checks),
+    suite,
+    credential,
+    checks: checkList.checks,
+    profile: credential ? validateProfiles(credential) : null,
+    domainLinkage,
+    durationMs: Math.round(now() - start),
+  };
+}
+
+/**
+ * Verify a presentation and every credential it contains
+ *
+ * @param {Object} presentation - The presentation
+ * @param {Object} options - Verification options, see verify()
+ * @returns {Promise<Object>} The presentation result
+ */
+async function verifyPresentationInput(presentation, options) {
+  const start = now();
+  const { challenge, domain, requireHolderBinding = true } = options;
+  const checkList = createOptionsCheckList(options);
+  const holder = getId(presentation.holder);
+  let suite = null;
+
+  const problem =
+    typeof challenge !== "string" || !challenge
+      ? {
+          code: "missingChallenge",
+          message: "A challenge is required to verify a presentation",
+        }
+      : checkProofStructure(presentation);
+  checkList.record(
+    "structure",
+    problem
+      ? { status: "fail", ...problem }
+      : {
+          status: "pass",
+          message: `Proof type: ${describeProof(presentation.proof)}`,
+        }
+  );
+
+  // Verify the presentation proof itself; its key must be the holder's
+  if (!problem) {
+    const result = await verifyLinkedDataProof(
+      presentation,
+      new jsigs.purposes.AuthenticationProofPurpose({
+        challenge,
+        domain: domain || undefined,
+      }),
+      checkList,
+      getNetworkOptions(options)
+    );
+    suite = result.suite;
+  }
+
+  // The presentation proof may itself have expired
+  await checkValidity(presentation, options, checkList);
+
+  // Verify each embedded credential, with its own check list
+  const credentials = [];
+  for (const entry of getEmbeddedCredentials(presentation)) {
+    const parsed =
+      typeof entry === "string" && isJwt(entry)
+        ? { token: entry }
+        : entry && typeof entry === "object" && !isEnvelopedCredential(entry)
+        ? { document: entry }
+        : null;
+    const credentialChecks = createOptionsCheckList(
+      options,
+      credentials.length
+    );
+
+    if (!parsed) {
+      // Enveloped credentials that are still objects hold no usable JWT
+      credentialChecks.record("structure", {
+        status: "fail",
+        ...(isEnvelopedCredential(entry)
+          ? decodeEnvelopedCredential(entry)
+          : {
+              code: "invalidPresentation",
+              message:
+                "Embedded credential is neither an object nor a compact JWT",
+            }),
+      });
+      credentials.push({
+        kind: "credential",
+        format: null,
+        ...summarizeChecks(credentialChecks.checks),
+        suite: null,
+        credential: null,
+        checks: credentialChecks.checks,
+        profile: null,
+        domainLinkage: null,
+        durationMs: 0,
+      });
+      continue;
+    }
+
+    credentials.push(
+      await verifyCredentialInput(
+        parsed,
+        options,
+        credentialChecks,
+        (credential) => {
+          const binding = checkHolderBinding(credential, holder);
+          const enforced = requireHolderBinding || credential.nonTransferable;
+          credentialChecks.record(
+            "holderBinding",
+            binding.status === "fail" && !enforced
+              ? {
+                  status: "skip",
+                  message: `Not required: ${binding.message}`,
+                }
+              : binding
+          );
+        }
+      )
+    );
+  }
+
+  // Any failed credential fails the presentation; its error says which one
+  const summary = summarizeChecks(checkList.checks);
+  const outcomes = [
+    summary,
+    ...credentials.map((credential, index) => ({
+      status: credential.status,
+      verified: credential.verified,
+      error: credential.error
+        ? { ...credential.error, credential: index }
+        : null,
+    })),
+  ];
+  const outcome =
+    outcomes.find((entry) => entry.status === "failed") ||
+    outcomes.find((entry) => entry.status === "indeterminate") ||
+    summary;
+
+  return {
+    kind: "presentation",
+    format: "ldp",
+    ...outcome,
+    suite,
+    holder,
+    challenge: challenge || null,
+    domain: domain || null,
+    presentation,
+    checks: checkList.checks,
+    credentials,
+    durationMs: Math.round(now() - start),
+  };
+}
+
+/**
+ * Verify a credential or presentation
+ *
+ * @param {Object|string} input - The document as an object or JSON text, or
+ *   a credential as a compact JWT
+ * @param {Object} [options] - Verification options
+ * @param {Date} [options.at] - Verification time for validity periods,
+ *   defaults to now
+ * @param {number} [options.clockSkew] - Clock skew tolerance in seconds
+ * @param {string} [options.challenge] - The challenge a presentation proof
+ *   must carry; required for presentations
+ * @param {string} [options.domain] - The domain a presentation proof must carry
+ * @param {boolean} [options.requireHolderBinding=true] - Fail presented
+ *   credentials whose subject isn't the holder
+ * @param {Array<Object>} [options.evidence] - Files attached to the
+ *   credential, as { name, bytes } with bytes as a Uint8Array; checked
+ *   against the hashes it declares
+ * @param {boolean} [options.checkSchemas=true] - Validate credentials
+ *   against the schemas in their credentialSchema
+ * @param {boolean} [options.checkDomainLinkage=true] - Verify the domains
+ *   the issuer's DID document links to
+ * @param {Object} [options.policy] - Verification policy: trusted and
+ *   blocked issuers, trust lists and further rules; see policy.js
+ * @param {Function} [options.onProgress] - Called with { check, phase,
+ *   result } as checks start ("start") and finish ("end"); events for a
+ *   credential in a presentation carry its index in `credential`
+ * @param {Function} [options.fetch] - The fetch() for everything loaded over
+ *   the network, e.g. one that refuses some hosts; defaults to the global
+ *   fetch()
+ * @param {AbortSignal} [options.signal] - Cancels the verification
+ * @param {Object} [options.timeouts] - Timeouts in milliseconds for checks
+ *   waiting on the network and for canonicalization, as { network,
+ *   canonicalization }; a check that runs out of time fails with "timeout"
+ * @returns {Promise<Object>} The verification result, see above
+ * @throws {Error} An AbortError if the signal is aborted
+ */
+export async function verify(input, options = {}) {
+  const parsed = parseInput(input);
+
+  if (parsed.error) {
+    const checkList = createOptionsCheckList(options);
+    checkList.record("structure", {
+      status: "fail",
+      code: "invalidInput",
+      message: parsed.error,
+    });
+    return {
+      kind: null,
+      format: null,
+      ...summarizeChecks(checkList.checks),
+      suite: null,
+      checks: checkList.checks,
+      durationMs: 0,
+    };
+  }
+
+  if (parsed.document && isPresentation(parsed.document)) {
+    return verifyPresentationInput(parsed.document, options);
+  }
+
+  return verifyCredentialInput(
+    parsed,
+    options,
+    createOptionsCheckList(options)
+  );
+}
+
+/**
+ * Decode a credential or presentation for display, without verifying it
+ *
+ * @param {Object|string} input - The document, JSON text or compact JWT
+ * @returns {Object} { kind, format, document, header } or { error }
+ */
+export function parseDocument(input) {
+  const parsed = parseInput(input);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  if (parsed.token) {
+    try {
+      const { header, credential } = decodeJwtCredential(parsed.token);
+      return {
+        kind: "credential",
+        format: "jwt",
+        document: credential,
+        header,
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  return {
+    kind: isPresentation(parsed.document) ? "presentation" : "credential",
+    format: "ldp",
+    document: parsed.document,
+    header: null,
+  };
+}
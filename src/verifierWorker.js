@@ -0,0 +1,329 @@
+/**
+ * Verification Worker Client
+ *
+ * Runs verify() in a Web Worker (worker.js) and keeps the page responsive
+ * while it works:
+ * - progress events are streamed back to the caller's onProgress
+ * - an AbortSignal cancels a verification by terminating the worker
+ * - a watchdog enforces the per-phase timeouts even when canonicalization
+ *   keeps the worker too busy to notice its own timers
+ *
+ * A worker that is terminated to stop one call is replaced right away, and
+ * the other calls it was running are sent to the new worker.
+ *
+ * Messages to the worker are { id, method, args }; replies are
+ * { id, type: "progress", event }, { id, type: "result", value } or
+ * { id, type: "error", error }.
+ *
+ * Where Web Workers aren't available, everything runs on the main thread.
+ *
+ * The worker has its own registries: registerDidMethod(), registerSuite()
+ * and other register calls on the page don't reach it.
+ * Register in extensions.js instead, which the worker imports on start.
+ */
+
+import { verify } from "./verifier.js";
+import { inspectProof } from "./inspector.js";
+import { describeClaims } from "./claims.js";
+import { getContextLoaderConfig } from "./contexts.js";
+import {
+  clearCaches,
+  disableCachePersistence,
+  enableCachePersistence,
+  evictCacheEntry,
+  listCacheEntries,
+} from "./cache.js";
+import { CHECK_PHASES, DEFAULT_TIMEOUTS } from "./checks.js";
+
+// Time the worker gets to report a timeout itself before it is stopped
+const WATCHDOG_GRACE = 1000;
+
+// Functions called in place of the worker's where there are no workers
+const IN_THREAD_METHODS = {
+  inspectProof,
+  describeClaims,
+  listCacheEntries,
+  evictCacheEntry,
+  clearCaches,
+  enableCachePersistence,
+  disableCachePersistence,
+};
+
+/**
+ * Create an error with a name and code
+ * @param {string} name - Error name, e.g. "AbortError"
+ * @param {string} code - Error code, e.g. "timeout"
+ * @param {string} message - Human readable description
+ * @returns {Error} The error
+ */
+function workerError(name, code, message) {
+  const error = new Error(message);
+  error.name = name;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a client for the verification worker
+ * The worker starts on first use
+ *
+ * @param {Object} [options] - Client options
+ * @param {Function} [options.onStart] - Called with the client whenever a
+ *   worker starts, e.g. to restore settings after a cancelled verification
+ * @returns {Object} { verify(input, options), inspectProof(document),
+ *   describeClaims(credential), call(method, ...args), terminate() }
+ */
+export function createVerifierWorker({ onStart = null } = {}) {
+  const pending = new Map();
+  let worker = null;
+  let nextId = 0;
+
+  /**
+   * Stop the worker and fail everything still waiting on it
+   * @param {Error} reason - The error pending calls reject with
+   */
+  const stop = (reason) => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    for (const entry of pending.values()) {
+      entry.settle();
+      entry.reject(reason);
+    }
+    pending.clear();
+  };
+
+  /**
+   * Stop one call
+   * A busy worker can't be interrupted, so it is replaced and the other
+   * pending calls start over on the new one
+   *
+   * @param {number} id - The request id
+   * @param {Error} reason - The error the call rejects with
+   */
+  const stopCall = (id, reason) => {
+    const entry = pending.get(id);
+    if (!entry) {
+      return;
+    }
+    pending.delete(id);
+    entry.settle();
+    entry.reject(reason);
+
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    const others = [...pending];
+    if (others.length) {
+      const target = ensureWorker();
+      for (const [otherId, other] of others) {
+        other.restart();
+        target.postMessage({
+          id: otherId,
+          method: other.method,
+          args: other.args,
+        });
+      }
+    }
+  };
+
+  const handleMessage = ({ data }) => {
+    const entry = pending.get(data.id);
+    if (!entry) {
+      return;
+    }
+    if (data.type === "progress") {
+      entry.onProgress(data.event);
+      return;
+    }
+    pending.delete(data.id);
+    entry.settle();
+    if (data.type === "result") {
+      entry.resolve(data.value);
+    } else {
+      const { name, code, message } = data.error;
+      entry.reject(workerError(name, code, message));
+    }
+  };
+
+  const ensureWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL("./worker.js", import.meta.url), {
+        type: "module",
+      });
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        event.preventDefault();
+        stop(
+          workerError(
+            "Error",
+            "workerError",
+            `Verification worker failed: ${event.message}`
+          )
+        );
+      };
+      if (onStart) {
+        onStart(client);
+      }
+    }
+    return worker;
+  };
+
+  /**
+   * Send a request to the worker
+   * @param {string} method - A worker method
+   * @param {Array} args - Its arguments
+   * @param {Object} [hooks] - { onProgress, settle, restart } for the
+   *   request; restart is called when it starts over on a new worker
+   * @param {number} [id] - The request id, if the caller needs it
+   * @returns {Promise<*>} The method's result
+   */
+  const request = (method, args, hooks = {}, id = nextId++) => {
+    const target = ensureWorker();
+    return new Promise((resolve, reject) => {
+      pending.set(id, {
+        method,
+        args,
+        resolve,
+        reject,
+        onProgress: hooks.onProgress || (() => {}),
+        settle: hooks.settle || (() => {}),
+        restart: hooks.restart || (() => {}),
+      });
+      target.postMessage({ id, method, args });
+    });
+  };
+
+  const client = {
+    /**
+     * Verify a credential or presentation in the worker
+     * Takes the options of verify(). Rejects with an AbortError when the
+     * signal is aborted, and with a "timeout" error when the watchdog had
+     * to stop a check that ran past its phase's timeout.
+     *
+     * @param {Object|string} input - The input as given to verify()
+     * @param {Object} [options] - Options for verify()
+     * @returns {Promise<Object>} The verification result
+     */
+    verify(input, options = {}) {
+      if (typeof Worker === "undefined") {
+        return verify(input, options);
+      }
+
+      const { onProgress = null, signal = null, ...rest } = options;
+      if (signal && signal.aborted) {
+        return Promise.reject(
+          workerError("AbortError", "aborted", "Verification was cancelled")
+        );
+      }
+      const timeouts = { ...DEFAULT_TIMEOUTS, ...rest.timeouts };
+      const id = nextId++;
+
+      // One watchdog per running check, keyed by credential and check
+      const watchdogs = new Map();
+      const clearWatchdogs = () => {
+        watchdogs.forEach((timer) => clearTimeout(timer));
+        watchdogs.clear();
+      };
+      const onAbort = () =>
+        stopCall(
+          id,
+          workerError("AbortError", "aborted", "Verification was cancelled")
+        );
+      const settle = () => {
+        clearWatchdogs();
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+      };
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+
+      return request(
+        "verify",
+        [input, rest, getContextLoaderConfig()],
+        {
+          settle,
+          restart: clearWatchdogs,
+          onProgress: (event) => {
+            const key = `${event.credential}:${event.check}`;
+            const phase = CHECK_PHASES[event.check];
+            if (event.phase === "start" && phase && timeouts[phase]) {
+              watchdogs.set(
+                key,
+                setTimeout(
+                  () =>
+                    stopCall(
+                      id,
+                      workerError(
+                        "TimeoutError",
+                        "timeout",
+                        `The ${event.check} check took longer than ${
+                          timeouts[phase] / 1000
+                        } seconds (${phase} timeout) and was stopped`
+                      )
+                    ),
+                  timeouts[phase] + WATCHDOG_GRACE
+                )
+              );
+            } else if (event.phase === "end") {
+              clearTimeout(watchdogs.get(key));
+              watchdogs.delete(key);
+            }
+            if (onProgress) {
+              onProgress(event);
+            }
+          },
+        },
+        id
+      );
+    },
+
+    /**
+     * Inspect the Linked Data proof of a document in the worker
+     * @param {Object} document - The signed credential or presentation
+     * @returns {Promise<Object>} The inspection, see inspector.js
+     */
+    inspectProof(document) {
+      return client.call("inspectProof", document, getContextLoaderConfig());
+    },
+
+    /**
+     * Describe the claims of a credential in the worker
+     * @param {Object} credential - The credential
+     * @returns {Promise<Object>} The claims tree, see claims.js
+     */
+    describeClaims(credential) {
+      return client.call(
+        "describeClaims",
+        credential,
+        getContextLoaderConfig()
+      );
+    },
+
+    /**
+     * Call one of the worker's other functions, see worker.js
+     * @param {string} method - The function name
+     * @param {...*} args - Its arguments
+     * @returns {Promise<*>} Its result
+     */
+    async call(method, ...args) {
+      if (typeof Worker === "undefined") {
+        return IN_THREAD_METHODS[method](...args);
+      }
+      return request(method, args);
+    },
+
+    /**
+     * Stop the worker; pending calls reject
+     */
+    terminate() {
+      stop(workerError("AbortError", "aborted", "Verification worker stopped"));
+    },
+  };
+
+  return client;
+}
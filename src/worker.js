@@ -0,0 +1,76 @@
+/**
+ * Verification Worker
+ *
+ * Runs the verifier in a Web Worker, so canonicalizing a large credential
+ * doesn't freeze the page. Driven by verifierWorker.js, which documents the
+ * messages; the worker only calls the functions listed in METHODS.
+ *
+ * The worker has its own context loader configuration and caches: the
+ * configuration is sent with every call that loads contexts, and the cache
+ * panel asks the worker for its entries. Custom DID methods and proof
+ * suites are registered in extensions.js, which both sides import.
+ */
+
+import "./extensions.js";
+import { verify } from "./verifier.js";
+import { inspectProof } from "./inspector.js";
+import { describeClaims } from "./claims.js";
+import { configureContextLoader } from "./contexts.js";
+import {
+  clearCaches,
+  disableCachePersistence,
+  enableCachePersistence,
+  evictCacheEntry,
+  listCacheEntries,
+} from "./cache.js";
+
+/**
+ * Functions the main thread may call, by name
+ * verify(), inspectProof() and describeClaims() take the context loader
+ * configuration as an extra argument; verify() streams its progress back
+ * @const {Object}
+ */
+const METHODS = {
+  verify(id, input, options, contextConfig) {
+    configureContextLoader(contextConfig);
+    return verify(input, {
+      ...options,
+      onProgress: ({ check, phase, result, credential }) =>
+        self.postMessage({
+          id,
+          type: "progress",
+          event: { check, phase, result, credential },
+        }),
+    });
+  },
+  inspectProof(id, document, contextConfig) {
+    configureContextLoader(contextConfig);
+    return inspectProof(document);
+  },
+  describeClaims(id, credential, contextConfig) {
+    configureContextLoader(contextConfig);
+    return describeClaims(credential);
+  },
+  listCacheEntries: () => listCacheEntries(),
+  evictCacheEntry: (id, name, key) => evictCacheEntry(name, key),
+  clearCaches: () => clearCaches(),
+  enableCachePersistence: () => enableCachePersistence(),
+  disableCachePersistence: () => disableCachePersistence(),
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, method, args } = data;
+  try {
+    if (!METHODS[method]) {
+      throw new Error(`Unknown worker method: ${method}`);
+    }
+    const value = await METHODS[method](id, ...args);
+    self.postMessage({ id, type: "result", value });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: "error",
+      error: { name: error.name, message: error.message, code: error.code },
+    });
+  }
+};
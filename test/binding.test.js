@@ -0,0 +1,81 @@
+/**
+ * Error codes of checkVerificationMethodBinding()
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkVerificationMethodBinding } from "../src/binding.js";
+
+const DID = "did:example:issuer";
+const KEY_ID = `${DID}#key-1`;
+const KEY = {
+  id: KEY_ID,
+  type: "Multikey",
+  controller: DID,
+  publicKeyMultibase: "z6MktQR5TbqntrCxb6o2MShU9R7Q1iFybZrwAbQcKyoXg691",
+};
+
+const didDocument = (changes = {}) => ({
+  id: DID,
+  verificationMethod: [KEY],
+  assertionMethod: [KEY_ID],
+  ...changes,
+});
+
+const bind = (document, options = {}) =>
+  checkVerificationMethodBinding(document, KEY_ID, {
+    relationship: "assertionMethod",
+    controller: DID,
+    ...options,
+  });
+
+test("a key of the issuer authorized for assertions is bound", () => {
+  const binding = bind(didDocument());
+  assert.equal(binding.bound, true);
+  assert.equal(binding.errorCode, null);
+  assert.equal(binding.via, "reference");
+});
+
+test("a key of another DID fails with issuerMismatch", () => {
+  const binding = bind(didDocument(), { controller: "did:example:other" });
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "issuerMismatch");
+});
+
+test("a key missing from the DID document fails with verificationMethodNotFound", () => {
+  const binding = bind(didDocument({ verificationMethod: [] }));
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "verificationMethodNotFound");
+});
+
+test("a key not authorized for the relationship fails with notAuthorized", () => {
+  const binding = bind(didDocument({ assertionMethod: [] }));
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "notAuthorized");
+});
+
+test("a key controlled by someone else fails with controllerMismatch", () => {
+  const binding = bind(
+    didDocument({
+      verificationMethod: [{ ...KEY, controller: "did:example:other" }],
+    })
+  );
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "controllerMismatch");
+});
+
+test("no issuer fails with missingIssuer", () => {
+  const binding = bind(didDocument(), { controller: null });
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "missingIssuer");
+});
+
+test("no holder fails with missingHolder", () => {
+  const binding = bind(didDocument({ authentication: [KEY_ID] }), {
+    relationship: "authentication",
+    controller: null,
+    role: "holder",
+  });
+  assert.equal(binding.bound, false);
+  assert.equal(binding.errorCode, "missingHolder");
+});
@@ -0,0 +1,45 @@
+/**
+ * Regression fixtures from createFixtures(): a did:key issuer and bundled
+ * contexts keep them offline
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createCredential,
+  createFixtures,
+  generateIssuerKey,
+  verify,
+} from "../src/index.js";
+
+const failedChecks = (result) =>
+  result.checks
+    .filter((check) => check.status === "fail")
+    .map((check) => check.name);
+
+// Error code of each fixture that should fail
+const EXPECTED_CODES = {
+  expired: "expired",
+  tampered: "invalidSignature",
+  wrongKey: "invalidSignature",
+};
+
+test("fixtures fail the check they are made for", async (t) => {
+  const issuerKey = await generateIssuerKey();
+  const credential = createCredential("example", { issuer: issuerKey.did });
+  const fixtures = await createFixtures(credential, issuerKey);
+
+  for (const { name, expected, credential: fixture } of fixtures) {
+    await t.test(name, async () => {
+      const result = await verify(fixture, { checkSchemas: false });
+      if (expected) {
+        assert.equal(result.status, "failed");
+        assert.deepEqual(failedChecks(result), [expected]);
+        assert.equal(result.error.code, EXPECTED_CODES[name]);
+      } else {
+        assert.equal(result.status, "verified");
+        assert.deepEqual(failedChecks(result), []);
+      }
+    });
+  }
+});
@@ -0,0 +1,79 @@
+/**
+ * Status fixtures in public/fixtures/status, served by an injected fetch()
+ * in place of the dev server they name
+ */
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { clearCaches, verify } from "../src/index.js";
+
+const FIXTURES = new URL("../public/fixtures/status/", import.meta.url);
+
+const readFixture = (name) => readFile(new URL(name, FIXTURES), "utf8");
+
+/**
+ * A fetch() serving fixtures by file name
+ * @param {Function} [change] - Changes the status list before it is served
+ * @returns {Function} The fetch()
+ */
+function fixtureFetch(change = (list) => list) {
+  return async (url) => {
+    const name = new URL(url).pathname.split("/").pop();
+    const list = change(JSON.parse(await readFixture(name)));
+    return new Response(JSON.stringify(list), {
+      headers: { "content-type": "application/json" },
+    });
+  };
+}
+
+const verifyFixture = async (name, options) => {
+  const result = await verify(await readFixture(name), {
+    checkSchemas: false,
+    ...options,
+  });
+  return {
+    result,
+    status: result.checks.find((check) => check.name === "status"),
+  };
+};
+
+beforeEach(() => clearCaches());
+
+test("an active credential verifies", async () => {
+  const { result, status } = await verifyFixture("active-credential.json", {
+    fetch: fixtureFetch(),
+  });
+  assert.equal(result.status, "verified");
+  assert.equal(status.status, "pass");
+});
+
+test("a revoked credential fails", async () => {
+  const { result, status } = await verifyFixture("revoked-credential.json", {
+    fetch: fixtureFetch(),
+  });
+  assert.equal(result.status, "failed");
+  assert.equal(status.status, "fail");
+  assert.equal(result.error.code, "revoked");
+});
+
+test("a status list from another issuer fails", async () => {
+  const { result } = await verifyFixture("active-credential.json", {
+    fetch: fixtureFetch((list) => ({
+      ...list,
+      issuer: "did:web:other.example",
+    })),
+  });
+  assert.equal(result.status, "failed");
+  assert.equal(result.error.code, "statusListIssuerMismatch");
+});
+
+test("an unreachable status list is indeterminate", async () => {
+  const { result } = await verifyFixture("active-credential.json", {
+    fetch: async () => {
+      throw new TypeError("fetch failed");
+    },
+  });
+  assert.equal(result.status, "indeterminate");
+  assert.equal(result.error.code, "statusUnavailable");
+});
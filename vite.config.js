@@ -3,4 +3,18 @@ import { defineConfig } from "vite";
 // https://vitejs.dev/config/
 export default defineConfig({
   base: "/public-vc-verifier/",
+  // Verification runs in a module worker (src/worker.js)
+  worker: {
+    format: "es",
+  },
+  server: {
+    // The UI's default verification service in development; start it with
+    // `npm run serve`
+    proxy: {
+      "/api": {
+        target: process.env.VERIFIER_SERVICE_URL || "http://localhost:8787",
+        rewrite: (path) => path.replace(/^\/api/, ""),
+      },
+    },
+  },
 });